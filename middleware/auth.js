@@ -0,0 +1,44 @@
+// middleware/auth.js
+// JWT authentication and role-based access control
+
+const jwt = require("jsonwebtoken");
+
+const JWT_SECRET = process.env.JWT_SECRET || "super-secret-key";
+
+// Ordered from least to most privileged; each role includes the ones before it
+const ROLES = ["employee", "manager", "admin"];
+
+function auth(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader)
+    return res.status(401).json({ error: "Missing Authorization header" });
+
+  const token = authHeader.split(" ")[1];
+  try {
+    req.user = jwt.verify(token, JWT_SECRET);
+    next();
+  } catch {
+    res.status(401).json({ error: "Invalid or expired token" });
+  }
+}
+
+// True if the user holds `role` or a more privileged one
+function hasRole(user, role) {
+  const userLevel = ROLES.indexOf(user?.role || "employee");
+  return userLevel >= ROLES.indexOf(role);
+}
+
+// Middleware: 403 unless the authenticated user holds at least `role`
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
+}
+
+module.exports = { auth, hasRole, requireRole, ROLES, JWT_SECRET };
@@ -0,0 +1,100 @@
+// middleware/upload.js
+// Multipart parsing for post attachments
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+const {
+  MEDIA_MAX_BYTES,
+  MEDIA_MAX_TOTAL_BYTES,
+  MEDIA_MAX_IMAGES,
+  MEDIA_INCOMING_DIR,
+  SNIFF_BYTES,
+  sniffContentType,
+} = require("../services/media");
+
+// Room for the multipart boundaries and text fields around the files
+const FORM_OVERHEAD_BYTES = 1024 * 1024;
+
+function totalTooLarge() {
+  const err = new Error(`Attachments may total at most ${MEDIA_MAX_TOTAL_BYTES / 1024 / 1024} MB`);
+  err.code = "LIMIT_TOTAL_SIZE";
+  return err;
+}
+
+// Multer storage engine that streams each file to MEDIA_INCOMING_DIR instead of
+// holding it in memory, stops the request once its files together pass
+// MEDIA_MAX_TOTAL_BYTES, and records the type the file's first bytes identify
+// (file.detectedType) since the client's Content-Type can't be trusted
+const incomingStorage = {
+  _handleFile(req, file, cb) {
+    fs.mkdir(MEDIA_INCOMING_DIR, { recursive: true }, (mkdirErr) => {
+      if (mkdirErr) return cb(mkdirErr);
+
+      const filePath = path.join(MEDIA_INCOMING_DIR, crypto.randomUUID());
+      const out = fs.createWriteStream(filePath);
+      let size = 0;
+      let head = Buffer.alloc(0);
+      let failed = false;
+
+      const fail = (err) => {
+        if (failed) return;
+        failed = true;
+        file.stream.unpipe(out);
+        file.stream.resume();
+        out.destroy();
+        fs.unlink(filePath, () => cb(err));
+      };
+
+      file.stream.on("data", (chunk) => {
+        size += chunk.length;
+        req.mediaBytes = (req.mediaBytes || 0) + chunk.length;
+        if (head.length < SNIFF_BYTES) head = Buffer.concat([head, chunk]).subarray(0, SNIFF_BYTES);
+        if (req.mediaBytes > MEDIA_MAX_TOTAL_BYTES) fail(totalTooLarge());
+      });
+      file.stream.on("error", fail);
+      out.on("error", fail);
+      out.on("finish", () => {
+        if (!failed) cb(null, { path: filePath, size, detectedType: sniffContentType(head) });
+      });
+      file.stream.pipe(out);
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    fs.unlink(file.path, () => cb(null));
+  },
+};
+
+const upload = multer({
+  storage: incomingStorage,
+  limits: { fileSize: MEDIA_MAX_BYTES, files: MEDIA_MAX_IMAGES },
+});
+
+// Parse multipart "files" fields into req.files; JSON requests pass through untouched.
+// Files a route doesn't move into storage (see storeLocally) are deleted once the
+// response is done.
+function receiveMedia(req, res, next) {
+  const declared = Number(req.headers["content-length"]);
+  if (req.is("multipart/form-data") && declared > MEDIA_MAX_TOTAL_BYTES + FORM_OVERHEAD_BYTES) {
+    return res.status(413).json({ error: totalTooLarge().message });
+  }
+
+  upload.array("files", MEDIA_MAX_IMAGES)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err?.code === "LIMIT_TOTAL_SIZE") {
+      return res.status(413).json({ error: err.message });
+    }
+    if (err) return next(err);
+
+    res.on("close", () => {
+      for (const file of req.files || []) fs.unlink(file.path, () => {});
+    });
+    next();
+  });
+}
+
+module.exports = { receiveMedia };
@@ -0,0 +1,34 @@
+-- Migration 004: Record paging coverage for each sync run
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- Number of post pages walked by a sync run
+IF COL_LENGTH('dbo.SyncLog', 'postPages') IS NULL
+BEGIN
+    ALTER TABLE dbo.SyncLog ADD postPages INT DEFAULT 0;
+END
+GO
+
+-- SyncPostCoverage: Pages and items read per post for each sync run
+IF OBJECT_ID('dbo.SyncPostCoverage', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.SyncPostCoverage (
+        id              BIGINT IDENTITY(1,1) PRIMARY KEY,
+        syncLogId       BIGINT NOT NULL,
+        postId          VARCHAR(255) NOT NULL,
+        reactionPages   INT DEFAULT 0,
+        reactionsRead   INT DEFAULT 0,
+        commentPages    INT DEFAULT 0,
+        commentsRead    INT DEFAULT 0,
+        recordedAt      DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+
+        CONSTRAINT FK_SyncPostCoverage_SyncLog FOREIGN KEY (syncLogId)
+            REFERENCES dbo.SyncLog(id)
+    );
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_SyncPostCoverage_SyncLogId')
+BEGIN
+    CREATE INDEX IX_SyncPostCoverage_SyncLogId ON dbo.SyncPostCoverage(syncLogId);
+END
+GO
@@ -0,0 +1,36 @@
+-- Migration 005: Per-post watermarks for incremental sync
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- When engagements for the post were last fetched
+IF COL_LENGTH('dbo.LinkedInPosts', 'engagementsSyncedAt') IS NULL
+BEGIN
+    ALTER TABLE dbo.LinkedInPosts ADD engagementsSyncedAt DATETIMEOFFSET NULL;
+END
+GO
+
+-- Newest engagement timestamp seen for the post
+IF COL_LENGTH('dbo.LinkedInPosts', 'lastEngagementAt') IS NULL
+BEGIN
+    ALTER TABLE dbo.LinkedInPosts ADD lastEngagementAt DATETIMEOFFSET NULL;
+END
+GO
+
+-- When every page of the post's engagements was last walked
+IF COL_LENGTH('dbo.LinkedInPosts', 'reconciledAt') IS NULL
+BEGIN
+    ALTER TABLE dbo.LinkedInPosts ADD reconciledAt DATETIMEOFFSET NULL;
+END
+GO
+
+-- Sync mode: 'full' or 'incremental'
+IF COL_LENGTH('dbo.SyncLog', 'mode') IS NULL
+BEGIN
+    ALTER TABLE dbo.SyncLog ADD mode VARCHAR(20) DEFAULT 'full';
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_LinkedInPosts_ReconciledAt')
+BEGIN
+    CREATE INDEX IX_LinkedInPosts_ReconciledAt ON dbo.LinkedInPosts(reconciledAt);
+END
+GO
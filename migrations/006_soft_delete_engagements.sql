@@ -0,0 +1,44 @@
+-- Migration 006: Soft-delete removed engagements, one reaction per user per post
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- Set when an engagement is no longer returned by LinkedIn (un-like, deleted comment)
+IF COL_LENGTH('dbo.PostEngagements', 'removedAt') IS NULL
+BEGIN
+    ALTER TABLE dbo.PostEngagements ADD removedAt DATETIMEOFFSET NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.SyncLog', 'engagementsRemoved') IS NULL
+BEGIN
+    ALTER TABLE dbo.SyncLog ADD engagementsRemoved INT DEFAULT 0;
+END
+GO
+
+-- Collapse duplicate reactions (e.g. LIKE then CELEBRATE) down to the newest row,
+-- then replace the old unique key that included reactionTypeKey
+IF EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'UQ_PostEngagement')
+BEGIN
+    WITH ranked AS (
+        SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY postId, userSub, engagementType
+            ORDER BY engagedAt DESC, id DESC
+        ) AS rn
+        FROM dbo.PostEngagements
+    )
+    DELETE FROM ranked WHERE rn > 1;
+
+    DROP INDEX UQ_PostEngagement ON dbo.PostEngagements;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'UQ_PostEngagement_User')
+BEGIN
+    CREATE UNIQUE INDEX UQ_PostEngagement_User ON dbo.PostEngagements(postId, userSub, engagementType);
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PostEngagements_RemovedAt')
+BEGIN
+    CREATE INDEX IX_PostEngagements_RemovedAt ON dbo.PostEngagements(removedAt);
+END
+GO
@@ -0,0 +1,15 @@
+-- Migration 007: Surface per-post LinkedIn failures in the sync log
+-- Run against Azure SQL: LinkedInEngagement database
+
+IF COL_LENGTH('dbo.SyncLog', 'postsFailed') IS NULL
+BEGIN
+    ALTER TABLE dbo.SyncLog ADD postsFailed INT DEFAULT 0;
+END
+GO
+
+-- Set when reactions or comments for the post could not be read
+IF COL_LENGTH('dbo.SyncPostCoverage', 'errorMessage') IS NULL
+BEGIN
+    ALTER TABLE dbo.SyncPostCoverage ADD errorMessage NVARCHAR(MAX) NULL;
+END
+GO
@@ -0,0 +1,40 @@
+-- Migration 008: Background sync jobs and a cross-instance job lock
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- JobLocks: One row per held lock; expired rows may be taken over
+IF OBJECT_ID('dbo.JobLocks', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.JobLocks (
+        lockName    VARCHAR(100) NOT NULL PRIMARY KEY,
+        ownerId     VARCHAR(200) NOT NULL,
+        jobId       BIGINT NULL,
+        acquiredAt  DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+        expiresAt   DATETIMEOFFSET NOT NULL
+    );
+END
+GO
+
+-- Progress columns so a running sync can be polled
+IF COL_LENGTH('dbo.SyncLog', 'phase') IS NULL
+BEGIN
+    ALTER TABLE dbo.SyncLog ADD phase VARCHAR(30) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.SyncLog', 'postsTotal') IS NULL
+BEGIN
+    ALTER TABLE dbo.SyncLog ADD postsTotal INT NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.SyncLog', 'triggeredBy') IS NULL
+BEGIN
+    ALTER TABLE dbo.SyncLog ADD triggeredBy VARCHAR(100) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.SyncLog', 'updatedAt') IS NULL
+BEGIN
+    ALTER TABLE dbo.SyncLog ADD updatedAt DATETIMEOFFSET NULL;
+END
+GO
@@ -0,0 +1,17 @@
+-- Migration 009: Role-based access control on users
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- Role: 'employee' (default), 'manager' or 'admin'
+IF COL_LENGTH('dbo.users', 'role') IS NULL
+BEGIN
+    ALTER TABLE dbo.users ADD role VARCHAR(20) NOT NULL
+        CONSTRAINT DF_users_role DEFAULT 'employee';
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.check_constraints WHERE name = 'CK_users_role')
+BEGIN
+    ALTER TABLE dbo.users ADD CONSTRAINT CK_users_role
+        CHECK (role IN ('employee', 'manager', 'admin'));
+END
+GO
@@ -0,0 +1,23 @@
+-- Migration 010: One-time OAuth state nonces (CSRF protection + PKCE verifiers)
+-- Run against Azure SQL: LinkedInEngagement database
+
+IF OBJECT_ID('dbo.OAuthStates', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.OAuthStates (
+        state           VARCHAR(64) NOT NULL PRIMARY KEY,
+        purpose         VARCHAR(30) NOT NULL,       -- 'login' or 'admin'
+        codeVerifier    VARCHAR(128) NULL,          -- PKCE verifier, never sent to the browser
+        returnTo        NVARCHAR(500) NULL,         -- frontend path to land on afterwards
+        userSub         VARCHAR(100) NULL,          -- who started the flow, if signed in
+        createdAt       DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+        expiresAt       DATETIMEOFFSET NOT NULL,
+        consumedAt      DATETIMEOFFSET NULL
+    );
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_OAuthStates_ExpiresAt')
+BEGIN
+    CREATE INDEX IX_OAuthStates_ExpiresAt ON dbo.OAuthStates(expiresAt);
+END
+GO
@@ -0,0 +1,39 @@
+-- Migration 011: One-time login codes and rotating refresh tokens
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- AuthCodes: Short-lived codes the frontend exchanges for tokens after login
+IF OBJECT_ID('dbo.AuthCodes', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.AuthCodes (
+        codeHash    VARCHAR(64) NOT NULL PRIMARY KEY,   -- SHA-256 hex of the code
+        userSub     VARCHAR(100) NOT NULL,
+        createdAt   DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+        expiresAt   DATETIMEOFFSET NOT NULL,
+        consumedAt  DATETIMEOFFSET NULL
+    );
+END
+GO
+
+-- RefreshTokens: One row per issued token; rotation links a family of tokens
+IF OBJECT_ID('dbo.RefreshTokens', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.RefreshTokens (
+        id          BIGINT IDENTITY(1,1) PRIMARY KEY,
+        tokenHash   VARCHAR(64) NOT NULL,               -- SHA-256 hex of the token
+        familyId    VARCHAR(64) NOT NULL,               -- shared by every rotation of one login
+        userSub     VARCHAR(100) NOT NULL,
+        createdAt   DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+        expiresAt   DATETIMEOFFSET NOT NULL,
+        rotatedAt   DATETIMEOFFSET NULL,
+        revokedAt   DATETIMEOFFSET NULL,
+
+        CONSTRAINT UQ_RefreshTokens_TokenHash UNIQUE (tokenHash)
+    );
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_RefreshTokens_FamilyId')
+BEGIN
+    CREATE INDEX IX_RefreshTokens_FamilyId ON dbo.RefreshTokens(familyId);
+END
+GO
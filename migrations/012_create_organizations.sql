@@ -0,0 +1,104 @@
+-- Migration 012: Organizations, org-scoped admin tokens/posts, encrypted tokens
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- Organizations: Company pages tracked by this deployment
+IF OBJECT_ID('dbo.Organizations', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.Organizations (
+        id              INT IDENTITY(1,1) PRIMARY KEY,
+        orgUrn          VARCHAR(100) NOT NULL,
+        name            NVARCHAR(200) NULL,
+        syncSchedule    VARCHAR(100) NULL,          -- cron expression; NULL uses the default
+        isActive        BIT NOT NULL DEFAULT 1,
+        createdAt       DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+
+        CONSTRAINT UQ_Organizations_OrgUrn UNIQUE (orgUrn)
+    );
+END
+GO
+
+-- Seed the organization existing data belongs to (the most common post author)
+IF NOT EXISTS (SELECT 1 FROM dbo.Organizations)
+BEGIN
+    DECLARE @orgUrn VARCHAR(100) = (
+        SELECT TOP 1 author FROM dbo.LinkedInPosts
+        WHERE author LIKE 'urn:li:organization:%'
+        GROUP BY author ORDER BY COUNT(*) DESC
+    );
+    INSERT INTO dbo.Organizations (orgUrn, name)
+    VALUES (ISNULL(@orgUrn, 'urn:li:organization:30474'), 'Default');
+END
+GO
+
+-- Scope posts, sync logs, admin tokens and OAuth states by organization
+IF COL_LENGTH('dbo.LinkedInPosts', 'organizationId') IS NULL
+BEGIN
+    ALTER TABLE dbo.LinkedInPosts ADD organizationId INT NULL
+        CONSTRAINT FK_LinkedInPosts_Organization REFERENCES dbo.Organizations(id);
+END
+GO
+
+IF COL_LENGTH('dbo.SyncLog', 'organizationId') IS NULL
+BEGIN
+    ALTER TABLE dbo.SyncLog ADD organizationId INT NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.OAuthStates', 'organizationId') IS NULL
+BEGIN
+    ALTER TABLE dbo.OAuthStates ADD organizationId INT NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.AdminTokens', 'organizationId') IS NULL
+BEGIN
+    ALTER TABLE dbo.AdminTokens ADD organizationId INT NULL
+        CONSTRAINT FK_AdminTokens_Organization REFERENCES dbo.Organizations(id);
+END
+GO
+
+UPDATE dbo.LinkedInPosts SET organizationId = (SELECT MIN(id) FROM dbo.Organizations)
+WHERE organizationId IS NULL;
+GO
+
+UPDATE dbo.AdminTokens SET organizationId = (SELECT MIN(id) FROM dbo.Organizations)
+WHERE organizationId IS NULL;
+GO
+
+-- tokenType was unique on its own; it is now unique per organization
+DECLARE @constraint SYSNAME = (
+    SELECT kc.name FROM sys.key_constraints kc
+    JOIN sys.index_columns ic ON ic.object_id = kc.parent_object_id AND ic.index_id = kc.unique_index_id
+    JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+    WHERE kc.parent_object_id = OBJECT_ID('dbo.AdminTokens') AND kc.type = 'UQ' AND c.name = 'tokenType'
+      AND kc.name <> 'UQ_AdminTokens_Org_TokenType'
+);
+IF @constraint IS NOT NULL
+    EXEC('ALTER TABLE dbo.AdminTokens DROP CONSTRAINT ' + @constraint);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.key_constraints WHERE name = 'UQ_AdminTokens_Org_TokenType')
+BEGIN
+    ALTER TABLE dbo.AdminTokens ADD CONSTRAINT UQ_AdminTokens_Org_TokenType
+        UNIQUE (organizationId, tokenType);
+END
+GO
+
+-- Encrypted tokens are longer than the plaintext; keyId records the key used
+ALTER TABLE dbo.AdminTokens ALTER COLUMN accessToken VARCHAR(4000) NOT NULL;
+GO
+
+ALTER TABLE dbo.AdminTokens ALTER COLUMN refreshToken VARCHAR(4000) NULL;
+GO
+
+IF COL_LENGTH('dbo.AdminTokens', 'keyId') IS NULL
+BEGIN
+    ALTER TABLE dbo.AdminTokens ADD keyId VARCHAR(50) NULL;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_LinkedInPosts_OrganizationId')
+BEGIN
+    CREATE INDEX IX_LinkedInPosts_OrganizationId ON dbo.LinkedInPosts(organizationId);
+END
+GO
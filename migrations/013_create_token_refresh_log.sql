@@ -0,0 +1,28 @@
+-- Migration 013: Admin token refresh history and re-authorization alerts
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- TokenRefreshLog: One row per attempt to refresh an organization's admin token
+IF OBJECT_ID('dbo.TokenRefreshLog', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.TokenRefreshLog (
+        id              BIGINT IDENTITY(1,1) PRIMARY KEY,
+        organizationId  INT NOT NULL
+            CONSTRAINT FK_TokenRefreshLog_Organization REFERENCES dbo.Organizations(id),
+        triggeredBy     VARCHAR(20) NOT NULL,       -- scheduled, on_demand
+        status          VARCHAR(20) NOT NULL,       -- SUCCESS, FAILED
+        errorMessage    NVARCHAR(1000) NULL,
+        expiresAt       DATETIMEOFFSET NULL,        -- new access token expiry on success
+        attemptedAt     DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET()
+    );
+
+    CREATE INDEX IX_TokenRefreshLog_Org_AttemptedAt
+        ON dbo.TokenRefreshLog (organizationId, attemptedAt DESC);
+END
+GO
+
+-- When the last "re-authorization needed" alert went out, so it isn't repeated every run
+IF COL_LENGTH('dbo.AdminTokens', 'reauthAlertedAt') IS NULL
+BEGIN
+    ALTER TABLE dbo.AdminTokens ADD reauthAlertedAt DATETIMEOFFSET NULL;
+END
+GO
@@ -0,0 +1,37 @@
+-- Migration 014: Versioned leaderboard scoring models
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- ScoringModels: Immutable versions of the scoring config; exactly one is active.
+-- Editing the model inserts a new version so older rankings can be recomputed.
+IF OBJECT_ID('dbo.ScoringModels', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.ScoringModels (
+        id          INT IDENTITY(1,1) PRIMARY KEY,
+        version     INT NOT NULL,
+        config      NVARCHAR(MAX) NOT NULL,         -- JSON, see services/scoring.js
+        notes       NVARCHAR(500) NULL,
+        isActive    BIT NOT NULL DEFAULT 0,
+        createdBy   VARCHAR(100) NULL,
+        createdAt   DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+
+        CONSTRAINT UQ_ScoringModels_Version UNIQUE (version),
+        CONSTRAINT CK_ScoringModels_Config CHECK (ISJSON(config) = 1)
+    );
+
+    CREATE UNIQUE INDEX UQ_ScoringModels_Active ON dbo.ScoringModels (isActive) WHERE isActive = 1;
+END
+GO
+
+-- Version 1 reproduces the original ranking: every reaction and comment is one point
+IF NOT EXISTS (SELECT 1 FROM dbo.ScoringModels)
+BEGIN
+    INSERT INTO dbo.ScoringModels (version, config, notes, isActive, createdBy)
+    VALUES (
+        1,
+        N'{"weights":{"REACTION":1,"COMMENT":1,"SHARE":0},"reactionWeights":{},"earlyBonus":null,"capPerPost":null}',
+        N'Initial model: one point per reaction or comment',
+        1,
+        'migration'
+    );
+END
+GO
@@ -0,0 +1,29 @@
+-- Migration 015: Department, team and location on users for leaderboard filtering
+-- Run against Azure SQL: LinkedInEngagement database
+
+IF COL_LENGTH('dbo.users', 'department') IS NULL
+BEGIN
+    ALTER TABLE dbo.users ADD department NVARCHAR(100) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.users', 'team') IS NULL
+BEGIN
+    ALTER TABLE dbo.users ADD team NVARCHAR(100) NULL;
+END
+GO
+
+IF COL_LENGTH('dbo.users', 'location') IS NULL
+BEGIN
+    ALTER TABLE dbo.users ADD location NVARCHAR(100) NULL;
+END
+GO
+
+-- Leaderboard time ranges filter on engagedAt / sharedAt. Migration 001 already
+-- has a plain IX_PostEngagements_EngagedAt, so this covering one needs its own name.
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PostEngagements_EngagedAt_Active')
+BEGIN
+    CREATE INDEX IX_PostEngagements_EngagedAt_Active ON dbo.PostEngagements(engagedAt)
+        INCLUDE (postId, userSub, engagementType, reactionType) WHERE removedAt IS NULL;
+END
+GO
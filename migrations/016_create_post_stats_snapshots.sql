@@ -0,0 +1,33 @@
+-- Migration 016: Daily LinkedIn share statistics per post
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- PostStatsSnapshots: One row per post per UTC day, overwritten by later syncs
+-- that day, from organizationalEntityShareStatistics (lifetime totals)
+IF OBJECT_ID('dbo.PostStatsSnapshots', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.PostStatsSnapshots (
+        id                      BIGINT IDENTITY(1,1) PRIMARY KEY,
+        postId                  VARCHAR(255) NOT NULL
+            CONSTRAINT FK_PostStatsSnapshots_Post REFERENCES dbo.LinkedInPosts(postId),
+        snapshotDate            DATE NOT NULL,
+        impressionCount         INT NOT NULL DEFAULT 0,
+        uniqueImpressionsCount  INT NOT NULL DEFAULT 0,
+        clickCount              INT NOT NULL DEFAULT 0,
+        reactionCount           INT NOT NULL DEFAULT 0,   -- LinkedIn's likeCount (all reaction types)
+        commentCount            INT NOT NULL DEFAULT 0,
+        shareCount              INT NOT NULL DEFAULT 0,
+        engagementRate          DECIMAL(9, 6) NULL,       -- LinkedIn's "engagement" ratio
+        syncLogId               BIGINT NULL,
+        capturedAt              DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+
+        CONSTRAINT UQ_PostStatsSnapshots_Post_Date UNIQUE (postId, snapshotDate)
+    );
+END
+GO
+
+-- How many posts had their statistics snapshotted by a sync run
+IF COL_LENGTH('dbo.SyncLog', 'statsSnapshots') IS NULL
+BEGIN
+    ALTER TABLE dbo.SyncLog ADD statsSnapshots INT NULL;
+END
+GO
@@ -0,0 +1,45 @@
+-- Migration 017: Weekly/monthly leaderboard snapshots and engagement streaks
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- LeaderboardSnapshots: Final standings of a completed week or month, one row per
+-- ranked user. organizationId NULL is the all-organizations leaderboard.
+IF OBJECT_ID('dbo.LeaderboardSnapshots', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.LeaderboardSnapshots (
+        id                  BIGINT IDENTITY(1,1) PRIMARY KEY,
+        periodType          VARCHAR(10) NOT NULL,        -- week, month
+        periodStart         DATE NOT NULL,               -- UTC; weeks start on Monday
+        periodEnd           DATE NOT NULL,               -- exclusive
+        organizationId      INT NULL
+            CONSTRAINT FK_LeaderboardSnapshots_Organization REFERENCES dbo.Organizations(id),
+        userSub             VARCHAR(100) NOT NULL,
+        rank                INT NOT NULL,
+        score               DECIMAL(12, 2) NOT NULL,
+        reactions           INT NOT NULL DEFAULT 0,
+        comments            INT NOT NULL DEFAULT 0,
+        shares              INT NOT NULL DEFAULT 0,
+        scoringModelVersion INT NOT NULL,
+        createdAt           DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+        organizationKey     AS ISNULL(organizationId, 0),
+
+        CONSTRAINT CK_LeaderboardSnapshots_PeriodType CHECK (periodType IN ('week', 'month'))
+    );
+
+    CREATE UNIQUE INDEX UQ_LeaderboardSnapshots_Period_User
+        ON dbo.LeaderboardSnapshots (periodType, periodStart, organizationKey, userSub);
+END
+GO
+
+-- UserStreaks: Consecutive weeks with at least one reaction, comment or share
+IF OBJECT_ID('dbo.UserStreaks', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.UserStreaks (
+        userSub             VARCHAR(100) NOT NULL PRIMARY KEY,
+        currentStreak       INT NOT NULL DEFAULT 0,      -- weeks, still alive if last week was active
+        bestStreak          INT NOT NULL DEFAULT 0,
+        bestStreakEnd       DATE NULL,                   -- start of the last week of the best streak
+        lastActiveWeek      DATE NULL,
+        updatedAt           DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET()
+    );
+END
+GO
@@ -0,0 +1,66 @@
+-- Migration 018: Badge catalog (rules as data) and awarded badges
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- BadgeDefinitions: Each badge's rule is JSON evaluated by services/badges.js
+IF OBJECT_ID('dbo.BadgeDefinitions', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.BadgeDefinitions (
+        id          INT IDENTITY(1,1) PRIMARY KEY,
+        code        VARCHAR(50) NOT NULL,
+        name        NVARCHAR(100) NOT NULL,
+        description NVARCHAR(500) NULL,
+        icon        NVARCHAR(200) NULL,             -- emoji or image URL for the frontend
+        rule        NVARCHAR(MAX) NOT NULL,
+        isActive    BIT NOT NULL DEFAULT 1,
+        createdAt   DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+        updatedAt   DATETIMEOFFSET NULL,
+
+        CONSTRAINT UQ_BadgeDefinitions_Code UNIQUE (code),
+        CONSTRAINT CK_BadgeDefinitions_Rule CHECK (ISJSON(rule) = 1)
+    );
+END
+GO
+
+-- UserBadges: One row per award. Badges with a windowed rule can be earned once
+-- per period (periodKey, e.g. 2026-Q3); all-time badges use an empty periodKey.
+IF OBJECT_ID('dbo.UserBadges', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.UserBadges (
+        id          BIGINT IDENTITY(1,1) PRIMARY KEY,
+        badgeId     INT NOT NULL
+            CONSTRAINT FK_UserBadges_Badge REFERENCES dbo.BadgeDefinitions(id),
+        userSub     VARCHAR(100) NOT NULL,
+        periodKey   VARCHAR(20) NOT NULL DEFAULT '',
+        awardedAt   DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+        triggeredBy VARCHAR(20) NULL,               -- sync, share, manual
+
+        CONSTRAINT UQ_UserBadges_Badge_User_Period UNIQUE (badgeId, userSub, periodKey)
+    );
+
+    CREATE INDEX IX_UserBadges_UserSub ON dbo.UserBadges (userSub, awardedAt DESC);
+END
+GO
+
+-- Starter catalog
+IF NOT EXISTS (SELECT 1 FROM dbo.BadgeDefinitions)
+BEGIN
+    INSERT INTO dbo.BadgeDefinitions (code, name, description, icon, rule) VALUES
+    ('first_comment', N'First Comment', N'Commented on a company post for the first time', N'💬',
+     N'{"type":"count","metric":"comments","min":1,"window":"all"}'),
+    ('ten_shares', N'Amplifier', N'Shared 10 company posts', N'📣',
+     N'{"type":"count","metric":"shares","min":10,"window":"all"}'),
+    ('every_post_month', N'Full House', N'Engaged with every company post published this month', N'🏠',
+     N'{"type":"all_posts","window":"month","minPosts":2}'),
+    ('top3_quarter', N'Podium', N'Finished a quarter in the top 3 of the leaderboard', N'🏆',
+     N'{"type":"rank","maxRank":3,"window":"quarter","period":"completed"}');
+END
+GO
+
+-- Podium is judged on the finished quarter; early seeds ranked the current one,
+-- which on day 1 goes to whoever happens to be in the top 3
+UPDATE dbo.BadgeDefinitions
+SET rule = JSON_MODIFY(rule, '$.period', 'completed'),
+    description = N'Finished a quarter in the top 3 of the leaderboard',
+    updatedAt = SYSDATETIMEOFFSET()
+WHERE code = 'top3_quarter' AND JSON_VALUE(rule, '$.period') IS NULL;
+GO
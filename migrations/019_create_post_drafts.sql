@@ -0,0 +1,32 @@
+-- Migration 019: Post drafts and scheduled publishing
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- PostDrafts: Posts written ahead of time. A scheduled draft is picked up by the
+-- publish worker once nextAttemptAt has passed; failures are retried with backoff.
+IF OBJECT_ID('dbo.PostDrafts', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.PostDrafts (
+        id              BIGINT IDENTITY(1,1) PRIMARY KEY,
+        organizationId  INT NOT NULL
+            CONSTRAINT FK_PostDrafts_Organization REFERENCES dbo.Organizations(id),
+        text            NVARCHAR(MAX) NOT NULL,
+        status          VARCHAR(20) NOT NULL DEFAULT 'draft',
+        scheduledAt     DATETIMEOFFSET NULL,        -- when the author wants it published
+        nextAttemptAt   DATETIMEOFFSET NULL,        -- scheduledAt, pushed back after failures
+        attempts        INT NOT NULL DEFAULT 0,
+        lastError       NVARCHAR(1000) NULL,
+        postId          VARCHAR(255) NULL,          -- LinkedInPosts.postId once published
+        publishedAt     DATETIMEOFFSET NULL,
+        createdBy       VARCHAR(100) NULL,
+        updatedBy       VARCHAR(100) NULL,
+        createdAt       DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+        updatedAt       DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+
+        CONSTRAINT CK_PostDrafts_Status CHECK (
+            status IN ('draft', 'scheduled', 'publishing', 'published', 'failed', 'cancelled')
+        )
+    );
+
+    CREATE INDEX IX_PostDrafts_Status_NextAttempt ON dbo.PostDrafts (status, nextAttemptAt);
+END
+GO
@@ -0,0 +1,28 @@
+-- Migration 020: Images and documents attached to published posts
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- PostMedia: One row per attachment, in the order it appears on the post.
+-- LinkedIn uploads keep the asset URN; mock mode uploads keep the local file name.
+-- LinkedInPosts.mediaUrl points at the first attachment's preview (/media/:id).
+IF OBJECT_ID('dbo.PostMedia', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.PostMedia (
+        id          BIGINT IDENTITY(1,1) PRIMARY KEY,
+        postId      VARCHAR(255) NOT NULL
+            CONSTRAINT FK_PostMedia_Post REFERENCES dbo.LinkedInPosts(postId),
+        position    INT NOT NULL DEFAULT 0,
+        mediaType   VARCHAR(20) NOT NULL,           -- image, document
+        assetUrn    VARCHAR(255) NULL,              -- urn:li:image:... / urn:li:document:...
+        storedName  NVARCHAR(255) NULL,             -- file under UPLOAD_DIR (mock mode)
+        fileName    NVARCHAR(255) NULL,             -- original upload name
+        contentType VARCHAR(100) NOT NULL,
+        sizeBytes   INT NOT NULL,
+        createdAt   DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+
+        CONSTRAINT CK_PostMedia_Type CHECK (mediaType IN ('image', 'document')),
+        CONSTRAINT CK_PostMedia_Source CHECK (assetUrn IS NOT NULL OR storedName IS NOT NULL)
+    );
+
+    CREATE INDEX IX_PostMedia_PostId ON dbo.PostMedia (postId, position);
+END
+GO
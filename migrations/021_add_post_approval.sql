@@ -0,0 +1,75 @@
+-- Migration 021: Review and approval workflow for company posts
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- Drafts now go draft -> pending_review -> approved/rejected before they can be
+-- scheduled or published
+IF EXISTS (SELECT 1 FROM sys.check_constraints WHERE name = 'CK_PostDrafts_Status')
+BEGIN
+    ALTER TABLE dbo.PostDrafts DROP CONSTRAINT CK_PostDrafts_Status;
+END
+GO
+
+ALTER TABLE dbo.PostDrafts ADD CONSTRAINT CK_PostDrafts_Status CHECK (
+    status IN ('draft', 'pending_review', 'approved', 'rejected', 'scheduled',
+               'publishing', 'published', 'failed', 'cancelled')
+);
+GO
+
+IF COL_LENGTH('dbo.PostDrafts', 'submittedBy') IS NULL
+BEGIN
+    ALTER TABLE dbo.PostDrafts ADD
+        submittedBy     VARCHAR(100) NULL,
+        submittedAt     DATETIMEOFFSET NULL,
+        reviewedBy      VARCHAR(100) NULL,      -- who approved or rejected the current version
+        reviewedAt      DATETIMEOFFSET NULL,
+        reviewComment   NVARCHAR(1000) NULL,
+        scheduledBy     VARCHAR(100) NULL,
+        publishedBy     VARCHAR(100) NULL;      -- who published it, or scheduled it for the worker
+END
+GO
+
+-- PostDraftEvents: Every status change and reviewer comment, oldest first
+IF OBJECT_ID('dbo.PostDraftEvents', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.PostDraftEvents (
+        id          BIGINT IDENTITY(1,1) PRIMARY KEY,
+        draftId     BIGINT NOT NULL
+            CONSTRAINT FK_PostDraftEvents_Draft REFERENCES dbo.PostDrafts(id),
+        action      VARCHAR(20) NOT NULL,       -- created, edited, submitted, approved, rejected, commented, ...
+        fromStatus  VARCHAR(20) NULL,
+        toStatus    VARCHAR(20) NULL,
+        actor       VARCHAR(100) NULL,          -- NULL for the publish worker
+        comment     NVARCHAR(1000) NULL,
+        createdAt   DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET()
+    );
+
+    CREATE INDEX IX_PostDraftEvents_DraftId ON dbo.PostDraftEvents (draftId, id);
+END
+GO
+
+-- Attachments are uploaded with the draft so reviewers see them; they belong to
+-- a draft until it is published (postId stays NULL until then)
+IF COL_LENGTH('dbo.PostMedia', 'draftId') IS NULL
+BEGIN
+    ALTER TABLE dbo.PostMedia DROP CONSTRAINT FK_PostMedia_Post;
+    DROP INDEX IX_PostMedia_PostId ON dbo.PostMedia;
+
+    ALTER TABLE dbo.PostMedia ALTER COLUMN postId VARCHAR(255) NULL;
+    ALTER TABLE dbo.PostMedia ADD draftId BIGINT NULL
+        CONSTRAINT FK_PostMedia_Draft REFERENCES dbo.PostDrafts(id);
+    ALTER TABLE dbo.PostMedia ADD CONSTRAINT FK_PostMedia_Post
+        FOREIGN KEY (postId) REFERENCES dbo.LinkedInPosts(postId);
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PostMedia_PostId' AND object_id = OBJECT_ID('dbo.PostMedia'))
+BEGIN
+    CREATE INDEX IX_PostMedia_PostId ON dbo.PostMedia (postId, position);
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_PostMedia_DraftId' AND object_id = OBJECT_ID('dbo.PostMedia'))
+BEGIN
+    CREATE INDEX IX_PostMedia_DraftId ON dbo.PostMedia (draftId, position);
+END
+GO
@@ -0,0 +1,14 @@
+-- Migration 022: Track edits and deletions of published posts
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- Deleted posts are kept (soft delete) so their engagements stay in the history;
+-- they drop out of the feed, suggestions and sync reconciliation
+IF COL_LENGTH('dbo.LinkedInPosts', 'deletedAt') IS NULL
+BEGIN
+    ALTER TABLE dbo.LinkedInPosts ADD
+        editedAt    DATETIMEOFFSET NULL,
+        editedBy    VARCHAR(100) NULL,
+        deletedAt   DATETIMEOFFSET NULL,
+        deletedBy   VARCHAR(100) NULL;
+END
+GO
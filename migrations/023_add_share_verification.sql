@@ -0,0 +1,52 @@
+-- Migration 023: Verify advocacy shares against reshares found on LinkedIn
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- status: pending (reported, not yet seen on LinkedIn), verified (the reshare was
+-- found, or created through the API), unverified (not found within
+-- ADVOCACY_VERIFY_WINDOW_DAYS). source: self_reported, sync, api, legacy.
+-- Shares recorded before verification existed are kept as verified (source
+-- legacy), so they still count and are never expired; only shares reported from
+-- now on start out pending.
+IF COL_LENGTH('dbo.AdvocacyShares', 'status') IS NULL
+BEGIN
+    ALTER TABLE dbo.AdvocacyShares ADD
+        status      VARCHAR(20) NOT NULL
+            CONSTRAINT DF_AdvocacyShares_Status DEFAULT 'pending',
+        source      VARCHAR(20) NOT NULL
+            CONSTRAINT DF_AdvocacyShares_Source DEFAULT 'self_reported',
+        shareUrn    VARCHAR(255) NULL,              -- the member's reshare on LinkedIn
+        verifiedAt  DATETIMEOFFSET NULL;
+
+    EXEC('UPDATE dbo.AdvocacyShares SET status = ''verified'', source = ''legacy'', verifiedAt = sharedAt');
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.check_constraints WHERE name = 'CK_AdvocacyShares_Status')
+BEGIN
+    ALTER TABLE dbo.AdvocacyShares ADD CONSTRAINT CK_AdvocacyShares_Status
+        CHECK (status IN ('pending', 'verified', 'unverified'));
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'UQ_AdvocacyShares_ShareUrn')
+BEGIN
+    CREATE UNIQUE INDEX UQ_AdvocacyShares_ShareUrn ON dbo.AdvocacyShares (shareUrn)
+        WHERE shareUrn IS NOT NULL;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_AdvocacyShares_Status')
+BEGIN
+    CREATE INDEX IX_AdvocacyShares_Status ON dbo.AdvocacyShares (status, sharedAt);
+END
+GO
+
+-- Reshares found and shares verified/expired per sync run
+IF COL_LENGTH('dbo.SyncLog', 'sharesVerified') IS NULL
+BEGIN
+    ALTER TABLE dbo.SyncLog ADD
+        resharesFound   INT NULL,
+        sharesVerified  INT NULL,
+        sharesExpired   INT NULL;
+END
+GO
@@ -0,0 +1,30 @@
+-- Migration 024: Per-member LinkedIn tokens for sharing on an employee's behalf
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- MemberTokens: One row per employee who consented to w_member_social
+-- (tokens encrypted like AdminTokens, see services/tokenCrypto.js)
+IF OBJECT_ID('dbo.MemberTokens', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.MemberTokens (
+        id                  BIGINT IDENTITY(1,1) PRIMARY KEY,
+        userSub             VARCHAR(100) NOT NULL,
+        accessToken         VARCHAR(4000) NOT NULL,
+        refreshToken        VARCHAR(4000) NULL,
+        keyId               VARCHAR(50) NULL,
+        scope               VARCHAR(500) NULL,          -- scopes LinkedIn granted
+        expiresAt           DATETIMEOFFSET NOT NULL,
+        refreshExpiresAt    DATETIMEOFFSET NULL,
+        createdAt           DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+        updatedAt           DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+
+        CONSTRAINT UQ_MemberTokens_UserSub UNIQUE (userSub)
+    );
+END
+GO
+
+-- The employee's own words on a reshare published through the API
+IF COL_LENGTH('dbo.AdvocacyShares', 'commentary') IS NULL
+BEGIN
+    ALTER TABLE dbo.AdvocacyShares ADD commentary NVARCHAR(3000) NULL;
+END
+GO
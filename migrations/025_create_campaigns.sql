@@ -0,0 +1,59 @@
+-- Migration 025: Advocacy campaigns with goals, target audiences and deadlines
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- Campaigns: A set of posts to push between startsAt and endsAt. goalType is
+-- 'shares' (shares of the campaign's posts) or 'participants' (employees who
+-- shared at least one), counted for the target audience within the dates.
+IF OBJECT_ID('dbo.Campaigns', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.Campaigns (
+        id              INT IDENTITY(1,1) PRIMARY KEY,
+        name            NVARCHAR(200) NOT NULL,
+        description     NVARCHAR(1000) NULL,
+        suggestedText   NVARCHAR(3000) NULL,        -- commentary offered when sharing
+        startsAt        DATETIMEOFFSET NOT NULL,
+        endsAt          DATETIMEOFFSET NOT NULL,
+        goalType        VARCHAR(20) NOT NULL DEFAULT 'shares',
+        goalTarget      INT NOT NULL,
+        isActive        BIT NOT NULL DEFAULT 1,
+        createdBy       VARCHAR(100) NULL,
+        createdAt       DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+        updatedAt       DATETIMEOFFSET NULL,
+
+        CONSTRAINT CK_Campaigns_Dates CHECK (endsAt > startsAt),
+        CONSTRAINT CK_Campaigns_Goal CHECK (goalType IN ('shares', 'participants') AND goalTarget > 0)
+    );
+
+    CREATE INDEX IX_Campaigns_Active_Dates ON dbo.Campaigns (isActive, startsAt, endsAt);
+END
+GO
+
+-- CampaignPosts: The posts in a campaign, in the order they are suggested
+IF OBJECT_ID('dbo.CampaignPosts', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CampaignPosts (
+        campaignId  INT NOT NULL
+            CONSTRAINT FK_CampaignPosts_Campaign REFERENCES dbo.Campaigns(id) ON DELETE CASCADE,
+        postId      VARCHAR(255) NOT NULL
+            CONSTRAINT FK_CampaignPosts_Post REFERENCES dbo.LinkedInPosts(postId),
+        position    INT NOT NULL DEFAULT 0,
+
+        CONSTRAINT PK_CampaignPosts PRIMARY KEY (campaignId, postId)
+    );
+
+    CREATE INDEX IX_CampaignPosts_PostId ON dbo.CampaignPosts (postId);
+END
+GO
+
+-- CampaignTeams: Teams (users.team) a campaign targets; none means all employees
+IF OBJECT_ID('dbo.CampaignTeams', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CampaignTeams (
+        campaignId  INT NOT NULL
+            CONSTRAINT FK_CampaignTeams_Campaign REFERENCES dbo.Campaigns(id) ON DELETE CASCADE,
+        team        NVARCHAR(100) NOT NULL,
+
+        CONSTRAINT PK_CampaignTeams PRIMARY KEY (campaignId, team)
+    );
+END
+GO
@@ -0,0 +1,57 @@
+-- Migration 026: Personal share links per advocate and post, with click logging
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- ShareLinks: One short code per user and post, served by GET /s/:code, created
+-- when the user first asks for it. Codes are case-sensitive (binary collation), so
+-- both the unique key and lookups by code compare them exactly.
+IF OBJECT_ID('dbo.ShareLinks', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.ShareLinks (
+        id          BIGINT IDENTITY(1,1) PRIMARY KEY,
+        code        VARCHAR(16) COLLATE Latin1_General_BIN2 NOT NULL,
+        postId      VARCHAR(255) NOT NULL
+            CONSTRAINT FK_ShareLinks_Post REFERENCES dbo.LinkedInPosts(postId),
+        userSub     VARCHAR(100) NOT NULL,
+        createdAt   DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+
+        CONSTRAINT UQ_ShareLinks_Code UNIQUE (code),
+        CONSTRAINT UQ_ShareLinks_Post_User UNIQUE (postId, userSub)
+    );
+
+    CREATE INDEX IX_ShareLinks_UserSub ON dbo.ShareLinks (userSub);
+END
+GO
+
+-- Tables created before codes were case-sensitive: rebuild the unique key on the
+-- binary collation (codes unique case-insensitively are unique exactly as well)
+IF EXISTS (
+    SELECT 1 FROM sys.columns
+    WHERE object_id = OBJECT_ID('dbo.ShareLinks') AND name = 'code'
+      AND collation_name <> 'Latin1_General_BIN2'
+)
+BEGIN
+    ALTER TABLE dbo.ShareLinks DROP CONSTRAINT UQ_ShareLinks_Code;
+    ALTER TABLE dbo.ShareLinks ALTER COLUMN code VARCHAR(16) COLLATE Latin1_General_BIN2 NOT NULL;
+    ALTER TABLE dbo.ShareLinks ADD CONSTRAINT UQ_ShareLinks_Code UNIQUE (code);
+END
+GO
+
+-- ShareLinkClicks: Clicks on share links. Repeat clicks from the same IP (kept
+-- only as a keyed hash) within SHARE_LINK_DEDUPE_HOURS are not logged again.
+-- userAgent is coarse: desktop, mobile, tablet, bot or other.
+IF OBJECT_ID('dbo.ShareLinkClicks', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.ShareLinkClicks (
+        id          BIGINT IDENTITY(1,1) PRIMARY KEY,
+        linkId      BIGINT NOT NULL
+            CONSTRAINT FK_ShareLinkClicks_Link REFERENCES dbo.ShareLinks(id),
+        clickedAt   DATETIMEOFFSET NOT NULL DEFAULT SYSDATETIMEOFFSET(),
+        referrer    NVARCHAR(255) NULL,             -- referring host only
+        userAgent   VARCHAR(20) NOT NULL,
+        ipHash      VARCHAR(64) NOT NULL
+    );
+
+    CREATE INDEX IX_ShareLinkClicks_Link_IpHash ON dbo.ShareLinkClicks (linkId, ipHash, clickedAt);
+    CREATE INDEX IX_ShareLinkClicks_ClickedAt ON dbo.ShareLinkClicks (clickedAt) INCLUDE (linkId, userAgent);
+END
+GO
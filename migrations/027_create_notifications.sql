@@ -0,0 +1,90 @@
+-- Migration 027: Notification preferences, new-post digests and weekly leaderboard summaries
+-- Run against Azure SQL: LinkedInEngagement database
+
+-- Per-channel preferences on the user profile. NULL means the default
+-- (NOTIFY_EMAIL_DEFAULT / NOTIFY_WEBHOOK_DEFAULT); 1 opts in, 0 opts out.
+IF COL_LENGTH('dbo.users', 'notifyEmail') IS NULL
+BEGIN
+    ALTER TABLE dbo.users ADD
+        notifyEmail         BIT NULL,
+        notifyWebhook       BIT NULL,
+        notifyWebhookUrl    NVARCHAR(500) NULL;     -- the user's Slack/Teams incoming webhook
+END
+GO
+
+-- Posts already announced in a digest. Existing posts are not news.
+IF COL_LENGTH('dbo.LinkedInPosts', 'announcedAt') IS NULL
+BEGIN
+    ALTER TABLE dbo.LinkedInPosts ADD announcedAt DATETIMEOFFSET NULL;
+    EXEC('UPDATE dbo.LinkedInPosts SET announcedAt = SYSDATETIMEOFFSET()');
+END
+GO
+
+-- A digest run claims the posts it announces; they count as announced only once
+-- a delivery succeeded, and a claim older than the digest's lease is taken over
+IF COL_LENGTH('dbo.LinkedInPosts', 'announcingAt') IS NULL
+BEGIN
+    ALTER TABLE dbo.LinkedInPosts ADD announcingAt DATETIMEOFFSET NULL;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_LinkedInPosts_Unannounced')
+BEGIN
+    CREATE INDEX IX_LinkedInPosts_Unannounced ON dbo.LinkedInPosts (organizationId)
+        WHERE announcedAt IS NULL;
+END
+GO
+
+-- NotificationLog: One row per delivery attempt. kind: digest, leaderboard.
+-- channel: email, webhook (the user's own) or channel (NOTIFY_CHANNEL_WEBHOOK_URL,
+-- recipient 'channel'). periodKey is the week of a leaderboard summary.
+IF OBJECT_ID('dbo.NotificationLog', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.NotificationLog (
+        id          BIGINT IDENTITY(1,1) PRIMARY KEY,
+        kind        VARCHAR(20) NOT NULL,
+        channel     VARCHAR(20) NOT NULL,
+        recipient   VARCHAR(100) NOT NULL,
+        periodKey   VARCHAR(20) NULL,
+        status      VARCHAR(20) NOT NULL,           -- sent, failed
+        detail      NVARCHAR(1000) NULL,            -- posts listed, or the error
+        createdAt   DATETIMEOFFSET DEFAULT SYSDATETIMEOFFSET(),
+
+        CONSTRAINT CK_NotificationLog_Kind CHECK (kind IN ('digest', 'leaderboard')),
+        CONSTRAINT CK_NotificationLog_Channel CHECK (channel IN ('email', 'webhook', 'channel')),
+        CONSTRAINT CK_NotificationLog_Status CHECK (status IN ('sent', 'failed'))
+    );
+
+    CREATE INDEX IX_NotificationLog_Kind_Period ON dbo.NotificationLog (kind, periodKey, createdAt DESC);
+    CREATE INDEX IX_NotificationLog_Recipient ON dbo.NotificationLog (recipient, createdAt DESC);
+END
+GO
+
+-- NotificationPeriods: One row per summary period (kind leaderboard, periodKey the
+-- week), claimed before the first message goes out. status: sending (in progress,
+-- or no delivery has succeeded yet: the next run resumes it), sent.
+IF OBJECT_ID('dbo.NotificationPeriods', 'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.NotificationPeriods (
+        id          BIGINT IDENTITY(1,1) PRIMARY KEY,
+        kind        VARCHAR(20) NOT NULL,
+        periodKey   VARCHAR(20) NOT NULL,
+        status      VARCHAR(20) NOT NULL DEFAULT 'sending',
+        startedAt   DATETIMEOFFSET NOT NULL DEFAULT SYSDATETIMEOFFSET(),
+        sentAt      DATETIMEOFFSET NULL,
+
+        CONSTRAINT UQ_NotificationPeriods_Kind_Period UNIQUE (kind, periodKey),
+        CONSTRAINT CK_NotificationPeriods_Kind CHECK (kind IN ('leaderboard')),
+        CONSTRAINT CK_NotificationPeriods_Status CHECK (status IN ('sending', 'sent'))
+    );
+
+    -- Weeks summarized before periods were recorded
+    EXEC('
+        INSERT INTO dbo.NotificationPeriods (kind, periodKey, status, startedAt, sentAt)
+        SELECT kind, periodKey, ''sent'', MIN(createdAt), MAX(createdAt)
+        FROM dbo.NotificationLog
+        WHERE kind = ''leaderboard'' AND periodKey IS NOT NULL AND status = ''sent''
+        GROUP BY kind, periodKey
+    ');
+END
+GO
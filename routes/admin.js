@@ -1,9 +1,53 @@
 // routes/admin.js
-// Admin authorization for LinkedIn Community Management API
+// Admin authorization for LinkedIn Community Management API, organizations and role management
 
 const express = require("express");
 const axios = require("axios");
+const cron = require("node-cron");
 const { sql, getPool } = require("../db");
+const { auth, requireRole, ROLES } = require("../middleware/auth");
+const { createOAuthState, consumeOAuthState, buildAuthorizationUrl } = require("../services/oauthState");
+const {
+  saveAdminToken,
+  getAdminTokenStatus,
+  forceRefreshAdminToken,
+  getTokenRefreshLog,
+  reencryptAdminTokens,
+} = require("../services/adminTokens");
+const { reencryptMemberTokens } = require("../services/memberTokens");
+const { describeTokenExpiry } = require("../services/tokenMaintenance");
+const {
+  listOrganizations,
+  resolveOrganization,
+  createOrganization,
+  updateOrganization,
+} = require("../services/organizations");
+const { scheduleOrganizationSyncs } = require("../services/syncJobs");
+const { runLockedLeaderboardHistoryJob } = require("../services/leaderboardHistory");
+const { runLockedWeeklyLeaderboard, getNotificationLog } = require("../services/notifications");
+const {
+  validateBadgeRule,
+  listBadgeDefinitions,
+  createBadgeDefinition,
+  updateBadgeDefinition,
+  evaluateBadges,
+} = require("../services/badges");
+const {
+  CAMPAIGN_STATES,
+  validateCampaign,
+  findMissingPosts,
+  listCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+} = require("../services/campaigns");
+const {
+  validateScoringConfig,
+  listScoringModels,
+  createScoringModel,
+  activateScoringModel,
+  USER_ATTRIBUTES,
+} = require("../services/scoring");
 
 const router = express.Router();
 
@@ -11,6 +55,7 @@ const POST_CLIENT_ID = process.env.POST_CLIENT_ID;
 const POST_CLIENT_SECRET = process.env.POST_CLIENT_SECRET;
 const BASE_URL = process.env.BASE_URL || "http://localhost:3003";
 const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || "http://localhost:5173";
+const ADMIN_REDIRECT_URI = `${BASE_URL}/admin/linkedin/callback`;
 
 // Scopes needed for Community Management API
 const ADMIN_SCOPES = [
@@ -20,34 +65,78 @@ const ADMIN_SCOPES = [
   "w_organization_social",       // Write access (needed for some read endpoints)
 ].join(" ");
 
-// GET /admin/linkedin/authorize - Start admin OAuth flow
-router.get("/linkedin/authorize", (req, res) => {
+// Frontend URL to land on after the admin flow, with a status query parameter
+function adminRedirect(returnTo, key, value) {
+  const target = new URL(returnTo || "/dashboard", FRONTEND_ORIGIN);
+  target.searchParams.set(key, value);
+  return target.toString();
+}
+
+// GET /admin/linkedin/authorize - Start admin OAuth flow (admin)
+// Returns the LinkedIn URL as JSON; the frontend calls this with its bearer
+// token and then navigates the browser to authUrl. Optional ?returnTo=/path,
+// and ?orgId= to authorize an organization other than the default one.
+router.get("/linkedin/authorize", auth, requireRole("admin"), async (req, res) => {
   if (!POST_CLIENT_ID) {
-    return res.status(500).send("POST_CLIENT_ID not configured");
+    return res.status(500).json({ error: "POST_CLIENT_ID not configured" });
   }
 
-  const state = Math.random().toString(36).slice(2);
-  const redirectUri = `${BASE_URL}/admin/linkedin/callback`;
+  try {
+    const org = await resolveOrganization(req.query.orgId, { includeInactive: true });
+    if (!org) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+
+    const { state, codeChallenge } = await createOAuthState("admin", {
+      returnTo: req.query.returnTo,
+      userSub: req.user.sub,
+      organizationId: org.id,
+    });
 
-  const authUrl =
-    `https://www.linkedin.com/oauth/v2/authorization?` +
-    `response_type=code&` +
-    `client_id=${encodeURIComponent(POST_CLIENT_ID)}&` +
-    `redirect_uri=${encodeURIComponent(redirectUri)}&` +
-    `state=${encodeURIComponent(state)}&` +
-    `scope=${encodeURIComponent(ADMIN_SCOPES)}`;
+    const authUrl = buildAuthorizationUrl({
+      clientId: POST_CLIENT_ID,
+      redirectUri: ADMIN_REDIRECT_URI,
+      scope: ADMIN_SCOPES,
+      state,
+      codeChallenge,
+    });
 
-  console.log("[Admin] Starting LinkedIn admin authorization");
-  res.redirect(authUrl);
+    console.log(`[Admin] Starting LinkedIn admin authorization of ${org.orgUrn} for ${req.user.sub}`);
+    res.json({ authUrl });
+  } catch (err) {
+    console.error("[Admin] Authorization start failed:", err.message);
+    res.status(500).json({ error: "Failed to start authorization" });
+  }
 });
 
 // GET /admin/linkedin/callback - Handle OAuth callback
+// Only accepted with a state issued to a user who is still an admin
 router.get("/linkedin/callback", async (req, res) => {
-  const { code, error, error_description } = req.query;
+  const { code, state, error, error_description } = req.query;
+
+  let oauthState;
+  try {
+    oauthState = await consumeOAuthState(state, "admin");
+    if (oauthState) {
+      const pool = await getPool();
+      const result = await pool.request()
+        .input("sub", sql.VarChar, oauthState.userSub)
+        .query("SELECT role FROM dbo.users WHERE sub = @sub");
+      if (result.recordset[0]?.role !== "admin") oauthState = null;
+    }
+  } catch (err) {
+    console.error("[Admin] OAuth state lookup failed:", err.message);
+    return res.status(500).send("OAuth failed");
+  }
+
+  if (!oauthState) {
+    console.warn("[Admin] Rejected callback with invalid or expired state");
+    return res.status(400).send("Invalid or expired OAuth state");
+  }
 
   if (error) {
     console.error("[Admin] OAuth error:", error, error_description);
-    return res.redirect(`${FRONTEND_ORIGIN}/dashboard?admin_error=${encodeURIComponent(error_description || error)}`);
+    return res.redirect(adminRedirect(oauthState.returnTo, "admin_error", error_description || error));
   }
 
   if (!code) {
@@ -55,91 +144,66 @@ router.get("/linkedin/callback", async (req, res) => {
   }
 
   try {
-    const redirectUri = `${BASE_URL}/admin/linkedin/callback`;
-
     // Exchange code for tokens
+    const tokenParams = {
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: ADMIN_REDIRECT_URI,
+      client_id: POST_CLIENT_ID,
+      client_secret: POST_CLIENT_SECRET,
+    };
+    if (oauthState.codeVerifier) tokenParams.code_verifier = oauthState.codeVerifier;
+
     const tokenRes = await axios.post(
       "https://www.linkedin.com/oauth/v2/accessToken",
-      new URLSearchParams({
-        grant_type: "authorization_code",
-        code,
-        redirect_uri: redirectUri,
-        client_id: POST_CLIENT_ID,
-        client_secret: POST_CLIENT_SECRET,
-      }),
+      new URLSearchParams(tokenParams),
       { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
     );
 
-    const { access_token, expires_in, refresh_token, refresh_token_expires_in } = tokenRes.data;
-
-    // Calculate expiry times
-    const now = new Date();
-    const accessTokenExpiry = new Date(now.getTime() + (expires_in * 1000));
-    const refreshTokenExpiry = refresh_token_expires_in
-      ? new Date(now.getTime() + (refresh_token_expires_in * 1000))
-      : null;
-
-    // Store token in database
-    const pool = await getPool();
-    const r = pool.request();
-    r.input("tokenType", sql.VarChar, "linkedin_admin");
-    r.input("accessToken", sql.VarChar, access_token);
-    r.input("refreshToken", sql.VarChar, refresh_token || null);
-    r.input("expiresAt", sql.DateTimeOffset, accessTokenExpiry);
-    r.input("refreshExpiresAt", sql.DateTimeOffset, refreshTokenExpiry);
-
-    await r.query(`
-      MERGE dbo.AdminTokens AS target
-      USING (SELECT @tokenType AS tokenType) AS source
-      ON target.tokenType = source.tokenType
-      WHEN MATCHED THEN
-        UPDATE SET
-          accessToken = @accessToken,
-          refreshToken = @refreshToken,
-          expiresAt = @expiresAt,
-          refreshExpiresAt = @refreshExpiresAt,
-          updatedAt = SYSDATETIMEOFFSET()
-      WHEN NOT MATCHED THEN
-        INSERT (tokenType, accessToken, refreshToken, expiresAt, refreshExpiresAt)
-        VALUES (@tokenType, @accessToken, @refreshToken, @expiresAt, @refreshExpiresAt);
-    `);
+    // Store the token (encrypted) against the organization the flow was started for
+    const { expiresAt } = await saveAdminToken(oauthState.organizationId, tokenRes.data);
 
-    console.log("[Admin] LinkedIn admin token stored successfully");
-    console.log("[Admin] Token expires:", accessTokenExpiry.toISOString());
+    console.log(
+      `[Admin] LinkedIn admin token stored for organization ${oauthState.organizationId} ` +
+      `(authorized by ${oauthState.userSub})`
+    );
+    console.log("[Admin] Token expires:", expiresAt.toISOString());
 
-    res.redirect(`${FRONTEND_ORIGIN}/dashboard?admin_authorized=true`);
+    res.redirect(adminRedirect(oauthState.returnTo, "admin_authorized", "true"));
   } catch (err) {
     console.error("[Admin] Token exchange failed:", err.response?.data || err.message);
-    res.redirect(`${FRONTEND_ORIGIN}/dashboard?admin_error=${encodeURIComponent("Token exchange failed")}`);
+    res.redirect(adminRedirect(oauthState.returnTo, "admin_error", "Token exchange failed"));
   }
 });
 
-// GET /admin/linkedin/status - Check if admin is authorized
-router.get("/linkedin/status", async (req, res) => {
+// GET /admin/linkedin/status?orgId= - Check if an organization is authorized (admin)
+// Reports access and refresh token expiry, days remaining and the last refresh attempt
+router.get("/linkedin/status", auth, requireRole("admin"), async (req, res) => {
   try {
-    const pool = await getPool();
-    const result = await pool.request()
-      .input("tokenType", sql.VarChar, "linkedin_admin")
-      .query(`
-        SELECT expiresAt, refreshExpiresAt, updatedAt
-        FROM dbo.AdminTokens
-        WHERE tokenType = @tokenType
-      `);
+    const org = await resolveOrganization(req.query.orgId, { includeInactive: true });
+    if (!org) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
 
-    if (result.recordset.length === 0) {
-      return res.json({ authorized: false });
+    const token = await getAdminTokenStatus(org.id);
+    if (!token) {
+      return res.json({ organizationId: org.id, authorized: false });
     }
 
-    const token = result.recordset[0];
     const now = new Date();
     const expiresAt = new Date(token.expiresAt);
     const isExpired = expiresAt < now;
 
+    const [lastRefresh] = await getTokenRefreshLog(org.id, 1);
+
     res.json({
+      organizationId: org.id,
       authorized: !isExpired,
-      expiresAt: token.expiresAt,
+      ...describeTokenExpiry(token),
       updatedAt: token.updatedAt,
+      keyId: token.keyId,
       isExpired,
+      lastRefresh: lastRefresh || null,
     });
   } catch (err) {
     console.error("[Admin] Status check failed:", err.message);
@@ -147,4 +211,560 @@ router.get("/linkedin/status", async (req, res) => {
   }
 });
 
+// POST /admin/linkedin/refresh?orgId= - Refresh an organization's admin token now (admin)
+router.post("/linkedin/refresh", auth, requireRole("admin"), async (req, res) => {
+  try {
+    const org = await resolveOrganization(req.query.orgId, { includeInactive: true });
+    if (!org) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+
+    const { expiresAt } = await forceRefreshAdminToken(org.id, "on_demand");
+    console.log(`[Admin] ${req.user.sub} refreshed the admin token for ${org.orgUrn}`);
+    res.json({ success: true, organizationId: org.id, expiresAt });
+  } catch (err) {
+    console.error("[Admin] Token refresh failed:", err.message);
+    res.status(502).json({ error: err.message });
+  }
+});
+
+// GET /admin/linkedin/refresh-log?orgId=&limit= - Recent token refresh attempts (admin)
+router.get("/linkedin/refresh-log", auth, requireRole("admin"), async (req, res) => {
+  try {
+    const org = await resolveOrganization(req.query.orgId, { includeInactive: true });
+    if (!org) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+
+    const limit = Math.min(Number(req.query.limit || 20), 100);
+    res.json({ organizationId: org.id, attempts: await getTokenRefreshLog(org.id, limit) });
+  } catch (err) {
+    console.error("[Admin] Refresh log query failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch refresh log" });
+  }
+});
+
+// POST /admin/tokens/rotate-key - Re-encrypt stored admin and member tokens with the active key (admin)
+// Run after putting a new key first in TOKEN_ENCRYPTION_KEYS; the old key can be
+// dropped from the list once this has succeeded.
+router.post("/tokens/rotate-key", auth, requireRole("admin"), async (req, res) => {
+  try {
+    const rewritten = await reencryptAdminTokens();
+    const memberRewritten = await reencryptMemberTokens();
+    console.log(
+      `[Admin] ${req.user.sub} re-encrypted ${rewritten} admin token(s) and ${memberRewritten} member token(s)`
+    );
+    res.json({ success: true, rewritten, memberRewritten });
+  } catch (err) {
+    console.error("[Admin] Token re-encryption failed:", err.message);
+    res.status(500).json({ error: "Failed to re-encrypt tokens" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Organizations
+// -----------------------------------------------------------------------------
+
+const ORG_URN_PATTERN = /^urn:li:organization:\d+$/;
+
+// Reload this instance's per-organization cron tasks after a change (other
+// instances pick it up on their next schedule refresh); a failure here
+// shouldn't fail the request that made the change
+function rescheduleSyncs() {
+  scheduleOrganizationSyncs().catch((err) =>
+    console.error("[Admin] Failed to reschedule syncs:", err.message)
+  );
+}
+
+// GET /admin/organizations - List organizations (admin)
+router.get("/organizations", auth, requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await listOrganizations());
+  } catch (err) {
+    console.error("[Admin] Organization list failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch organizations" });
+  }
+});
+
+// POST /admin/organizations - Add an organization (admin)
+// Body: { orgUrn, name?, syncSchedule? } — syncSchedule is a cron expression
+router.post("/organizations", auth, requireRole("admin"), async (req, res) => {
+  const { orgUrn, name, syncSchedule } = req.body || {};
+  if (!ORG_URN_PATTERN.test(orgUrn || "")) {
+    return res.status(400).json({ error: "orgUrn must look like urn:li:organization:<id>" });
+  }
+  if (syncSchedule && !cron.validate(syncSchedule)) {
+    return res.status(400).json({ error: "syncSchedule is not a valid cron expression" });
+  }
+
+  try {
+    const org = await createOrganization({ orgUrn, name, syncSchedule });
+    console.log(`[Admin] ${req.user.sub} added organization ${orgUrn}`);
+    rescheduleSyncs();
+    res.status(201).json(org);
+  } catch (err) {
+    if (err.number === 2627 || err.number === 2601) {
+      return res.status(409).json({ error: "Organization already exists" });
+    }
+    console.error("[Admin] Organization create failed:", err.message);
+    res.status(500).json({ error: "Failed to create organization" });
+  }
+});
+
+// PUT /admin/organizations/:id - Update name, syncSchedule or isActive (admin)
+router.put("/organizations/:id", auth, requireRole("admin"), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: "Invalid organization id" });
+  }
+
+  const { name, syncSchedule, isActive } = req.body || {};
+  if (syncSchedule && !cron.validate(syncSchedule)) {
+    return res.status(400).json({ error: "syncSchedule is not a valid cron expression" });
+  }
+  if (isActive !== undefined && typeof isActive !== "boolean") {
+    return res.status(400).json({ error: "isActive must be a boolean" });
+  }
+
+  try {
+    const org = await updateOrganization(id, { name, syncSchedule, isActive });
+    if (!org) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+
+    console.log(`[Admin] ${req.user.sub} updated organization ${org.orgUrn}`);
+    rescheduleSyncs();
+    res.json(org);
+  } catch (err) {
+    console.error("[Admin] Organization update failed:", err.message);
+    res.status(500).json({ error: "Failed to update organization" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Scoring models
+// -----------------------------------------------------------------------------
+
+// GET /admin/scoring-models - All scoring model versions, newest first (admin)
+router.get("/scoring-models", auth, requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await listScoringModels());
+  } catch (err) {
+    console.error("[Admin] Scoring model list failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch scoring models" });
+  }
+});
+
+// POST /admin/scoring-models - Save a new version and make it active (admin)
+// Body: { config, notes? }. Versions are never edited in place, so a past
+// leaderboard can always be recomputed with ?modelVersion=.
+router.post("/scoring-models", auth, requireRole("admin"), async (req, res) => {
+  const { config, notes } = req.body || {};
+  const errors = validateScoringConfig(config);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid scoring config", details: errors });
+  }
+
+  try {
+    const model = await createScoringModel(config, { notes, createdBy: req.user.sub });
+    console.log(`[Admin] ${req.user.sub} created scoring model v${model.version}`);
+    res.status(201).json(model);
+  } catch (err) {
+    console.error("[Admin] Scoring model create failed:", err.message);
+    res.status(500).json({ error: "Failed to create scoring model" });
+  }
+});
+
+// PUT /admin/scoring-models/:version/activate - Switch back to an existing version (admin)
+router.put("/scoring-models/:version/activate", auth, requireRole("admin"), async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version)) {
+    return res.status(400).json({ error: "Invalid version" });
+  }
+
+  try {
+    const activated = await activateScoringModel(version);
+    if (!activated) {
+      return res.status(404).json({ error: "Scoring model version not found" });
+    }
+
+    console.log(`[Admin] ${req.user.sub} activated scoring model v${version}`);
+    res.json({ success: true, version });
+  } catch (err) {
+    console.error("[Admin] Scoring model activation failed:", err.message);
+    res.status(500).json({ error: "Failed to activate scoring model" });
+  }
+});
+
+// POST /admin/leaderboard/snapshots/run - Snapshot recent periods and refresh streaks now (admin)
+router.post("/leaderboard/snapshots/run", auth, requireRole("admin"), async (req, res) => {
+  try {
+    const result = await runLockedLeaderboardHistoryJob();
+    if (!result) {
+      return res.status(409).json({ error: "The leaderboard history job is already running" });
+    }
+    console.log(`[Admin] ${req.user.sub} ran the leaderboard history job`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("[Admin] Leaderboard history job failed:", err.message);
+    res.status(500).json({ error: "Failed to snapshot leaderboards" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Notifications
+// -----------------------------------------------------------------------------
+
+// POST /admin/notifications/leaderboard/send - Send last week's leaderboard summary now (admin)
+// Does nothing if it was already sent (by the weekly schedule or an earlier call);
+// resumes a summary that was cut short or couldn't be delivered
+router.post("/notifications/leaderboard/send", auth, requireRole("admin"), async (req, res) => {
+  try {
+    const result = await runLockedWeeklyLeaderboard();
+    if (!result) {
+      return res.status(409).json({ error: "The leaderboard summary is being sent" });
+    }
+    if (result.alreadySent) {
+      return res.status(409).json({ error: "This week's leaderboard summary was already sent" });
+    }
+    console.log(`[Admin] ${req.user.sub} sent the leaderboard summary for ${result.periodKey}`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("[Admin] Leaderboard summary failed:", err.message);
+    res.status(500).json({ error: "Failed to send leaderboard summary" });
+  }
+});
+
+// GET /admin/notifications/log?kind=&limit= - Recent notification deliveries (admin)
+router.get("/notifications/log", auth, requireRole("admin"), async (req, res) => {
+  const kind = req.query.kind || null;
+  if (kind !== null && !["digest", "leaderboard"].includes(kind)) {
+    return res.status(400).json({ error: "kind must be digest or leaderboard" });
+  }
+
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+    res.json(await getNotificationLog({ kind, limit }));
+  } catch (err) {
+    console.error("[Admin] Notification log query failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch notification log" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Badges
+// -----------------------------------------------------------------------------
+
+// GET /admin/badges - Full badge catalog, including inactive badges (admin)
+router.get("/badges", auth, requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await listBadgeDefinitions());
+  } catch (err) {
+    console.error("[Admin] Badge list failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch badges" });
+  }
+});
+
+// POST /admin/badges - Add a badge (admin)
+// Body: { code, name, description?, icon?, rule } — see services/badges.js for rules
+router.post("/badges", auth, requireRole("admin"), async (req, res) => {
+  const { code, name, description, icon, rule } = req.body || {};
+  if (!/^[a-z0-9_]{1,50}$/.test(code || "")) {
+    return res.status(400).json({ error: "code must be 1-50 lowercase letters, digits or underscores" });
+  }
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ error: "name is required" });
+  }
+  const errors = validateBadgeRule(rule);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid badge rule", details: errors });
+  }
+
+  try {
+    const badge = await createBadgeDefinition({ code, name: String(name).trim(), description, icon, rule });
+    console.log(`[Admin] ${req.user.sub} added badge ${code}`);
+    res.status(201).json(badge);
+  } catch (err) {
+    if (err.number === 2627 || err.number === 2601) {
+      return res.status(409).json({ error: "A badge with that code already exists" });
+    }
+    console.error("[Admin] Badge create failed:", err.message);
+    res.status(500).json({ error: "Failed to create badge" });
+  }
+});
+
+// PUT /admin/badges/:id - Update a badge's name, description, icon, rule or isActive (admin)
+// Badges already awarded are kept when the rule changes
+router.put("/badges/:id", auth, requireRole("admin"), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: "Invalid badge id" });
+  }
+
+  const { name, description, icon, rule, isActive } = req.body || {};
+  if (rule !== undefined) {
+    const errors = validateBadgeRule(rule);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid badge rule", details: errors });
+    }
+  }
+  if (isActive !== undefined && typeof isActive !== "boolean") {
+    return res.status(400).json({ error: "isActive must be a boolean" });
+  }
+
+  try {
+    const badge = await updateBadgeDefinition(id, { name, description, icon, rule, isActive });
+    if (!badge) {
+      return res.status(404).json({ error: "Badge not found" });
+    }
+
+    console.log(`[Admin] ${req.user.sub} updated badge ${badge.code}`);
+    res.json(badge);
+  } catch (err) {
+    console.error("[Admin] Badge update failed:", err.message);
+    res.status(500).json({ error: "Failed to update badge" });
+  }
+});
+
+// POST /admin/badges/evaluate - Evaluate all badges for all users now (admin)
+// Useful after adding a badge, so existing activity is recognized without waiting for a sync
+router.post("/badges/evaluate", auth, requireRole("admin"), async (req, res) => {
+  try {
+    const awards = await evaluateBadges({ triggeredBy: "manual" });
+    console.log(`[Admin] ${req.user.sub} evaluated badges: ${awards.length} awarded`);
+    res.json({ success: true, awarded: awards.length, awards });
+  } catch (err) {
+    console.error("[Admin] Badge evaluation failed:", err.message);
+    res.status(500).json({ error: "Failed to evaluate badges" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Campaigns
+// -----------------------------------------------------------------------------
+
+// Fields of a campaign an admin can set
+const CAMPAIGN_FIELDS = [
+  "name", "description", "suggestedText", "startsAt", "endsAt", "goalType", "goalTarget", "postIds", "teams",
+];
+
+// Validate a campaign and check that newly listed posts exist (posts deleted
+// after being added don't block other changes). Responds 400 and returns false if not.
+async function checkCampaign(res, campaign, newPostIds) {
+  const errors = validateCampaign(campaign);
+  if (errors.length === 0 && newPostIds) {
+    const missing = await findMissingPosts(newPostIds);
+    if (missing.length > 0) errors.push(`Unknown or deleted posts: ${missing.join(", ")}`);
+  }
+  if (errors.length > 0) {
+    res.status(400).json({ error: "Invalid campaign", details: errors });
+    return false;
+  }
+  return true;
+}
+
+// GET /admin/campaigns?state= - List campaigns, newest first (admin)
+// state is one of upcoming, active, ended, inactive
+router.get("/campaigns", auth, requireRole("admin"), async (req, res) => {
+  const state = req.query.state || null;
+  if (state !== null && !CAMPAIGN_STATES.includes(state)) {
+    return res.status(400).json({ error: `state must be one of: ${CAMPAIGN_STATES.join(", ")}` });
+  }
+
+  try {
+    res.json(await listCampaigns({ state }));
+  } catch (err) {
+    console.error("[Admin] Campaign list failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch campaigns" });
+  }
+});
+
+// POST /admin/campaigns - Create a campaign (admin)
+// Body: { name, description?, suggestedText?, startsAt, endsAt, goalType ("shares" |
+// "participants"), goalTarget, postIds, teams? } — no teams targets all employees
+router.post("/campaigns", auth, requireRole("admin"), async (req, res) => {
+  try {
+    const campaign = { teams: [] };
+    for (const field of CAMPAIGN_FIELDS) {
+      if (req.body?.[field] !== undefined) campaign[field] = req.body[field];
+    }
+    if (!(await checkCampaign(res, campaign, campaign.postIds))) return;
+
+    const created = await createCampaign(campaign, req.user.sub);
+    console.log(`[Admin] ${req.user.sub} created campaign ${created.id} (${created.name})`);
+    res.status(201).json(created);
+  } catch (err) {
+    console.error("[Admin] Campaign create failed:", err.message);
+    res.status(500).json({ error: "Failed to create campaign" });
+  }
+});
+
+// "field: old -> new" for each campaign field an update changed, so the log keeps
+// what a running campaign was before (its dates and goal decide what counts)
+function describeCampaignChanges(before, after) {
+  const show = (value) => (value instanceof Date ? value.toISOString() : JSON.stringify(value));
+  const changed = [...CAMPAIGN_FIELDS, "isActive"]
+    .filter((field) => show(before[field]) !== show(after[field]))
+    .map((field) => `${field}: ${show(before[field])} -> ${show(after[field])}`);
+  return changed.length > 0 ? changed.join(", ") : "no changes";
+}
+
+// PUT /admin/campaigns/:id - Update any campaign field or isActive (admin)
+// postIds and teams replace the current lists; isActive: false retires a campaign
+router.put("/campaigns/:id", auth, requireRole("admin"), async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) {
+    return res.status(400).json({ error: "Invalid campaign id" });
+  }
+
+  const changes = {};
+  for (const field of CAMPAIGN_FIELDS) {
+    if (req.body?.[field] !== undefined) changes[field] = req.body[field];
+  }
+  const { isActive } = req.body || {};
+  if (isActive !== undefined && typeof isActive !== "boolean") {
+    return res.status(400).json({ error: "isActive must be a boolean" });
+  }
+
+  try {
+    const existing = await getCampaign(id);
+    if (!existing) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+    if (!(await checkCampaign(res, { ...existing, ...changes }, changes.postIds))) return;
+
+    const campaign = await updateCampaign(id, { ...changes, isActive });
+    if (!campaign) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+
+    console.log(
+      `[Admin] ${req.user.sub} updated campaign ${id} (${campaign.name}):`,
+      describeCampaignChanges(existing, campaign)
+    );
+    res.json(campaign);
+  } catch (err) {
+    console.error("[Admin] Campaign update failed:", err.message);
+    res.status(500).json({ error: "Failed to update campaign" });
+  }
+});
+
+// GET /admin/users - List users with their roles (admin)
+router.get("/users", auth, requireRole("admin"), async (req, res) => {
+  try {
+    const pool = await getPool();
+    const result = await pool.request().query(`
+      SELECT
+        sub,
+        COALESCE(NULLIF(name,''), CONCAT(COALESCE(firstName,''), ' ', COALESCE(lastName,''))) AS name,
+        email,
+        role,
+        department,
+        team,
+        location
+      FROM dbo.users
+      ORDER BY name ASC, email ASC;
+    `);
+    res.json(result.recordset);
+  } catch (err) {
+    console.error("[Admin] User list failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch users" });
+  }
+});
+
+// Set a user's role; takes effect at their next token refresh
+async function setUserRole(sub, role) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("sub", sql.VarChar, sub)
+    .input("role", sql.VarChar(20), role)
+    .query("UPDATE dbo.users SET role = @role WHERE sub = @sub");
+  return result.rowsAffected[0] > 0;
+}
+
+// PUT /admin/users/:sub/role - Grant a role (admin). Body: { role }
+router.put("/users/:sub/role", auth, requireRole("admin"), async (req, res) => {
+  const { role } = req.body || {};
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(", ")}` });
+  }
+  if (req.params.sub === req.user.sub && role !== "admin") {
+    return res.status(400).json({ error: "You cannot remove your own admin role" });
+  }
+
+  try {
+    const updated = await setUserRole(req.params.sub, role);
+    if (!updated) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    console.log(`[Admin] ${req.user.sub} set role of ${req.params.sub} to ${role}`);
+    res.json({ success: true, sub: req.params.sub, role });
+  } catch (err) {
+    console.error("[Admin] Role update failed:", err.message);
+    res.status(500).json({ error: "Failed to update role" });
+  }
+});
+
+// DELETE /admin/users/:sub/role - Revoke back to employee (admin)
+router.delete("/users/:sub/role", auth, requireRole("admin"), async (req, res) => {
+  if (req.params.sub === req.user.sub) {
+    return res.status(400).json({ error: "You cannot remove your own admin role" });
+  }
+
+  try {
+    const updated = await setUserRole(req.params.sub, "employee");
+    if (!updated) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    console.log(`[Admin] ${req.user.sub} revoked role of ${req.params.sub}`);
+    res.json({ success: true, sub: req.params.sub, role: "employee" });
+  } catch (err) {
+    console.error("[Admin] Role revoke failed:", err.message);
+    res.status(500).json({ error: "Failed to revoke role" });
+  }
+});
+
+// PUT /admin/users/:sub/attributes - Set department, team and/or location (admin)
+// Body: any of { department, team, location }; null or "" clears a value
+router.put("/users/:sub/attributes", auth, requireRole("admin"), async (req, res) => {
+  const body = req.body || {};
+  const fields = USER_ATTRIBUTES.filter((attr) => body[attr] !== undefined);
+  if (fields.length === 0) {
+    return res.status(400).json({ error: `Provide at least one of: ${USER_ATTRIBUTES.join(", ")}` });
+  }
+  for (const attr of fields) {
+    if (body[attr] !== null && (typeof body[attr] !== "string" || body[attr].length > 100)) {
+      return res.status(400).json({ error: `${attr} must be a string of at most 100 characters` });
+    }
+  }
+
+  try {
+    const pool = await getPool();
+    const r = pool.request();
+    r.input("sub", sql.VarChar, req.params.sub);
+    for (const attr of fields) {
+      r.input(attr, sql.NVarChar(100), body[attr]?.trim() || null);
+    }
+
+    // Column names come from USER_ATTRIBUTES, never from the request
+    const result = await r.query(`
+      UPDATE dbo.users
+      SET ${fields.map((attr) => `${attr} = @${attr}`).join(", ")}
+      OUTPUT INSERTED.sub, INSERTED.department, INSERTED.team, INSERTED.location
+      WHERE sub = @sub;
+    `);
+    if (result.recordset.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    console.log(`[Admin] ${req.user.sub} updated attributes of ${req.params.sub}`);
+    res.json(result.recordset[0]);
+  } catch (err) {
+    console.error("[Admin] Attribute update failed:", err.message);
+    res.status(500).json({ error: "Failed to update user attributes" });
+  }
+});
+
 module.exports = router;
@@ -3,93 +3,279 @@
 
 const express = require("express");
 const { sql, getPool } = require("../db");
+const { queueBadgeEvaluation } = require("../services/badges");
+const { getMediaForPosts } = require("../services/media");
+const { getActiveCampaignsByPost, getCampaignReport } = require("../services/campaigns");
+const { getShareLinks, getOrCreateShareLink, countedClicks } = require("../services/shareLinks");
+const { requireRole } = require("../middleware/auth");
+const { resharePost } = require("../services/publisher");
+const {
+  ADVOCACY_COUNT_VERIFIED_ONLY,
+  countedShares,
+  recordReportedShare,
+  getShare,
+  claimShareForPublish,
+  releaseShareClaim,
+  recordPublishedShare,
+} = require("../services/advocacy");
 
 const router = express.Router();
 
-// GET /api/advocacy/suggestions
-// Posts suggested for resharing, with already-shared status for current user
+// GET /api/advocacy/suggestions?orgId=
+// Posts suggested for resharing, with already-shared status (and its verification
+// status) for current user and the attachments (preview URLs) of each post.
+// Posts in active campaigns targeting the user come first (campaign ending
+// soonest first), each with its campaigns and their suggested share text.
+// shareLink is the user's personal short link to the post, for click attribution,
+// or null until they first share or copy it (see POST /share-links).
 router.get("/suggestions", async (req, res) => {
   try {
+    const orgId = req.query.orgId ? Number(req.query.orgId) : null;
+    if (orgId !== null && !Number.isInteger(orgId)) {
+      return res.status(400).json({ error: "Invalid orgId" });
+    }
+
     const pool = await getPool();
     const userSub = req.user.sub;
 
     const r = pool.request();
     r.input("userSub", sql.VarChar(100), userSub);
+    r.input("orgId", sql.Int, orgId);
 
     const result = await r.query(`
       SELECT
         lp.postId,
+        lp.organizationId,
         lp.text,
         lp.publishedAt,
         lp.mediaUrl,
         CASE WHEN ash.id IS NOT NULL THEN 1 ELSE 0 END AS alreadyShared,
         ash.sharedAt,
-        (SELECT COUNT(*) FROM dbo.AdvocacyShares a2 WHERE a2.postId = lp.postId) AS totalShares
+        ash.status AS shareStatus,
+        (SELECT COUNT(*) FROM dbo.AdvocacyShares a2
+          WHERE a2.postId = lp.postId AND ${countedShares("a2")}) AS totalShares
       FROM dbo.LinkedInPosts lp
       LEFT JOIN dbo.AdvocacyShares ash
         ON lp.postId = ash.postId
         AND ash.userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS
       WHERE lp.visibility = 'PUBLIC'
+        AND lp.deletedAt IS NULL
+        AND (@orgId IS NULL OR lp.organizationId = @orgId)
       ORDER BY lp.publishedAt DESC;
     `);
 
-    res.json(result.recordset);
+    const postIds = result.recordset.map((post) => post.postId);
+    const media = await getMediaForPosts(pool, postIds);
+    const campaigns = await getActiveCampaignsByPost(pool, userSub);
+    const shareLinks = await getShareLinks(pool, userSub, postIds);
+    const suggestions = result.recordset.map((post) => ({
+      ...post,
+      shareLink: shareLinks.get(post.postId) || null,
+      media: media.get(post.postId) || [],
+      campaigns: campaigns.get(post.postId) || [],
+    }));
+
+    // Stable sort keeps the newest-first order within campaign and non-campaign posts
+    const campaignEnd = (post) =>
+      Math.min(...post.campaigns.map((campaign) => new Date(campaign.endsAt).getTime()), Number.MAX_SAFE_INTEGER);
+    suggestions.sort((a, b) => campaignEnd(a) - campaignEnd(b));
+    res.json(suggestions);
   } catch (err) {
     console.error("Advocacy suggestions failed:", err.message);
     res.status(500).json({ error: "Failed to fetch advocacy suggestions" });
   }
 });
 
+// Longest commentary LinkedIn accepts on a post
+const MAX_COMMENTARY_LENGTH = 3000;
+
 // POST /api/advocacy/share
-// Record that a user shared a post
+// Body: { postId, publish?, commentary? }
+// Without publish, records that a user says they shared a post; the share stays
+// pending until the sync finds the reshare on LinkedIn. With publish: true, reshares
+// the post to the user's own feed with their optional commentary (needs their
+// consent, see /consent/linkedin/authorize) and records it as verified; 409 with
+// reconnectRequired when their LinkedIn token can't be refreshed.
+// Responds with the share; badges it earns are awarded within BADGE_SHARE_DELAY_MS.
 router.post("/share", async (req, res) => {
   try {
-    const { postId } = req.body;
+    const { postId, publish = false, commentary } = req.body;
     if (!postId) {
       return res.status(400).json({ error: "postId is required" });
     }
+    if (typeof publish !== "boolean") {
+      return res.status(400).json({ error: "publish must be a boolean" });
+    }
+    if (commentary !== undefined && commentary !== null) {
+      if (!publish) {
+        return res.status(400).json({ error: "commentary can only be sent with publish: true" });
+      }
+      if (typeof commentary !== "string" || commentary.length > MAX_COMMENTARY_LENGTH) {
+        return res.status(400).json({ error: `commentary must be text of at most ${MAX_COMMENTARY_LENGTH} characters` });
+      }
+    }
 
     const pool = await getPool();
     const userSub = req.user.sub;
 
-    const r = pool.request();
-    r.input("postId", sql.VarChar(255), postId);
-    r.input("userSub", sql.VarChar(100), userSub);
+    const post = await pool.request()
+      .input("postId", sql.VarChar(255), postId)
+      .query("SELECT postId FROM dbo.LinkedInPosts WHERE postId = @postId AND deletedAt IS NULL");
+    if (post.recordset.length === 0) {
+      return res.status(404).json({ error: "Post not found" });
+    }
 
-    // Upsert — ignore if already shared
-    await r.query(`
-      IF NOT EXISTS (
-        SELECT 1 FROM dbo.AdvocacyShares
-        WHERE postId = @postId AND userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS
-      )
-      BEGIN
-        INSERT INTO dbo.AdvocacyShares (postId, userSub)
-        VALUES (@postId, @userSub);
-      END
-    `);
+    let share;
+    if (publish) {
+      // Claimed first, so a reshare already seen on LinkedIn, or one a concurrent
+      // request is publishing, isn't published a second time
+      const claim = await claimShareForPublish(pool, postId, userSub);
+      if (!claim) {
+        const existing = await getShare(pool, postId, userSub);
+        return res.status(409).json({
+          error: existing?.status === "verified"
+            ? "You have already shared this post"
+            : "This post is already being shared",
+          share: existing,
+        });
+      }
+
+      const text = commentary?.trim() || null;
+      let reshare;
+      try {
+        reshare = await resharePost(userSub, postId, text);
+      } catch (err) {
+        // A reshare that may exist keeps its claim; the sync verifies or expires it
+        if (!err.publishOutcomeUnknown) await releaseShareClaim(pool, postId, userSub, claim);
+        if (err.reconnectRequired) {
+          return res.status(409).json({
+            error: "Your LinkedIn connection has expired; reconnect LinkedIn to share",
+            reconnectRequired: true,
+          });
+        }
+        if (err.publishOutcomeUnknown) {
+          console.error("Advocacy reshare failed:", err.message);
+          return res.status(502).json({
+            error: "LinkedIn may have published the reshare; check your feed before sharing again",
+          });
+        }
+        throw err;
+      }
+      if (!reshare) {
+        await releaseShareClaim(pool, postId, userSub, claim);
+        return res.status(403).json({
+          error: "Allow sharing on LinkedIn first",
+          consentRequired: true,
+        });
+      }
+
+      share = await recordPublishedShare(pool, postId, userSub, reshare.shareUrn, text);
+      console.log(
+        `[Advocacy] ${userSub} reshared ${postId} as ${reshare.shareUrn}` +
+        (reshare.mockMode ? " (mock mode)" : "")
+      );
+    } else {
+      // Upsert — an existing share is returned as it is
+      share = await recordReportedShare(pool, postId, userSub);
+    }
 
-    res.json({ success: true });
+    // Badges this share earns are awarded shortly after, in the background
+    queueBadgeEvaluation(userSub);
+
+    res.json({ success: true, share });
   } catch (err) {
     console.error("Advocacy share failed:", err.message);
     res.status(500).json({ error: "Failed to record share" });
   }
 });
 
-// GET /api/advocacy/stats
-// Advocacy program stats: total shares, active advocates, top advocates
+// POST /api/advocacy/share-links
+// Body: { postId } — the user's personal short link to a post, created the first
+// time they share or copy it
+router.post("/share-links", async (req, res) => {
+  try {
+    const { postId } = req.body || {};
+    if (!postId || typeof postId !== "string") {
+      return res.status(400).json({ error: "postId is required" });
+    }
+
+    const pool = await getPool();
+    const post = await pool.request()
+      .input("postId", sql.VarChar(255), postId)
+      .query("SELECT postId FROM dbo.LinkedInPosts WHERE postId = @postId AND deletedAt IS NULL");
+    if (post.recordset.length === 0) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    res.json({ postId, shareLink: await getOrCreateShareLink(pool, req.user.sub, postId) });
+  } catch (err) {
+    console.error("Share link failed:", err.message);
+    res.status(500).json({ error: "Failed to create share link" });
+  }
+});
+
+// GET /api/advocacy/campaigns/:id/report  (manager)
+// Progress toward the campaign's goal, shares per post, and which targeted
+// employees have and haven't shared one of its posts during the campaign
+// (audience by current team, see getCampaignReport)
+router.get("/campaigns/:id/report", requireRole("manager"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid campaign id" });
+    }
+
+    const report = await getCampaignReport(id);
+    if (!report) {
+      return res.status(404).json({ error: "Campaign not found" });
+    }
+    res.json({ ...report, countVerifiedOnly: ADVOCACY_COUNT_VERIFIED_ONLY });
+  } catch (err) {
+    console.error("Campaign report failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch campaign report" });
+  }
+});
+
+// GET /api/advocacy/stats?orgId=
+// Advocacy program stats: total shares, active advocates, top advocates, and shares
+// by verification status. With ADVOCACY_COUNT_VERIFIED_ONLY, totals and top
+// advocates count verified shares only. Clicks on advocates' share links (crawlers
+// excluded, repeat clicks from one IP counted once) are reported per advocate and per post.
 router.get("/stats", async (req, res) => {
   try {
+    const orgId = req.query.orgId ? Number(req.query.orgId) : null;
+    if (orgId !== null && !Number.isInteger(orgId)) {
+      return res.status(400).json({ error: "Invalid orgId" });
+    }
+
     const pool = await getPool();
 
-    const result = await pool.request().query(`
-      SELECT
-        (SELECT COUNT(*) FROM dbo.AdvocacyShares) AS totalShares,
-        (SELECT COUNT(DISTINCT userSub) FROM dbo.AdvocacyShares) AS activeAdvocates,
-        (SELECT COUNT(*) FROM dbo.LinkedInPosts WHERE visibility = 'PUBLIC') AS postsAvailable;
-    `);
+    // Includes deleted posts: shares and clicks made before a post was deleted stay in
+    // the totals for history, as they do on the leaderboard. Only postsAvailable
+    // counts the posts that can still be shared.
+    const orgPosts = "SELECT postId FROM dbo.LinkedInPosts WHERE @orgId IS NULL OR organizationId = @orgId";
+
+    const result = await pool.request()
+      .input("orgId", sql.Int, orgId)
+      .query(`
+        SELECT
+          (SELECT COUNT(*) FROM dbo.AdvocacyShares ash
+            WHERE postId IN (${orgPosts}) AND ${countedShares("ash")}) AS totalShares,
+          (SELECT COUNT(DISTINCT userSub) FROM dbo.AdvocacyShares ash
+            WHERE postId IN (${orgPosts}) AND ${countedShares("ash")}) AS activeAdvocates,
+          (SELECT COUNT(*) FROM dbo.AdvocacyShares
+            WHERE postId IN (${orgPosts}) AND status = 'pending') AS pendingShares,
+          (SELECT COUNT(*) FROM dbo.AdvocacyShares
+            WHERE postId IN (${orgPosts}) AND status = 'verified') AS verifiedShares,
+          (SELECT COUNT(*) FROM dbo.AdvocacyShares
+            WHERE postId IN (${orgPosts}) AND status = 'unverified') AS unverifiedShares,
+          (SELECT COUNT(*) FROM dbo.LinkedInPosts
+            WHERE visibility = 'PUBLIC' AND deletedAt IS NULL
+              AND (@orgId IS NULL OR organizationId = @orgId)) AS postsAvailable;
+      `);
 
     // Top advocates
-    const topResult = await pool.request().query(`
+    const topResult = await pool.request().input("orgId", sql.Int, orgId).query(`
       SELECT TOP 5
         u.sub,
         COALESCE(NULLIF(u.name,''), CONCAT(COALESCE(u.firstName,''), ' ', COALESCE(u.lastName,''))) AS name,
@@ -97,13 +283,55 @@ router.get("/stats", async (req, res) => {
         COUNT(ash.id) AS shareCount
       FROM dbo.AdvocacyShares ash
       JOIN dbo.users u ON ash.userSub = u.sub COLLATE SQL_Latin1_General_CP1_CI_AS
+      WHERE ash.postId IN (${orgPosts}) AND ${countedShares("ash")}
       GROUP BY u.sub, u.name, u.firstName, u.lastName, u.picture
       ORDER BY shareCount DESC;
     `);
 
+    // Share link clicks
+    const clickResult = await pool.request().input("orgId", sql.Int, orgId).query(`
+      SELECT COUNT(*) AS totalClicks
+      FROM dbo.ShareLinkClicks c
+      JOIN dbo.ShareLinks sl ON sl.id = c.linkId
+      WHERE sl.postId IN (${orgPosts}) AND ${countedClicks("c")};
+
+      SELECT TOP 50
+        u.sub,
+        COALESCE(NULLIF(u.name,''), CONCAT(COALESCE(u.firstName,''), ' ', COALESCE(u.lastName,''))) AS name,
+        u.picture,
+        COUNT(c.id) AS clicks,
+        COUNT(DISTINCT sl.postId) AS postsClicked,
+        MAX(c.clickedAt) AS lastClickAt
+      FROM dbo.ShareLinkClicks c
+      JOIN dbo.ShareLinks sl ON sl.id = c.linkId
+      JOIN dbo.users u ON sl.userSub = u.sub COLLATE SQL_Latin1_General_CP1_CI_AS
+      WHERE sl.postId IN (${orgPosts}) AND ${countedClicks("c")}
+      GROUP BY u.sub, u.name, u.firstName, u.lastName, u.picture
+      ORDER BY clicks DESC;
+
+      SELECT TOP 50
+        lp.postId,
+        lp.text,
+        lp.publishedAt,
+        COUNT(c.id) AS clicks,
+        COUNT(DISTINCT sl.userSub) AS advocates,
+        MAX(c.clickedAt) AS lastClickAt
+      FROM dbo.ShareLinkClicks c
+      JOIN dbo.ShareLinks sl ON sl.id = c.linkId
+      JOIN dbo.LinkedInPosts lp ON lp.postId = sl.postId
+      WHERE sl.postId IN (${orgPosts}) AND ${countedClicks("c")}
+      GROUP BY lp.postId, lp.text, lp.publishedAt
+      ORDER BY clicks DESC;
+    `);
+    const [[{ totalClicks }], clicksByAdvocate, clicksByPost] = clickResult.recordsets;
+
     res.json({
       ...result.recordset[0],
+      countVerifiedOnly: ADVOCACY_COUNT_VERIFIED_ONLY,
       topAdvocates: topResult.recordset,
+      totalClicks,
+      clicksByAdvocate,
+      clicksByPost,
     });
   } catch (err) {
     console.error("Advocacy stats failed:", err.message);
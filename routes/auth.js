@@ -0,0 +1,220 @@
+// routes/auth.js
+// LinkedIn sign-in, one-time code exchange, token refresh and logout
+
+const express = require("express");
+const axios = require("axios");
+const { sql, getPool } = require("../db");
+const { createOAuthState, consumeOAuthState, buildAuthorizationUrl } = require("../services/oauthState");
+const {
+  createAuthCode,
+  consumeAuthCode,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+} = require("../services/authTokens");
+
+const router = express.Router();
+
+const BASE_URL = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3003}`;
+const CLIENT_ID = process.env.LINKEDIN_CLIENT_ID;
+const CLIENT_SECRET = process.env.LINKEDIN_CLIENT_SECRET;
+const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || "http://localhost:5173";
+const REDIRECT_URI = `${BASE_URL}/callback`;
+// Comma-separated emails promoted to admin on login (bootstraps the first admin)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((e) => e.trim().toLowerCase())
+  .filter(Boolean);
+
+// -----------------------------------------------------------------------------
+// Step 1: Start LinkedIn OAuth
+// Optional ?returnTo=/some/path is where the user lands after signing in
+// -----------------------------------------------------------------------------
+router.get("/login", async (req, res) => {
+  try {
+    const { state, codeChallenge } = await createOAuthState("login", {
+      returnTo: req.query.returnTo,
+    });
+
+    const authURL = buildAuthorizationUrl({
+      clientId: CLIENT_ID,
+      redirectUri: REDIRECT_URI,
+      scope: "openid profile email",
+      state,
+      codeChallenge,
+    });
+
+    res.redirect(authURL);
+  } catch (err) {
+    console.error("❌ Login start failed:", err.message);
+    res.status(500).send("Could not start login");
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Step 2: OAuth Callback (redirects with a one-time ?auth_code=)
+// -----------------------------------------------------------------------------
+router.get("/callback", async (req, res) => {
+  const { code, state, error, error_description } = req.query;
+
+  // Always burn the state, even when LinkedIn reports an error
+  let oauthState;
+  try {
+    oauthState = await consumeOAuthState(state, "login");
+  } catch (err) {
+    console.error("❌ OAuth state lookup failed:", err.message);
+    return res.status(500).send("OAuth failed");
+  }
+  if (!oauthState) return res.status(400).send("Invalid or expired OAuth state");
+
+  if (error) {
+    console.error("❌ OAuth error:", error, error_description);
+    return res.redirect(`${FRONTEND_ORIGIN}/?login_error=${encodeURIComponent(error_description || error)}`);
+  }
+  if (!code) return res.status(400).send("Missing authorization code");
+
+  try {
+    // Exchange code for access token
+    const tokenParams = {
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: REDIRECT_URI,
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+    };
+    if (oauthState.codeVerifier) tokenParams.code_verifier = oauthState.codeVerifier;
+
+    const tokenRes = await axios.post(
+      "https://www.linkedin.com/oauth/v2/accessToken",
+      new URLSearchParams(tokenParams),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+
+    const accessToken = tokenRes.data.access_token;
+
+    // Fetch user info from LinkedIn
+    const { data: userinfo } = await axios.get(
+      "https://api.linkedin.com/v2/userinfo",
+      { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+
+    // Extract picture safely
+    console.log(`[OAuth] userinfo.picture raw:`, JSON.stringify(userinfo.picture));
+    const pictureUrl =
+      typeof userinfo.picture === "string"
+        ? userinfo.picture
+        : userinfo.picture?.data?.url || null;
+    console.log(`[OAuth] Extracted pictureUrl: ${pictureUrl}`);
+
+    // Upsert user into Azure SQL
+    const pool = await getPool();
+    const r = pool.request();
+    r.input("sub", sql.VarChar, userinfo.sub);
+    r.input("email", sql.VarChar, userinfo.email || null);
+    r.input("name", sql.VarChar, userinfo.name || null);
+    r.input("firstName", sql.VarChar, userinfo.given_name || null);
+    r.input("lastName", sql.VarChar, userinfo.family_name || null);
+    r.input("picture", sql.VarChar, pictureUrl);
+    r.input("emailVerified", sql.Bit, userinfo.email_verified ? 1 : 0);
+    r.input(
+      "bootstrapAdmin",
+      sql.Bit,
+      userinfo.email && userinfo.email_verified && ADMIN_EMAILS.includes(userinfo.email.toLowerCase()) ? 1 : 0
+    );
+
+    const upserted = await r.query(`
+      MERGE users AS target
+      USING (SELECT @sub AS sub) AS source
+      ON target.sub = source.sub
+      WHEN MATCHED THEN
+        UPDATE SET 
+          email=@email,
+          name=@name,
+          firstName=@firstName,
+          lastName=@lastName,
+          picture=@picture,
+          emailVerified=@emailVerified
+      WHEN NOT MATCHED THEN
+        INSERT (sub, email, name, firstName, lastName, picture, emailVerified)
+        VALUES (@sub, @email, @name, @firstName, @lastName, @picture, @emailVerified);
+
+      IF @bootstrapAdmin = 1
+        UPDATE users SET role = 'admin' WHERE sub = @sub;
+
+      SELECT role FROM users WHERE sub = @sub;
+    `);
+
+    const role = upserted.recordset[0]?.role || "employee";
+    console.log(`✅ Upserted user ${userinfo.name || userinfo.email} (${role})`);
+
+    // Hand the frontend a one-time code, never a token, in the redirect URL
+    const authCode = await createAuthCode(userinfo.sub);
+
+    // Redirect back to the page the user started from
+    const target = new URL(oauthState.returnTo || "/dashboard", FRONTEND_ORIGIN);
+    target.searchParams.set("auth_code", authCode);
+    res.redirect(target.toString());
+  } catch (err) {
+    console.error("❌ OAuth callback error:", err.response?.data || err.message);
+    res.status(500).send("OAuth failed");
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Step 3: Exchange the one-time code for tokens
+// POST /auth/exchange  { code } -> { accessToken, tokenType, expiresIn, refreshToken }
+// -----------------------------------------------------------------------------
+router.post("/auth/exchange", async (req, res) => {
+  try {
+    const userSub = await consumeAuthCode(req.body?.code);
+    if (!userSub) {
+      return res.status(400).json({ error: "Invalid or expired code" });
+    }
+
+    const tokens = await issueTokens(userSub);
+    if (!tokens) {
+      return res.status(400).json({ error: "User no longer exists" });
+    }
+
+    res.json(tokens);
+  } catch (err) {
+    console.error("❌ Code exchange failed:", err.message);
+    res.status(500).json({ error: "Code exchange failed" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// POST /auth/refresh  { refreshToken } -> new access token + rotated refresh token
+// -----------------------------------------------------------------------------
+router.post("/auth/refresh", async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body?.refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+
+    res.json(tokens);
+  } catch (err) {
+    console.error("❌ Token refresh failed:", err.message);
+    res.status(500).json({ error: "Token refresh failed" });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Logout
+// POST /logout { refreshToken } revokes the session; the frontend drops its tokens.
+// GET /logout only redirects, for plain browser navigation.
+// -----------------------------------------------------------------------------
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body?.refreshToken);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("❌ Logout failed:", err.message);
+    res.status(500).json({ error: "Logout failed" });
+  }
+});
+
+router.get("/logout", (_, res) => res.redirect(FRONTEND_ORIGIN));
+
+module.exports = router;
@@ -0,0 +1,42 @@
+// routes/badges.js
+// Badge catalog and awarded badges
+
+const express = require("express");
+const { listBadgeDefinitions, getUserBadges } = require("../services/badges");
+
+const router = express.Router();
+
+// GET /api/badges
+// Active badges with what earns them and how often each has been awarded
+router.get("/", async (req, res) => {
+  try {
+    res.json(await listBadgeDefinitions({ activeOnly: true }));
+  } catch (err) {
+    console.error("Badge catalog failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch badges" });
+  }
+});
+
+// GET /api/badges/me
+// Badges earned by the current user
+router.get("/me", async (req, res) => {
+  try {
+    res.json(await getUserBadges(req.user.sub));
+  } catch (err) {
+    console.error("User badges failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch badges" });
+  }
+});
+
+// GET /api/badges/users/:sub
+// Badges earned by a specific user
+router.get("/users/:sub", async (req, res) => {
+  try {
+    res.json(await getUserBadges(req.params.sub));
+  } catch (err) {
+    console.error("User badges failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch badges" });
+  }
+});
+
+module.exports = router;
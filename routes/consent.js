@@ -0,0 +1,174 @@
+// routes/consent.js
+// Employee consent to share on LinkedIn on their behalf (w_member_social)
+
+const express = require("express");
+const axios = require("axios");
+const { auth } = require("../middleware/auth");
+const { createOAuthState, consumeOAuthState, buildAuthorizationUrl } = require("../services/oauthState");
+const {
+  MEMBER_SHARE_SCOPE,
+  saveMemberToken,
+  getMemberTokenStatus,
+  deleteMemberToken,
+} = require("../services/memberTokens");
+const { MOCK_MODE } = require("../services/linkedinSync");
+
+const router = express.Router();
+
+const CLIENT_ID = process.env.LINKEDIN_CLIENT_ID;
+const CLIENT_SECRET = process.env.LINKEDIN_CLIENT_SECRET;
+const BASE_URL = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3003}`;
+const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || "http://localhost:5173";
+const CONSENT_REDIRECT_URI = `${BASE_URL}/consent/linkedin/callback`;
+
+// openid identifies the member, so a token for another LinkedIn account is refused
+const CONSENT_SCOPES = ["openid", MEMBER_SHARE_SCOPE].join(" ");
+
+// Frontend URL to land on after the consent flow, with a status query parameter
+function consentRedirect(returnTo, key, value) {
+  const target = new URL(returnTo || "/advocacy", FRONTEND_ORIGIN);
+  target.searchParams.set(key, value);
+  return target.toString();
+}
+
+// GET /consent/linkedin/authorize - Start the consent flow
+// Returns the LinkedIn URL as JSON; the frontend calls this with its bearer
+// token and then navigates the browser to authUrl. Optional ?returnTo=/path.
+router.get("/linkedin/authorize", auth, async (req, res) => {
+  try {
+    const { state, codeChallenge } = await createOAuthState("member_share", {
+      returnTo: req.query.returnTo,
+      userSub: req.user.sub,
+    });
+
+    const authUrl = buildAuthorizationUrl({
+      clientId: CLIENT_ID,
+      redirectUri: CONSENT_REDIRECT_URI,
+      scope: CONSENT_SCOPES,
+      state,
+      codeChallenge,
+    });
+
+    console.log(`[Consent] Starting LinkedIn share consent for ${req.user.sub}`);
+    res.json({ authUrl });
+  } catch (err) {
+    console.error("[Consent] Consent start failed:", err.message);
+    res.status(500).json({ error: "Failed to start consent" });
+  }
+});
+
+// GET /consent/linkedin/callback - Handle OAuth callback
+router.get("/linkedin/callback", async (req, res) => {
+  const { code, state, error, error_description } = req.query;
+
+  let oauthState;
+  try {
+    oauthState = await consumeOAuthState(state, "member_share");
+  } catch (err) {
+    console.error("[Consent] State lookup failed:", err.message);
+    return res.status(500).send("OAuth failed");
+  }
+
+  if (!oauthState) {
+    console.warn("[Consent] Rejected callback with invalid or expired state");
+    return res.status(400).send("Invalid or expired OAuth state");
+  }
+
+  if (error) {
+    console.warn("[Consent] OAuth error:", error, error_description);
+    return res.redirect(consentRedirect(oauthState.returnTo, "share_consent_error", error_description || error));
+  }
+
+  if (!code) {
+    return res.status(400).send("Missing authorization code");
+  }
+
+  try {
+    const tokenParams = {
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: CONSENT_REDIRECT_URI,
+      client_id: CLIENT_ID,
+      client_secret: CLIENT_SECRET,
+    };
+    if (oauthState.codeVerifier) tokenParams.code_verifier = oauthState.codeVerifier;
+
+    const tokenRes = await axios.post(
+      "https://www.linkedin.com/oauth/v2/accessToken",
+      new URLSearchParams(tokenParams),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+
+    // The token has to belong to the member who started the flow
+    const { data: userinfo } = await axios.get(
+      "https://api.linkedin.com/v2/userinfo",
+      { headers: { Authorization: `Bearer ${tokenRes.data.access_token}` } }
+    );
+    if (userinfo.sub?.toLowerCase() !== oauthState.userSub?.toLowerCase()) {
+      console.warn(`[Consent] ${oauthState.userSub} consented with another LinkedIn account (${userinfo.sub})`);
+      return res.redirect(
+        consentRedirect(oauthState.returnTo, "share_consent_error", "Sign in to LinkedIn with your own account")
+      );
+    }
+
+    const { expiresAt } = await saveMemberToken(oauthState.userSub, {
+      ...tokenRes.data,
+      scope: tokenRes.data.scope || CONSENT_SCOPES,
+    });
+    console.log(`[Consent] Share token stored for ${oauthState.userSub} (expires ${expiresAt.toISOString()})`);
+
+    res.redirect(consentRedirect(oauthState.returnTo, "share_consent", "granted"));
+  } catch (err) {
+    console.error("[Consent] Token exchange failed:", err.response?.data || err.message);
+    res.redirect(consentRedirect(oauthState.returnTo, "share_consent_error", "Token exchange failed"));
+  }
+});
+
+// GET /consent/linkedin/status - Whether posts can be reshared on the user's behalf
+// In mock mode reshares are simulated, so no consent is needed
+router.get("/linkedin/status", auth, async (req, res) => {
+  try {
+    const token = await getMemberTokenStatus(req.user.sub);
+    res.json({
+      consented: !!token,
+      canShare: MOCK_MODE || !!token?.canShare,
+      expiresAt: token?.expiresAt || null,
+      refreshExpiresAt: token?.refreshExpiresAt || null,
+      scope: token?.scope || null,
+      updatedAt: token?.updatedAt || null,
+      mockMode: MOCK_MODE,
+    });
+  } catch (err) {
+    console.error("[Consent] Status check failed:", err.message);
+    res.status(500).json({ error: "Failed to check consent" });
+  }
+});
+
+// DELETE /consent/linkedin - Withdraw consent: forget the token and revoke it with LinkedIn
+router.delete("/linkedin", auth, async (req, res) => {
+  try {
+    const accessToken = await deleteMemberToken(req.user.sub);
+    if (!accessToken) {
+      return res.status(404).json({ error: "No consent to withdraw" });
+    }
+
+    // The local token is gone either way; revocation is best effort
+    try {
+      await axios.post(
+        "https://www.linkedin.com/oauth/v2/revoke",
+        new URLSearchParams({ client_id: CLIENT_ID, client_secret: CLIENT_SECRET, token: accessToken }),
+        { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+      );
+    } catch (err) {
+      console.warn("[Consent] Token revocation failed:", err.response?.data || err.message);
+    }
+
+    console.log(`[Consent] ${req.user.sub} withdrew share consent`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("[Consent] Withdraw failed:", err.message);
+    res.status(500).json({ error: "Failed to withdraw consent" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,367 @@
+// routes/drafts.js
+// Post drafts: write, review, approve, and schedule company posts
+
+const express = require("express");
+const { getPool } = require("../db");
+const {
+  DRAFT_STATUSES,
+  createDraft,
+  getDraft,
+  listDrafts,
+  getDraftEvents,
+  editDraft,
+  submitDraft,
+  reviewDraft,
+  scheduleDraft,
+  unscheduleDraft,
+  cancelDraft,
+  commentOnDraft,
+} = require("../services/drafts");
+const {
+  validateMediaFiles,
+  storeLocally,
+  deleteStoredFiles,
+  getDraftMedia,
+  getMedia,
+  resolveMediaLocation,
+} = require("../services/media");
+const { resolveOrganization } = require("../services/organizations");
+const { hasRole, requireRole } = require("../middleware/auth");
+const { receiveMedia } = require("../middleware/upload");
+
+// Reviewers can't approve drafts they wrote, edited or submitted unless this is set (small teams)
+const ALLOW_SELF_APPROVAL = process.env.ALLOW_SELF_APPROVAL === "true";
+
+const router = express.Router();
+
+// Parse a requested publish time. Returns { scheduledAt } or { error }.
+function parseScheduledAt(value) {
+  const scheduledAt = new Date(value);
+  if (!value || Number.isNaN(scheduledAt.getTime())) {
+    return { error: "scheduledAt must be an ISO date-time" };
+  }
+  if (scheduledAt <= new Date()) {
+    return { error: "scheduledAt must be in the future" };
+  }
+  return { scheduledAt };
+}
+
+const isAuthor = (user, draft) => draft.createdBy?.toLowerCase() === user.sub.toLowerCase();
+
+// Load the draft named by :id, or respond 400/404/403. Employees only see their
+// own drafts; managers see everyone's.
+async function loadDraft(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).json({ error: "Invalid draft id" });
+    return null;
+  }
+
+  const draft = await getDraft(id);
+  if (!draft) {
+    res.status(404).json({ error: "Draft not found" });
+    return null;
+  }
+  if (!isAuthor(req.user, draft) && !hasRole(req.user, "manager")) {
+    res.status(403).json({ error: "Not your draft" });
+    return null;
+  }
+  return draft;
+}
+
+// Send the outcome of a status-guarded change (see services/drafts.js transitionDraft)
+function sendTransition(res, result) {
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json(result.draft);
+}
+
+// GET /api/drafts?status=&orgId=&mine=true&limit=&offset=
+// Drafts waiting for review first, then scheduled posts in publish order.
+// Employees see their own drafts; managers see all unless mine=true.
+router.get("/", async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    if (status !== null && !DRAFT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${DRAFT_STATUSES.join(", ")}` });
+    }
+
+    const orgId = req.query.orgId ? Number(req.query.orgId) : null;
+    if (orgId !== null && !Number.isInteger(orgId)) {
+      return res.status(400).json({ error: "Invalid orgId" });
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const mine = req.query.mine === "true" || !hasRole(req.user, "manager");
+
+    const { total, items } = await listDrafts({
+      status,
+      orgId,
+      createdBy: mine ? req.user.sub : null,
+      limit,
+      offset,
+    });
+    res.json({ items, total, limit, offset });
+  } catch (err) {
+    console.error("Drafts list failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch drafts" });
+  }
+});
+
+// POST /api/drafts
+// Body: { text, organizationId? }. Send as multipart/form-data with "files" to
+// attach images (JPEG, PNG, GIF) or one PDF.
+router.post("/", receiveMedia, async (req, res) => {
+  try {
+    const { text, organizationId } = req.body;
+    if (!text || !text.trim()) {
+      return res.status(400).json({ error: "Post text is required" });
+    }
+
+    const files = req.files || [];
+    const mediaErrors = validateMediaFiles(files);
+    if (mediaErrors.length > 0) {
+      return res.status(400).json({ error: "Invalid attachments", details: mediaErrors });
+    }
+
+    const org = await resolveOrganization(organizationId);
+    if (!org) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
+
+    // The draft and its attachments are saved in one transaction
+    const stored = await storeLocally(files);
+    let draft;
+    try {
+      draft = await createDraft({ organizationId: org.id, text: text.trim(), createdBy: req.user.sub, media: stored });
+    } finally {
+      if (!draft) await deleteStoredFiles(stored.map((item) => item.storedName));
+    }
+
+    const pool = await getPool();
+    res.status(201).json({ ...draft, media: await getDraftMedia(pool, draft.id) });
+  } catch (err) {
+    console.error("Create draft failed:", err.message);
+    res.status(500).json({ error: "Failed to create draft" });
+  }
+});
+
+// GET /api/drafts/:id
+// A draft with its attachments (preview URLs)
+router.get("/:id", async (req, res) => {
+  try {
+    const draft = await loadDraft(req, res);
+    if (!draft) return;
+
+    const pool = await getPool();
+    res.json({ ...draft, media: await getDraftMedia(pool, draft.id) });
+  } catch (err) {
+    console.error("Get draft failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch draft" });
+  }
+});
+
+// GET /api/drafts/:id/events
+// Who wrote, submitted, reviewed, scheduled and published the draft, with reviewer comments
+router.get("/:id/events", async (req, res) => {
+  try {
+    const draft = await loadDraft(req, res);
+    if (!draft) return;
+
+    res.json(await getDraftEvents(draft.id));
+  } catch (err) {
+    console.error("Draft events failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch draft history" });
+  }
+});
+
+// GET /api/drafts/:id/media/:mediaId
+// Preview an attachment of a draft that hasn't been published yet
+router.get("/:id/media/:mediaId", async (req, res) => {
+  try {
+    const draft = await loadDraft(req, res);
+    if (!draft) return;
+
+    const mediaId = Number(req.params.mediaId);
+    if (!Number.isInteger(mediaId) || mediaId <= 0) {
+      return res.status(400).json({ error: "Invalid media id" });
+    }
+
+    const pool = await getPool();
+    const media = await getMedia(pool, mediaId);
+    if (!media || String(media.draftId) !== String(draft.id) || !media.storedName) {
+      return res.status(404).json({ error: "Media not found" });
+    }
+
+    const { filePath } = await resolveMediaLocation(media);
+    res.type(media.contentType);
+    res.sendFile(filePath, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: "Media not found" });
+      }
+    });
+  } catch (err) {
+    console.error("Draft media failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch media" });
+  }
+});
+
+// PUT /api/drafts/:id
+// Body: { text }, optionally multipart with "files" to replace the attachments.
+// The draft goes back to "draft" and has to be submitted and approved again.
+router.put("/:id", receiveMedia, async (req, res) => {
+  try {
+    const draft = await loadDraft(req, res);
+    if (!draft) return;
+
+    const { text } = req.body;
+    if (!text || !text.trim()) {
+      return res.status(400).json({ error: "Post text is required" });
+    }
+
+    const files = req.files || [];
+    const mediaErrors = validateMediaFiles(files);
+    if (mediaErrors.length > 0) {
+      return res.status(400).json({ error: "Invalid attachments", details: mediaErrors });
+    }
+
+    // The new attachments are swapped in with the text, in one transaction
+    const stored = files.length > 0 ? await storeLocally(files) : null;
+    let result;
+    try {
+      result = await editDraft(draft.id, text.trim(), req.user.sub, stored);
+    } finally {
+      if (stored && !result?.draft) await deleteStoredFiles(stored.map((item) => item.storedName));
+    }
+    if (result.error) return sendTransition(res, result);
+
+    await deleteStoredFiles(result.removedFiles);
+    const pool = await getPool();
+    res.json({ ...result.draft, media: await getDraftMedia(pool, draft.id) });
+  } catch (err) {
+    console.error("Update draft failed:", err.message);
+    res.status(500).json({ error: "Failed to update draft" });
+  }
+});
+
+// POST /api/drafts/:id/submit
+// Send a draft (or a rejected one, after changes) for review
+router.post("/:id/submit", async (req, res) => {
+  try {
+    const draft = await loadDraft(req, res);
+    if (!draft) return;
+
+    sendTransition(res, await submitDraft(draft.id, req.user.sub));
+  } catch (err) {
+    console.error("Submit draft failed:", err.message);
+    res.status(500).json({ error: "Failed to submit draft" });
+  }
+});
+
+// Approve or reject a draft waiting for review (a manager who didn't write, edit or
+// submit it; see reviewDraft)
+function reviewHandler(approve) {
+  return async (req, res) => {
+    try {
+      const draft = await loadDraft(req, res);
+      if (!draft) return;
+
+      const comment = req.body?.comment?.trim() || null;
+      if (!approve && !comment) {
+        return res.status(400).json({ error: "A comment explaining the rejection is required" });
+      }
+      const result = await reviewDraft(draft.id, approve, req.user.sub, comment, {
+        allowSelfReview: ALLOW_SELF_APPROVAL,
+      });
+      if (result.draft) {
+        console.log(`[Drafts] Draft ${draft.id} ${approve ? "approved" : "rejected"} by ${req.user.sub}`);
+      }
+      sendTransition(res, result);
+    } catch (err) {
+      console.error("Review draft failed:", err.message);
+      res.status(500).json({ error: "Failed to review draft" });
+    }
+  };
+}
+
+// POST /api/drafts/:id/approve  (manager)
+// Body: { comment? }
+router.post("/:id/approve", requireRole("manager"), reviewHandler(true));
+
+// POST /api/drafts/:id/reject  (manager)
+// Body: { comment }
+router.post("/:id/reject", requireRole("manager"), reviewHandler(false));
+
+// POST /api/drafts/:id/comments
+// Body: { comment } — add a note to the draft's history without changing it
+router.post("/:id/comments", async (req, res) => {
+  try {
+    const draft = await loadDraft(req, res);
+    if (!draft) return;
+
+    const comment = req.body?.comment?.trim();
+    if (!comment) {
+      return res.status(400).json({ error: "comment is required" });
+    }
+
+    await commentOnDraft(draft.id, req.user.sub, comment);
+    res.status(201).json(await getDraftEvents(draft.id));
+  } catch (err) {
+    console.error("Comment on draft failed:", err.message);
+    res.status(500).json({ error: "Failed to add comment" });
+  }
+});
+
+// POST /api/drafts/:id/schedule  (manager)
+// Body: { scheduledAt } — schedule an approved draft, move a scheduled post, or
+// retry a failed one. Attempts and the last error are reset.
+router.post("/:id/schedule", requireRole("manager"), async (req, res) => {
+  try {
+    const draft = await loadDraft(req, res);
+    if (!draft) return;
+
+    const { scheduledAt, error } = parseScheduledAt(req.body?.scheduledAt);
+    if (error) return res.status(400).json({ error });
+
+    const result = await scheduleDraft(draft.id, scheduledAt, req.user.sub);
+    if (result.draft) {
+      console.log(`[Drafts] Draft ${draft.id} scheduled for ${scheduledAt.toISOString()} by ${req.user.sub}`);
+    }
+    sendTransition(res, result);
+  } catch (err) {
+    console.error("Schedule draft failed:", err.message);
+    res.status(500).json({ error: "Failed to schedule draft" });
+  }
+});
+
+// POST /api/drafts/:id/unschedule  (manager)
+// Take a scheduled (or failed) post off the schedule; it stays approved
+router.post("/:id/unschedule", requireRole("manager"), async (req, res) => {
+  try {
+    const draft = await loadDraft(req, res);
+    if (!draft) return;
+
+    sendTransition(res, await unscheduleDraft(draft.id, req.user.sub));
+  } catch (err) {
+    console.error("Unschedule draft failed:", err.message);
+    res.status(500).json({ error: "Failed to unschedule draft" });
+  }
+});
+
+// POST /api/drafts/:id/cancel
+// Cancel a draft or scheduled post; cancelled drafts are kept for reference
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const draft = await loadDraft(req, res);
+    if (!draft) return;
+
+    const result = await cancelDraft(draft.id, req.user.sub);
+    if (result.draft) console.log(`[Drafts] Draft ${draft.id} cancelled by ${req.user.sub}`);
+    sendTransition(res, result);
+  } catch (err) {
+    console.error("Cancel draft failed:", err.message);
+    res.status(500).json({ error: "Failed to cancel draft" });
+  }
+});
+
+module.exports = router;
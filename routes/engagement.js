@@ -3,49 +3,312 @@
 
 const express = require("express");
 const { sql, getPool } = require("../db");
+const { hasRole } = require("../middleware/auth");
+const {
+  computeLeaderboard,
+  getActiveScoringModel,
+  getScoringModel,
+  USER_ATTRIBUTES,
+} = require("../services/scoring");
+const { getEngagementTimeSeries, INTERVALS } = require("../services/analytics");
+const {
+  PERIOD_TYPES,
+  getSnapshotStandings,
+  listSnapshotPeriods,
+  getUserRankHistory,
+  getTopStreaks,
+  getUserStreak,
+} = require("../services/leaderboardHistory");
 
 const router = express.Router();
 
-// GET /api/engagement/leaderboard
-// Returns employee engagement scores ranked by total
-router.get("/leaderboard", async (req, res) => {
-  try {
-    const pool = await getPool();
+// Start of the leaderboard window for a period (week, month, quarter); null for all time
+function getPeriodStart(period) {
+  const start = new Date();
+  if (period === "week") {
+    start.setUTCDate(start.getUTCDate() - 7);
+  } else if (period === "month") {
+    start.setUTCMonth(start.getUTCMonth() - 1);
+  } else if (period === "quarter") {
+    start.setUTCMonth(start.getUTCMonth() - 3);
+  } else {
+    return null;
+  }
+  return start;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+// Parse the query parameters shared by the leaderboard endpoints into
+// computeLeaderboard options. Returns { error } when a parameter is invalid.
+//   from, to       ISO dates; `to` is exclusive. Take precedence over period.
+//   period         week, month, quarter or all (default)
+//   orgId          only engagement on that organization's posts counts
+//   department, team, location   only rank users with that attribute value
+//   modelVersion   recompute under an older scoring model
+async function parseLeaderboardQuery(query) {
+  const orgId = query.orgId ? Number(query.orgId) : null;
+  if (orgId !== null && !Number.isInteger(orgId)) {
+    return { error: "Invalid orgId" };
+  }
+
+  let since = parseDate(query.from);
+  const until = parseDate(query.to);
+  if (since === undefined || until === undefined) {
+    return { error: "from and to must be ISO dates" };
+  }
+  if (since && until && since >= until) {
+    return { error: "from must be before to" };
+  }
+  if (!since && !until) {
+    since = getPeriodStart(query.period || "all");
+  }
 
-    // Optional period filter: week, month, quarter, all
-    const period = req.query.period || "all";
-    let dateFilter = "";
+  const filters = {};
+  for (const attr of USER_ATTRIBUTES) {
+    if (query[attr]) filters[attr] = String(query[attr]);
+  }
 
-    if (period === "week") {
-      dateFilter = "AND pe.engagedAt >= DATEADD(day, -7, GETUTCDATE())";
-    } else if (period === "month") {
-      dateFilter = "AND pe.engagedAt >= DATEADD(month, -1, GETUTCDATE())";
-    } else if (period === "quarter") {
-      dateFilter = "AND pe.engagedAt >= DATEADD(month, -3, GETUTCDATE())";
+  let model = null;
+  if (query.modelVersion) {
+    model = await getScoringModel(Number(query.modelVersion) || 0);
+    if (!model) {
+      return { error: "Scoring model version not found", status: 404 };
     }
+  }
 
-    const result = await pool.request().query(`
-      SELECT
-        u.sub,
-        COALESCE(NULLIF(u.name,''), CONCAT(COALESCE(u.firstName,''), ' ', COALESCE(u.lastName,''))) AS name,
-        u.picture,
-        u.email,
-        COUNT(CASE WHEN pe.engagementType = 'REACTION' THEN 1 END) AS reactions,
-        COUNT(CASE WHEN pe.engagementType = 'COMMENT' THEN 1 END) AS comments,
-        COUNT(pe.id) AS total
-      FROM dbo.users u
-      LEFT JOIN dbo.PostEngagements pe ON u.sub COLLATE SQL_Latin1_General_CP1_CI_AS = pe.userSub ${dateFilter}
-      GROUP BY u.sub, u.name, u.firstName, u.lastName, u.picture, u.email
-      ORDER BY total DESC, reactions DESC, comments DESC;
-    `);
+  return { options: { orgId, since, until, filters, model } };
+}
 
-    res.json(result.recordset);
+// Leaderboard rows as sent to the client: emails for managers and admins only
+function presentRows(rows, user) {
+  const canSeeEmail = hasRole(user, "manager");
+  return rows.map(({ email, ...row }) => (canSeeEmail ? { ...row, email } : row));
+}
+
+// GET /api/engagement/leaderboard?from=&to=&period=&orgId=&department=&team=&location=&modelVersion=&limit=&offset=
+// Employees ranked by weighted score under the active scoring model, each with a
+// rank (ties share a rank) and a per-type breakdown. See parseLeaderboardQuery
+// for the filters; limit (default 50, max 200) and offset page through the ranking.
+router.get("/leaderboard", async (req, res) => {
+  try {
+    const parsed = await parseLeaderboardQuery(req.query);
+    if (parsed.error) {
+      return res.status(parsed.status || 400).json({ error: parsed.error });
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    const { options } = parsed;
+    const { modelVersion, rows } = await computeLeaderboard(options);
+
+    res.json({
+      items: presentRows(rows.slice(offset, offset + limit), req.user),
+      total: rows.length,
+      limit,
+      offset,
+      from: options.since,
+      to: options.until,
+      scoringModelVersion: modelVersion,
+    });
   } catch (err) {
     console.error("Leaderboard query failed:", err.message);
     res.status(500).json({ error: "Failed to fetch leaderboard" });
   }
 });
 
+// GET /api/engagement/leaderboard/me?neighbors=2&...
+// The caller's row plus up to `neighbors` (default 2, max 10) users ranked
+// directly above and below them. Takes the same filters as the leaderboard;
+// `me` is null when the caller is filtered out.
+router.get("/leaderboard/me", async (req, res) => {
+  try {
+    const parsed = await parseLeaderboardQuery(req.query);
+    if (parsed.error) {
+      return res.status(parsed.status || 400).json({ error: parsed.error });
+    }
+
+    const neighbors = Math.min(Math.max(Number(req.query.neighbors ?? 2) || 0, 0), 10);
+    const { options } = parsed;
+    const { modelVersion, rows } = await computeLeaderboard(options);
+
+    const index = rows.findIndex((row) => row.sub === req.user.sub);
+    const surrounding = index === -1
+      ? { above: [], below: [] }
+      : {
+          above: rows.slice(Math.max(index - neighbors, 0), index),
+          below: rows.slice(index + 1, index + 1 + neighbors),
+        };
+
+    res.json({
+      me: index === -1 ? null : presentRows([rows[index]], req.user)[0],
+      above: presentRows(surrounding.above, req.user),
+      below: presentRows(surrounding.below, req.user),
+      total: rows.length,
+      from: options.since,
+      to: options.until,
+      scoringModelVersion: modelVersion,
+    });
+  } catch (err) {
+    console.error("Leaderboard rank query failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch leaderboard rank" });
+  }
+});
+
+// GET /api/engagement/leaderboard/history?periodType=week|month&periodStart=YYYY-MM-DD&orgId=&limit=&offset=
+// Final standings of a completed week or month (the most recent one by default),
+// with each user's previous rank and movement (up, down, same, new), plus the
+// periods available to browse.
+router.get("/leaderboard/history", async (req, res) => {
+  try {
+    const periodType = req.query.periodType || "week";
+    if (!PERIOD_TYPES.includes(periodType)) {
+      return res.status(400).json({ error: `periodType must be one of: ${PERIOD_TYPES.join(", ")}` });
+    }
+
+    const orgId = req.query.orgId ? Number(req.query.orgId) : null;
+    if (orgId !== null && !Number.isInteger(orgId)) {
+      return res.status(400).json({ error: "Invalid orgId" });
+    }
+
+    const periods = await listSnapshotPeriods(periodType, orgId);
+    const requested = req.query.periodStart;
+    if (requested && !/^\d{4}-\d{2}-\d{2}$/.test(requested)) {
+      return res.status(400).json({ error: "periodStart must be a YYYY-MM-DD date" });
+    }
+
+    const periodStart = requested || (periods[0] && periods[0].periodStart.toISOString().slice(0, 10));
+    if (!periodStart) {
+      return res.json({ periodType, periodStart: null, periods, total: 0, items: [] });
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const { total, items } = await getSnapshotStandings({ periodType, periodStart, orgId, limit, offset });
+    if (requested && total === 0) {
+      return res.status(404).json({ error: "No snapshot for that period" });
+    }
+
+    res.json({ periodType, periodStart, periods, total, limit, offset, items });
+  } catch (err) {
+    console.error("Leaderboard history query failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch leaderboard history" });
+  }
+});
+
+// GET /api/engagement/streaks?limit=
+// Users with the longest current weekly engagement streaks
+router.get("/streaks", async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 100);
+    res.json(await getTopStreaks(limit));
+  } catch (err) {
+    console.error("Streaks query failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch streaks" });
+  }
+});
+
+// GET /api/engagement/user/:sub/history?periodType=week|month&orgId=&limit=
+// A user's current/best streak and their rank in recent completed periods
+router.get("/user/:sub/history", async (req, res) => {
+  try {
+    const periodType = req.query.periodType || "week";
+    if (!PERIOD_TYPES.includes(periodType)) {
+      return res.status(400).json({ error: `periodType must be one of: ${PERIOD_TYPES.join(", ")}` });
+    }
+
+    const orgId = req.query.orgId ? Number(req.query.orgId) : null;
+    if (orgId !== null && !Number.isInteger(orgId)) {
+      return res.status(400).json({ error: "Invalid orgId" });
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 12, 1), 104);
+    const [streak, ranks] = await Promise.all([
+      getUserStreak(req.params.sub),
+      getUserRankHistory(req.params.sub, periodType, orgId, limit),
+    ]);
+
+    res.json({
+      sub: req.params.sub,
+      currentStreak: streak?.currentStreak || 0,
+      bestStreak: streak?.bestStreak || 0,
+      bestStreakEnd: streak?.bestStreakEnd || null,
+      lastActiveWeek: streak?.lastActiveWeek || null,
+      periodType,
+      ranks,
+    });
+  } catch (err) {
+    console.error("User history query failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch user history" });
+  }
+});
+
+// GET /api/engagement/timeseries?interval=day|week|month&from=&to=&orgId=&postId=&department=&team=&location=
+// Reactions, comments, shares, engaged employees and participation rate per
+// bucket (UTC; weeks start on Monday), each with deltas against the previous
+// bucket, plus range totals compared with the equally long range before it.
+// Defaults to the last 30 days / 12 weeks / 12 months.
+router.get("/timeseries", async (req, res) => {
+  try {
+    const interval = req.query.interval || "day";
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `interval must be one of: ${INTERVALS.join(", ")}` });
+    }
+
+    const orgId = req.query.orgId ? Number(req.query.orgId) : null;
+    if (orgId !== null && !Number.isInteger(orgId)) {
+      return res.status(400).json({ error: "Invalid orgId" });
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: "from and to must be ISO dates" });
+    }
+    if (from && to && from >= to) {
+      return res.status(400).json({ error: "from must be before to" });
+    }
+
+    const filters = {};
+    for (const attr of USER_ATTRIBUTES) {
+      if (req.query[attr]) filters[attr] = String(req.query[attr]);
+    }
+
+    const result = await getEngagementTimeSeries({
+      interval,
+      from,
+      to,
+      orgId,
+      postId: req.query.postId || null,
+      filters,
+    });
+    res.json(result);
+  } catch (err) {
+    if (err instanceof RangeError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Time series query failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch engagement time series" });
+  }
+});
+
+// GET /api/engagement/scoring-model
+// The active scoring model, so employees can see how points are earned
+router.get("/scoring-model", async (req, res) => {
+  try {
+    const { version, config, notes, createdAt } = await getActiveScoringModel();
+    res.json({ version, config, notes, createdAt });
+  } catch (err) {
+    console.error("Scoring model query failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch scoring model" });
+  }
+});
+
 // GET /api/engagement/user/:sub
 // Returns engagement history for a specific user
 router.get("/user/:sub", async (req, res) => {
@@ -67,6 +330,7 @@ router.get("/user/:sub", async (req, res) => {
       FROM dbo.PostEngagements pe
       JOIN dbo.LinkedInPosts lp ON pe.postId = lp.postId
       WHERE pe.userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+        AND pe.removedAt IS NULL
       ORDER BY pe.engagedAt DESC;
     `);
 
@@ -77,19 +341,34 @@ router.get("/user/:sub", async (req, res) => {
   }
 });
 
-// GET /api/engagement/stats
-// Returns overall engagement statistics
+// GET /api/engagement/stats?orgId=
+// Returns overall engagement statistics, optionally for one organization's posts
 router.get("/stats", async (req, res) => {
   try {
+    const orgId = req.query.orgId ? Number(req.query.orgId) : null;
+    if (orgId !== null && !Number.isInteger(orgId)) {
+      return res.status(400).json({ error: "Invalid orgId" });
+    }
+
     const pool = await getPool();
+    const r = pool.request();
+    r.input("orgId", sql.Int, orgId);
 
-    const result = await pool.request().query(`
+    const result = await r.query(`
+      WITH posts AS (
+        SELECT postId, deletedAt FROM dbo.LinkedInPosts WHERE @orgId IS NULL OR organizationId = @orgId
+      ), engagements AS (
+        -- Engagements on posts deleted since still count, as they do on the leaderboard
+        SELECT userSub, engagementType
+        FROM dbo.PostEngagements
+        WHERE removedAt IS NULL AND postId IN (SELECT postId FROM posts)
+      )
       SELECT
         (SELECT COUNT(*) FROM dbo.users) AS totalEmployees,
-        (SELECT COUNT(DISTINCT userSub) FROM dbo.PostEngagements) AS engagedEmployees,
-        (SELECT COUNT(*) FROM dbo.LinkedInPosts) AS totalPosts,
-        (SELECT COUNT(*) FROM dbo.PostEngagements WHERE engagementType = 'REACTION') AS totalReactions,
-        (SELECT COUNT(*) FROM dbo.PostEngagements WHERE engagementType = 'COMMENT') AS totalComments;
+        (SELECT COUNT(DISTINCT userSub) FROM engagements) AS engagedEmployees,
+        (SELECT COUNT(*) FROM posts WHERE deletedAt IS NULL) AS totalPosts,
+        (SELECT COUNT(*) FROM engagements WHERE engagementType = 'REACTION') AS totalReactions,
+        (SELECT COUNT(*) FROM engagements WHERE engagementType = 'COMMENT') AS totalComments;
     `);
 
     res.json(result.recordset[0]);
@@ -0,0 +1,57 @@
+// routes/media.js
+// Public previews of post attachments (used as LinkedInPosts.mediaUrl)
+
+const express = require("express");
+const { getPool } = require("../db");
+const { getAdminToken } = require("../services/adminTokens");
+const { LinkedInApiError } = require("../services/linkedinClient");
+const { getMedia, resolveMediaLocation } = require("../services/media");
+
+const router = express.Router();
+
+// GET /media/:id
+// Streams the locally stored file, or redirects to a LinkedIn download URL for an
+// attachment we have no copy of (cached until it expires, see resolveMediaLocation).
+// Unauthenticated so <img> tags work; attachments belong to public posts.
+router.get("/:id", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid media id" });
+    }
+
+    const pool = await getPool();
+    const media = await getMedia(pool, id);
+    // Draft attachments stay private until published (see /api/drafts/:id/media)
+    if (!media || !media.postId) {
+      return res.status(404).json({ error: "Media not found" });
+    }
+
+    let location;
+    try {
+      location = await resolveMediaLocation(media, () => getAdminToken(media.organizationId));
+    } catch (err) {
+      // No usable admin token, or LinkedIn failed: nothing to show right now
+      console.warn(`[Media] Can't resolve media ${id}:`, err.message);
+      const status = err instanceof LinkedInApiError ? 502 : 404;
+      return res.status(status).json({ error: "Media not available" });
+    }
+
+    const { filePath, downloadUrl } = location;
+    if (downloadUrl) {
+      return res.redirect(downloadUrl);
+    }
+
+    res.type(media.contentType);
+    res.sendFile(filePath, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: "Media not found" });
+      }
+    });
+  } catch (err) {
+    console.error("Media preview failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch media" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// routes/notifications.js
+// The signed-in user's notification preferences (new-post digests and weekly leaderboard summaries)
+
+const express = require("express");
+const { validateWebhookUrl, getPreferences, updatePreferences } = require("../services/notifications");
+
+const router = express.Router();
+
+// GET /api/notifications/preferences
+// { email, webhook, webhookUrl, emailAddress, emailSetting, webhookSetting } —
+// email/webhook say whether the channel is on; *Setting is "on", "off" or "default"
+router.get("/preferences", async (req, res) => {
+  try {
+    const prefs = await getPreferences(req.user.sub);
+    if (!prefs) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.json(prefs);
+  } catch (err) {
+    console.error("Notification preferences failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch notification preferences" });
+  }
+});
+
+// PUT /api/notifications/preferences
+// Body: any of { email, webhook, webhookUrl }. email/webhook opt in (true) or out
+// (false) of a channel, null goes back to the default; webhookUrl is a Slack or
+// Teams incoming webhook (null removes it).
+router.put("/preferences", async (req, res) => {
+  const { email, webhook, webhookUrl } = req.body || {};
+  if (email === undefined && webhook === undefined && webhookUrl === undefined) {
+    return res.status(400).json({ error: "Provide at least one of: email, webhook, webhookUrl" });
+  }
+
+  const errors = [];
+  for (const [field, value] of Object.entries({ email, webhook })) {
+    if (value !== undefined && value !== null && typeof value !== "boolean") {
+      errors.push(`${field} must be true, false or null`);
+    }
+  }
+  if (webhookUrl !== undefined && webhookUrl !== null) {
+    const problem = validateWebhookUrl(webhookUrl);
+    if (problem) errors.push(problem);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid preferences", details: errors });
+  }
+
+  try {
+    const prefs = await updatePreferences(req.user.sub, { email, webhook, webhookUrl });
+    if (!prefs) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.json(prefs);
+  } catch (err) {
+    console.error("Update notification preferences failed:", err.message);
+    res.status(500).json({ error: "Failed to update notification preferences" });
+  }
+});
+
+module.exports = router;
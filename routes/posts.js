@@ -1,37 +1,62 @@
 // routes/posts.js
-// Company posts feed, engagement detail, and publish endpoints
+// Company posts feed, post analytics, engagement detail, and publish, edit and delete endpoints
 
 const express = require("express");
-const axios = require("axios");
 const { sql, getPool } = require("../db");
-const { getAdminToken, MOCK_MODE } = require("../services/linkedinSync");
-
-const LINKEDIN_ORG_URN = process.env.LINKEDIN_ORG_URN || "urn:li:organization:30474";
-const LINKEDIN_API_VERSION = process.env.LINKEDIN_API_VERSION || "202501";
+const { getMediaForPosts } = require("../services/media");
+const { countedShares } = require("../services/advocacy");
+const { getPostWorkflow, publishDraftNow, recordPostEvent } = require("../services/drafts");
+const { updatePost, deletePost } = require("../services/publisher");
+const { getOrganization } = require("../services/organizations");
+const { hasRole, requireRole } = require("../middleware/auth");
 
 const router = express.Router();
 
-// GET /api/posts
-// List company posts with reaction/comment counts
+// GET /api/posts?orgId=&includeDeleted=true
+// List company posts with employee reaction/comment counts and the latest LinkedIn
+// impressions, optionally for one organization. Deleted posts are left out unless
+// a manager asks for them.
 router.get("/", async (req, res) => {
   try {
+    const orgId = req.query.orgId ? Number(req.query.orgId) : null;
+    if (orgId !== null && !Number.isInteger(orgId)) {
+      return res.status(400).json({ error: "Invalid orgId" });
+    }
+    const includeDeleted = req.query.includeDeleted === "true" && hasRole(req.user, "manager");
+
     const pool = await getPool();
+    const r = pool.request();
+    r.input("orgId", sql.Int, orgId);
+    r.input("includeDeleted", sql.Bit, includeDeleted ? 1 : 0);
 
-    const result = await pool.request().query(`
+    const result = await r.query(`
       SELECT
         lp.postId,
+        lp.organizationId,
         lp.text,
         lp.author,
         lp.visibility,
         lp.source,
         lp.mediaUrl,
         lp.publishedAt,
+        lp.editedAt,
+        lp.deletedAt,
         COUNT(CASE WHEN pe.engagementType = 'REACTION' THEN 1 END) AS reactionCount,
         COUNT(CASE WHEN pe.engagementType = 'COMMENT' THEN 1 END) AS commentCount,
-        COUNT(pe.id) AS totalEngagements
+        COUNT(pe.id) AS totalEngagements,
+        stats.impressionCount
       FROM dbo.LinkedInPosts lp
-      LEFT JOIN dbo.PostEngagements pe ON lp.postId = pe.postId
-      GROUP BY lp.postId, lp.text, lp.author, lp.visibility, lp.source, lp.mediaUrl, lp.publishedAt
+      LEFT JOIN dbo.PostEngagements pe ON lp.postId = pe.postId AND pe.removedAt IS NULL
+      OUTER APPLY (
+        SELECT TOP 1 impressionCount
+        FROM dbo.PostStatsSnapshots ps
+        WHERE ps.postId = lp.postId
+        ORDER BY ps.snapshotDate DESC
+      ) AS stats
+      WHERE (@orgId IS NULL OR lp.organizationId = @orgId)
+        AND (@includeDeleted = 1 OR lp.deletedAt IS NULL)
+      GROUP BY lp.postId, lp.organizationId, lp.text, lp.author, lp.visibility, lp.source, lp.mediaUrl,
+               lp.publishedAt, lp.editedAt, lp.deletedAt, stats.impressionCount
       ORDER BY lp.publishedAt DESC;
     `);
 
@@ -42,8 +67,113 @@ router.get("/", async (req, res) => {
   }
 });
 
+// Percentage of `total` that `part` makes up, capped at 100 (LinkedIn's counts can
+// lag behind ours); null when LinkedIn reports no engagement yet
+function percentOf(part, total) {
+  return total > 0 ? Math.min(100, Math.round((part / total) * 1000) / 10) : null;
+}
+
+// GET /api/posts/:postId
+// One post with its attachments, who wrote, approved and published it (when it
+// came from a draft), its LinkedIn reach (latest share statistics), employee-driven
+// engagement, the employee share of voice and the daily history of both
+router.get("/:postId", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const r = pool.request();
+    r.input("postId", sql.VarChar(255), req.params.postId);
+
+    const postResult = await r.query(`
+      SELECT postId, organizationId, text, author, visibility, source, mediaUrl, publishedAt,
+             editedAt, editedBy, deletedAt, deletedBy
+      FROM dbo.LinkedInPosts
+      WHERE postId = @postId;
+    `);
+    const post = postResult.recordset[0];
+    if (!post) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    const [snapshots, engagements, media, workflow] = await Promise.all([
+      pool.request()
+        .input("postId", sql.VarChar(255), post.postId)
+        .query(`
+          SELECT snapshotDate, impressionCount, uniqueImpressionsCount, clickCount,
+                 reactionCount, commentCount, shareCount, engagementRate, capturedAt
+          FROM dbo.PostStatsSnapshots
+          WHERE postId = @postId
+          ORDER BY snapshotDate ASC;
+        `),
+      pool.request()
+        .input("postId", sql.VarChar(255), post.postId)
+        .query(`
+          SELECT userSub, engagementType AS type, engagedAt AS at
+          FROM dbo.PostEngagements
+          WHERE postId = @postId AND removedAt IS NULL
+          UNION ALL
+          SELECT userSub, 'SHARE' AS type, sharedAt AS at
+          FROM dbo.AdvocacyShares ash
+          WHERE postId = @postId AND ${countedShares("ash")};
+        `),
+      getMediaForPosts(pool, [post.postId]),
+      getPostWorkflow(post.postId),
+    ]);
+
+    // Employee-driven counts up to (and including) a point in time
+    const employeeCounts = (until = null) => {
+      const counts = { reactions: 0, comments: 0, shares: 0, total: 0 };
+      const employees = new Set();
+      for (const eng of engagements.recordset) {
+        if (until && eng.at && new Date(eng.at) > until) continue;
+        if (eng.type === "REACTION") counts.reactions++;
+        else if (eng.type === "COMMENT") counts.comments++;
+        else counts.shares++;
+        counts.total++;
+        employees.add(eng.userSub.toLowerCase());
+      }
+      return { ...counts, uniqueEmployees: employees.size };
+    };
+
+    const totalEngagements = (stats) => stats.reactionCount + stats.commentCount + stats.shareCount;
+
+    const history = snapshots.recordset.map((snap) => {
+      // Snapshot dates are UTC days; count employee engagement through the end of the day
+      const endOfDay = new Date(snap.snapshotDate);
+      endOfDay.setUTCHours(23, 59, 59, 999);
+      const employee = employeeCounts(endOfDay);
+      return {
+        ...snap,
+        totalEngagements: totalEngagements(snap),
+        employeeEngagements: employee.total,
+        shareOfVoice: percentOf(employee.total, totalEngagements(snap)),
+      };
+    });
+
+    const latest = snapshots.recordset[snapshots.recordset.length - 1] || null;
+    const employee = employeeCounts();
+
+    res.json({
+      post: { ...post, media: media.get(post.postId) || [] },
+      workflow,
+      linkedin: latest && { ...latest, totalEngagements: totalEngagements(latest) },
+      employee,
+      shareOfVoice: latest && {
+        reactions: percentOf(employee.reactions, latest.reactionCount),
+        comments: percentOf(employee.comments, latest.commentCount),
+        shares: percentOf(employee.shares, latest.shareCount),
+        total: percentOf(employee.total, totalEngagements(latest)),
+      },
+      history,
+    });
+  } catch (err) {
+    console.error("Post detail failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch post" });
+  }
+});
+
 // GET /api/posts/:postId/engagements
-// Who engaged with a specific post (name, photo, email, type) + accessible fields
+// Who engaged with a specific post (name, photo, type) + accessible fields.
+// Emails are only included for managers and admins.
 router.get("/:postId/engagements", async (req, res) => {
   try {
     const pool = await getPool();
@@ -62,7 +192,7 @@ router.get("/:postId/engagements", async (req, res) => {
         u.picture
       FROM dbo.PostEngagements pe
       JOIN dbo.users u ON pe.userSub = u.sub COLLATE SQL_Latin1_General_CP1_CI_AS
-      WHERE pe.postId = @postId
+      WHERE pe.postId = @postId AND pe.removedAt IS NULL
       ORDER BY pe.engagedAt DESC;
     `);
 
@@ -76,9 +206,16 @@ router.get("/:postId/engagements", async (req, res) => {
       { field: "engagedAt", description: "Date and time of engagement" },
     ];
 
+    const canSeeEmail = hasRole(req.user, "manager");
+    const engagements = canSeeEmail
+      ? result.recordset
+      : result.recordset.map(({ email, ...engagement }) => engagement);
+
     res.json({
-      engagements: result.recordset,
-      accessibleFields,
+      engagements,
+      accessibleFields: canSeeEmail
+        ? accessibleFields
+        : accessibleFields.filter((f) => f.field !== "email"),
       totalCount: result.recordset.length,
     });
   } catch (err) {
@@ -87,81 +224,103 @@ router.get("/:postId/engagements", async (req, res) => {
   }
 });
 
-// POST /api/posts/publish
-// Publish a post to the company LinkedIn page (or store locally in mock mode)
-router.post("/publish", async (req, res) => {
+// POST /api/posts/publish  (manager)
+// Publish an approved draft to its company LinkedIn page now (or store locally in
+// mock mode). Body: { draftId }. Posts are written and reviewed at /api/drafts.
+router.post("/publish", requireRole("manager"), async (req, res) => {
+  try {
+    const draftId = Number(req.body?.draftId);
+    if (!Number.isInteger(draftId) || draftId <= 0) {
+      return res.status(400).json({ error: "draftId of an approved draft is required" });
+    }
+
+    const result = await publishDraftNow(draftId, req.user.sub);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { postId, media, mockMode } = result.published;
+    res.json({ success: true, postId, draftId, organizationId: result.draft.organizationId, media, mockMode });
+  } catch (err) {
+    console.error("Publish post failed:", err.message);
+    if (err.publishOutcomeUnknown) {
+      return res.status(502).json({
+        error: "LinkedIn may have published the post; check the page before publishing again",
+        postId: err.postId,
+      });
+    }
+    res.status(500).json({ error: "Failed to publish post" });
+  }
+});
+
+// The post named by :postId, or respond 404 (also for deleted posts) / 409 when
+// it belongs to no organization we can post as
+async function loadLivePost(req, res) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("postId", sql.VarChar(255), req.params.postId)
+    .query(`
+      SELECT postId, organizationId
+      FROM dbo.LinkedInPosts
+      WHERE postId = @postId AND deletedAt IS NULL;
+    `);
+  const post = result.recordset[0];
+  if (!post) {
+    res.status(404).json({ error: "Post not found" });
+    return null;
+  }
+
+  const org = post.organizationId && (await getOrganization(post.organizationId));
+  if (!org) {
+    res.status(409).json({ error: "Post has no organization to act as" });
+    return null;
+  }
+  if (!org.isActive) {
+    res.status(409).json({ error: "The post's organization is deactivated" });
+    return null;
+  }
+  return { post, org };
+}
+
+// PATCH /api/posts/:postId  (admin)
+// Body: { text } — fix a published post's text on LinkedIn and locally. The new
+// text skips draft review, so only admins may do this; managers write a draft.
+router.patch("/:postId", requireRole("admin"), async (req, res) => {
   try {
-    const { text } = req.body;
+    const { text } = req.body || {};
     if (!text || !text.trim()) {
       return res.status(400).json({ error: "Post text is required" });
     }
 
-    const pool = await getPool();
+    const loaded = await loadLivePost(req, res);
+    if (!loaded) return;
 
-    if (MOCK_MODE) {
-      // Mock mode: store locally only
-      const postId = `urn:li:share:local_${Date.now()}`;
-      const r = pool.request();
-      r.input("postId", sql.VarChar(255), postId);
-      r.input("text", sql.NVarChar, text.trim());
-      r.input("author", sql.VarChar, LINKEDIN_ORG_URN);
-      r.input("visibility", sql.VarChar, "PUBLIC");
-      r.input("publishedAt", sql.DateTimeOffset, new Date());
-      r.input("source", sql.VarChar(20), "published");
-
-      await r.query(`
-        INSERT INTO dbo.LinkedInPosts (postId, text, author, visibility, publishedAt, source)
-        VALUES (@postId, @text, @author, @visibility, @publishedAt, @source);
-      `);
-
-      return res.json({ success: true, postId, mockMode: true });
-    }
+    await updatePost(loaded.org, loaded.post.postId, text, req.user.sub);
+    await recordPostEvent(loaded.post.postId, "post_edited", req.user.sub);
+    console.log(`[Posts] ${loaded.post.postId} edited by ${req.user.sub}`);
 
-    // Real mode: publish via LinkedIn API
-    const token = await getAdminToken();
-
-    const { data } = await axios.post(
-      "https://api.linkedin.com/rest/posts",
-      {
-        author: LINKEDIN_ORG_URN,
-        commentary: text.trim(),
-        visibility: "PUBLIC",
-        distribution: {
-          feedDistribution: "MAIN_FEED",
-          targetEntities: [],
-          thirdPartyDistributionChannels: [],
-        },
-        lifecycleState: "PUBLISHED",
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "application/json",
-          "X-Restli-Protocol-Version": "2.0.0",
-          "LinkedIn-Version": LINKEDIN_API_VERSION,
-        },
-      }
-    );
+    res.json({ success: true, postId: loaded.post.postId, text: text.trim() });
+  } catch (err) {
+    console.error("Edit post failed:", err.message);
+    res.status(500).json({ error: "Failed to edit post" });
+  }
+});
 
-    // Store in DB
-    const postId = data.id || `urn:li:share:api_${Date.now()}`;
-    const r = pool.request();
-    r.input("postId", sql.VarChar(255), postId);
-    r.input("text", sql.NVarChar, text.trim());
-    r.input("author", sql.VarChar, LINKEDIN_ORG_URN);
-    r.input("visibility", sql.VarChar, "PUBLIC");
-    r.input("publishedAt", sql.DateTimeOffset, new Date());
-    r.input("source", sql.VarChar(20), "published");
-
-    await r.query(`
-      INSERT INTO dbo.LinkedInPosts (postId, text, author, visibility, publishedAt, source)
-      VALUES (@postId, @text, @author, @visibility, @publishedAt, @source);
-    `);
+// DELETE /api/posts/:postId  (manager)
+// Delete a post on LinkedIn. It is kept locally as deleted, with its engagements.
+router.delete("/:postId", requireRole("manager"), async (req, res) => {
+  try {
+    const loaded = await loadLivePost(req, res);
+    if (!loaded) return;
 
-    res.json({ success: true, postId, mockMode: false });
+    await deletePost(loaded.org, loaded.post.postId, req.user.sub);
+    await recordPostEvent(loaded.post.postId, "post_deleted", req.user.sub);
+    console.log(`[Posts] ${loaded.post.postId} deleted by ${req.user.sub}`);
+
+    res.json({ success: true, postId: loaded.post.postId });
   } catch (err) {
-    console.error("Publish post failed:", err.message);
-    res.status(500).json({ error: "Failed to publish post" });
+    console.error("Delete post failed:", err.message);
+    res.status(500).json({ error: "Failed to delete post" });
   }
 });
 
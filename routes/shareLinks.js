@@ -0,0 +1,42 @@
+// routes/shareLinks.js
+// Redirects for advocates' personal share links, logging each click
+
+const express = require("express");
+const { getPool } = require("../db");
+const { postUrl, resolveShareLink, recordClick } = require("../services/shareLinks");
+
+const router = express.Router();
+
+// GET /s/:code
+// Public: whoever follows an advocate's link lands here and is sent on to the
+// post on LinkedIn. A failure to log the click doesn't stop the redirect.
+router.get("/:code", async (req, res) => {
+  try {
+    const pool = await getPool();
+    const link = await resolveShareLink(pool, req.params.code);
+    if (!link) {
+      return res.status(404).send("Link not found");
+    }
+    if (link.deletedAt) {
+      return res.status(410).send("This post is no longer available");
+    }
+
+    try {
+      await recordClick(pool, link.id, {
+        ip: req.ip,
+        referrer: req.get("referer"),
+        userAgent: req.get("user-agent"),
+      });
+    } catch (err) {
+      console.error("[ShareLinks] Click logging failed:", err.message);
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.redirect(302, postUrl(link.postId));
+  } catch (err) {
+    console.error("Share link redirect failed:", err.message);
+    res.status(500).send("Link unavailable");
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,32 @@
 // routes/sync.js
-// Sync trigger and status endpoints
+// Sync trigger and status endpoints (mounted behind the manager role)
 
 const express = require("express");
-const { runFullSync, getSyncLogs, hasAdminTokenConfigured, MOCK_MODE } = require("../services/linkedinSync");
+const {
+  getSyncLogs,
+  getSyncLog,
+  getSyncCoverage,
+  hasAdminTokenConfigured,
+  SYNC_MODES,
+  MOCK_MODE,
+} = require("../services/linkedinSync");
+const { startSyncJob } = require("../services/syncJobs");
+const { resolveOrganization } = require("../services/organizations");
+const { requireRole } = require("../middleware/auth");
 
 const router = express.Router();
 
-// POST /api/sync/trigger
-// Manually trigger a LinkedIn sync
-router.post("/trigger", async (req, res) => {
+// POST /api/sync/trigger?mode=incremental|full&orgId=  (admin)
+// Start a LinkedIn sync of one organization (the default one unless orgId is
+// given) in the background, incremental by default.
+// Responds 202 with the job id, or 409 with the running job's id.
+router.post("/trigger", requireRole("admin"), async (req, res) => {
   try {
+    const mode = req.query.mode || "incremental";
+    if (!SYNC_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${SYNC_MODES.join(", ")}` });
+    }
+
     // Check if sync is possible
     if (!MOCK_MODE && !hasAdminTokenConfigured()) {
       return res.status(400).json({
@@ -17,37 +34,68 @@ router.post("/trigger", async (req, res) => {
       });
     }
 
-    console.log("[Sync] Manual sync triggered");
-    const result = await runFullSync();
+    const org = await resolveOrganization(req.query.orgId);
+    if (!org) {
+      return res.status(404).json({ error: "Organization not found" });
+    }
 
-    if (result.success) {
-      res.json({
-        ok: true,
-        message: "Sync completed successfully",
-        postsProcessed: result.postsProcessed,
-        engagementsFound: result.engagementsFound,
-        mockMode: MOCK_MODE,
-      });
-    } else {
-      res.status(500).json({
+    console.log(`[Sync] Manual ${mode} sync triggered for ${org.orgUrn}`);
+    const job = await startSyncJob({ orgId: org.id, mode, triggeredBy: req.user.sub });
+
+    if (!job.started) {
+      return res.status(409).json({
         ok: false,
-        error: result.error,
-        postsProcessed: result.postsProcessed,
-        engagementsFound: result.engagementsFound,
+        error: "A sync is already running for this organization",
+        jobId: job.jobId,
       });
     }
+
+    res.status(202).json({
+      ok: true,
+      message: "Sync started",
+      jobId: job.jobId,
+      organizationId: org.id,
+      mode,
+      mockMode: MOCK_MODE,
+    });
   } catch (err) {
     console.error("[Sync] Trigger failed:", err.message);
     res.status(500).json({ error: "Sync failed: " + err.message });
   }
 });
 
-// GET /api/sync/status
-// Get recent sync logs
+// GET /api/sync/jobs/:id
+// Progress of a sync job: status, phase, posts done and engagements found
+router.get("/jobs/:id", async (req, res) => {
+  try {
+    const jobId = Number(req.params.id);
+    if (!Number.isInteger(jobId)) {
+      return res.status(400).json({ error: "Invalid job id" });
+    }
+
+    const job = await getSyncLog(jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Sync job not found" });
+    }
+
+    res.json(job);
+  } catch (err) {
+    console.error("[Sync] Job query failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch sync job" });
+  }
+});
+
+// GET /api/sync/status?orgId=
+// Get recent sync logs, optionally for one organization
 router.get("/status", async (req, res) => {
   try {
     const limit = Math.min(Number(req.query.limit || 10), 50);
-    const logs = await getSyncLogs(limit);
+    const orgId = req.query.orgId ? Number(req.query.orgId) : null;
+    if (orgId !== null && !Number.isInteger(orgId)) {
+      return res.status(400).json({ error: "Invalid orgId" });
+    }
+
+    const logs = await getSyncLogs(limit, orgId);
 
     res.json({
       logs,
@@ -60,4 +108,21 @@ router.get("/status", async (req, res) => {
   }
 });
 
+// GET /api/sync/logs/:id/coverage
+// Pages and items read per post during a sync run
+router.get("/logs/:id/coverage", async (req, res) => {
+  try {
+    const logId = Number(req.params.id);
+    if (!Number.isInteger(logId)) {
+      return res.status(400).json({ error: "Invalid sync log id" });
+    }
+
+    const coverage = await getSyncCoverage(logId);
+    res.json({ syncLogId: logId, posts: coverage });
+  } catch (err) {
+    console.error("[Sync] Coverage query failed:", err.message);
+    res.status(500).json({ error: "Failed to fetch sync coverage" });
+  }
+});
+
 module.exports = router;
@@ -4,15 +4,26 @@
 const express = require("express");
 const axios = require("axios");
 const cors = require("cors");
-const jwt = require("jsonwebtoken");
-const cron = require("node-cron");
 const { sql, getPool } = require("./db");
 const engagementRoutes = require("./routes/engagement");
 const syncRoutes = require("./routes/sync");
 const adminRoutes = require("./routes/admin");
 const postRoutes = require("./routes/posts");
 const advocacyRoutes = require("./routes/advocacy");
-const { runFullSync, MOCK_MODE } = require("./services/linkedinSync");
+const badgeRoutes = require("./routes/badges");
+const draftRoutes = require("./routes/drafts");
+const mediaRoutes = require("./routes/media");
+const consentRoutes = require("./routes/consent");
+const shareLinkRoutes = require("./routes/shareLinks");
+const notificationRoutes = require("./routes/notifications");
+const authRoutes = require("./routes/auth");
+const { MOCK_MODE } = require("./services/linkedinSync");
+const { scheduleOrganizationSyncs } = require("./services/syncJobs");
+const { scheduleTokenMaintenance } = require("./services/tokenMaintenance");
+const { scheduleLeaderboardHistory } = require("./services/leaderboardHistory");
+const { scheduleDraftPublisher } = require("./services/drafts");
+const { scheduleNotifications } = require("./services/notifications");
+const { auth, requireRole } = require("./middleware/auth");
 require("dotenv").config();
 
 const PORT = process.env.PORT || 3003;
@@ -20,8 +31,6 @@ const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
 const CLIENT_ID = process.env.LINKEDIN_CLIENT_ID;
 const CLIENT_SECRET = process.env.LINKEDIN_CLIENT_SECRET;
 const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || "http://localhost:5173";
-const JWT_SECRET = process.env.JWT_SECRET || "super-secret-key";
-const REDIRECT_URI = `${BASE_URL}/callback`;
 const isProd = process.env.NODE_ENV === "production";
 
 if (!CLIENT_ID || !CLIENT_SECRET) {
@@ -43,7 +52,7 @@ app.use(
   cors({
     origin: [FRONTEND_ORIGIN, "http://localhost:5173"],
     credentials: true,
-    methods: ["GET", "POST", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   })
 );
 
@@ -51,114 +60,9 @@ app.use(express.json());
 app.set("trust proxy", 1);
 
 // -----------------------------------------------------------------------------
-// Step 1: Start LinkedIn OAuth
+// Steps 1-3: LinkedIn sign-in, code exchange, refresh and logout (routes/auth.js)
 // -----------------------------------------------------------------------------
-app.get("/login", (req, res) => {
-  const state = Math.random().toString(36).slice(2);
-  const authURL =
-    `https://www.linkedin.com/oauth/v2/authorization?response_type=code&` +
-    `client_id=${encodeURIComponent(CLIENT_ID)}&` +
-    `redirect_uri=${encodeURIComponent(REDIRECT_URI)}&` +
-    `state=${encodeURIComponent(state)}&` +
-    `scope=${encodeURIComponent("openid profile email")}`;
-
-  res.redirect(authURL);
-});
-
-// -----------------------------------------------------------------------------
-// Step 2: OAuth Callback
-// -----------------------------------------------------------------------------
-app.get("/callback", async (req, res) => {
-  const { code } = req.query;
-  if (!code) return res.status(400).send("Missing authorization code");
-
-  try {
-    // Exchange code for access token
-    const tokenRes = await axios.post(
-      "https://www.linkedin.com/oauth/v2/accessToken",
-      new URLSearchParams({
-        grant_type: "authorization_code",
-        code,
-        redirect_uri: REDIRECT_URI,
-        client_id: CLIENT_ID,
-        client_secret: CLIENT_SECRET,
-      }),
-      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-    );
-
-    const accessToken = tokenRes.data.access_token;
-
-    // Fetch user info from LinkedIn
-    const { data: userinfo } = await axios.get(
-      "https://api.linkedin.com/v2/userinfo",
-      { headers: { Authorization: `Bearer ${accessToken}` } }
-    );
-
-    // Extract picture safely
-    console.log(`[OAuth] userinfo.picture raw:`, JSON.stringify(userinfo.picture));
-    const pictureUrl =
-      typeof userinfo.picture === "string"
-        ? userinfo.picture
-        : userinfo.picture?.data?.url || null;
-    console.log(`[OAuth] Extracted pictureUrl: ${pictureUrl}`);
-
-    // Upsert user into Azure SQL
-    const pool = await getPool();
-    const r = pool.request();
-    r.input("sub", sql.VarChar, userinfo.sub);
-    r.input("email", sql.VarChar, userinfo.email || null);
-    r.input("name", sql.VarChar, userinfo.name || null);
-    r.input("firstName", sql.VarChar, userinfo.given_name || null);
-    r.input("lastName", sql.VarChar, userinfo.family_name || null);
-    r.input("picture", sql.VarChar, pictureUrl);
-    r.input("emailVerified", sql.Bit, userinfo.email_verified ? 1 : 0);
-
-    await r.query(`
-      MERGE users AS target
-      USING (SELECT @sub AS sub) AS source
-      ON target.sub = source.sub
-      WHEN MATCHED THEN
-        UPDATE SET 
-          email=@email,
-          name=@name,
-          firstName=@firstName,
-          lastName=@lastName,
-          picture=@picture,
-          emailVerified=@emailVerified
-      WHEN NOT MATCHED THEN
-        INSERT (sub, email, name, firstName, lastName, picture, emailVerified)
-        VALUES (@sub, @email, @name, @firstName, @lastName, @picture, @emailVerified);
-    `);
-
-    console.log(`✅ Upserted user ${userinfo.name || userinfo.email}`);
-
-    // Generate JWT
-    const jwtToken = jwt.sign(userinfo, JWT_SECRET, { expiresIn: "8h" });
-
-    // Redirect back to frontend
-    res.redirect(`${FRONTEND_ORIGIN}/dashboard?token=${jwtToken}`);
-  } catch (err) {
-    console.error("❌ OAuth callback error:", err.response?.data || err.message);
-    res.status(500).send("OAuth failed");
-  }
-});
-
-// -----------------------------------------------------------------------------
-// Step 3: JWT Auth Middleware
-// -----------------------------------------------------------------------------
-function auth(req, res, next) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader)
-    return res.status(401).json({ error: "Missing Authorization header" });
-
-  const token = authHeader.split(" ")[1];
-  try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    next();
-  } catch {
-    res.status(401).json({ error: "Invalid or expired token" });
-  }
-}
+app.use("/", authRoutes);
 
 // -----------------------------------------------------------------------------
 // Avatar Proxy (no auth — img tags can't send JWT headers)
@@ -191,11 +95,34 @@ app.get("/api/avatar/:sub", async (req, res) => {
 });
 
 // -----------------------------------------------------------------------------
-// Step 4: API Routes
+// Step 4: API Routes (JWT auth + roles in middleware/auth.js)
 // -----------------------------------------------------------------------------
-app.get("/api/user", auth, (req, res) => res.json(req.user));
 
-app.get("/api/users", auth, async (req, res) => {
+// The access token only carries sub and role; the profile comes from the DB
+app.get("/api/user", auth, async (req, res) => {
+  try {
+    const pool = await getPool();
+    const result = await pool.request()
+      .input("sub", sql.VarChar, req.user.sub)
+      .query(`
+        SELECT sub, name, firstName AS given_name, lastName AS family_name,
+               email, emailVerified AS email_verified, picture, role
+        FROM dbo.users
+        WHERE sub = @sub
+      `);
+
+    if (result.recordset.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.json(result.recordset[0]);
+  } catch (err) {
+    console.error("❌ Fetch user failed:", err.message);
+    res.status(500).json({ error: "Database query failed" });
+  }
+});
+
+// Lists emails, so managers and admins only
+app.get("/api/users", auth, requireRole("manager"), async (req, res) => {
   try {
     const pool = await getPool();
     const result = await pool.request().query(`
@@ -204,7 +131,8 @@ app.get("/api/users", auth, async (req, res) => {
         COALESCE(NULLIF(name,''), CONCAT(COALESCE(firstName,''), ' ', COALESCE(lastName,''))) AS name,
         email,
         picture,
-        emailVerified
+        emailVerified,
+        role
       FROM dbo.users
       ORDER BY name ASC, email ASC;
     `);
@@ -219,32 +147,53 @@ app.get("/api/users", auth, async (req, res) => {
 // Engagement & Sync Routes
 // -----------------------------------------------------------------------------
 app.use("/api/engagement", auth, engagementRoutes);
-app.use("/api/sync", auth, syncRoutes);
+app.use("/api/sync", auth, requireRole("manager"), syncRoutes);
 app.use("/api/posts", auth, postRoutes);
 app.use("/api/advocacy", auth, advocacyRoutes);
+app.use("/api/badges", auth, badgeRoutes);
+app.use("/api/drafts", auth, draftRoutes);
+app.use("/api/notifications", auth, notificationRoutes);
+
+// Attachment previews — public so they can be used directly as image sources
+app.use("/media", mediaRoutes);
+
+// Advocates' personal share links — public, they are followed from LinkedIn
+app.use("/s", shareLinkRoutes);
 
 // -----------------------------------------------------------------------------
-// Admin Routes (LinkedIn authorization for sync)
+// Admin Routes (LinkedIn authorization for sync, role management)
+// Each route applies its own guard — the OAuth callback comes from LinkedIn
 // -----------------------------------------------------------------------------
 app.use("/admin", adminRoutes);
 
 // -----------------------------------------------------------------------------
-// Logout (frontend clears token)
+// Employee consent to reshare posts on their behalf (same pattern as /admin:
+// per-route guards, the OAuth callback comes from LinkedIn)
 // -----------------------------------------------------------------------------
-app.get("/logout", (_, res) => res.redirect(FRONTEND_ORIGIN));
+app.use("/consent", consentRoutes);
 
 // -----------------------------------------------------------------------------
-// Daily Cron Job - Sync LinkedIn engagements at 6 AM
+// Scheduled LinkedIn syncs — one per organization, daily at 6 AM unless the
+// organization has its own syncSchedule (older posts are reconciled in rolling
+// batches, see SYNC_RECONCILE_DAYS)
 // -----------------------------------------------------------------------------
-cron.schedule("0 6 * * *", async () => {
-  console.log("[Cron] Starting daily LinkedIn sync...");
-  try {
-    const result = await runFullSync();
-    console.log(`[Cron] Sync completed: ${result.postsProcessed} posts, ${result.engagementsFound} engagements`);
-  } catch (err) {
-    console.error("[Cron] Sync failed:", err.message);
-  }
-});
+scheduleOrganizationSyncs().catch((err) =>
+  console.error("[Cron] Failed to schedule syncs:", err.message)
+);
+
+// Refresh admin tokens before they expire and alert (ALERT_WEBHOOK_URL) when an
+// admin has to re-authorize within REAUTH_ALERT_DAYS
+scheduleTokenMaintenance();
+
+// Snapshot completed weekly/monthly leaderboards and refresh engagement streaks
+scheduleLeaderboardHistory();
+
+// Publish scheduled drafts when they fall due, retrying failures with backoff
+scheduleDraftPublisher();
+
+// Weekly leaderboard summaries by email and webhooks (new-post digests are sent
+// after each sync, see services/syncJobs.js)
+scheduleNotifications();
 
 // -----------------------------------------------------------------------------
 // Start
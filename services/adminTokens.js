@@ -0,0 +1,330 @@
+// services/adminTokens.js
+// Per-organization LinkedIn admin tokens, encrypted at rest
+
+const axios = require("axios");
+const { sql, getPool } = require("../db");
+const { isEncrypted, encryptToken, decryptToken, needsReencryption, getActiveKeyId } = require("./tokenCrypto");
+
+const POST_CLIENT_ID = process.env.POST_CLIENT_ID;
+const POST_CLIENT_SECRET = process.env.POST_CLIENT_SECRET;
+const ADMIN_TOKEN_TYPE = "linkedin_admin";
+
+function hasAdminTokenConfigured() {
+  return !!(POST_CLIENT_ID && POST_CLIENT_SECRET);
+}
+
+// Store tokens from an OAuth token response for an organization
+async function saveAdminToken(orgId, { access_token, expires_in, refresh_token, refresh_token_expires_in }) {
+  const now = Date.now();
+  const expiresAt = new Date(now + expires_in * 1000);
+  const refreshExpiresAt = refresh_token_expires_in
+    ? new Date(now + refresh_token_expires_in * 1000)
+    : null;
+
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("organizationId", sql.Int, orgId);
+  r.input("tokenType", sql.VarChar, ADMIN_TOKEN_TYPE);
+  r.input("accessToken", sql.VarChar(4000), encryptToken(access_token));
+  r.input("refreshToken", sql.VarChar(4000), encryptToken(refresh_token || null));
+  r.input("keyId", sql.VarChar(50), getActiveKeyId());
+  r.input("expiresAt", sql.DateTimeOffset, expiresAt);
+  r.input("refreshExpiresAt", sql.DateTimeOffset, refreshExpiresAt);
+
+  await r.query(`
+    MERGE dbo.AdminTokens AS target
+    USING (SELECT @organizationId AS organizationId, @tokenType AS tokenType) AS source
+    ON target.organizationId = source.organizationId AND target.tokenType = source.tokenType
+    WHEN MATCHED THEN
+      UPDATE SET
+        accessToken = @accessToken,
+        refreshToken = @refreshToken,
+        keyId = @keyId,
+        expiresAt = @expiresAt,
+        refreshExpiresAt = @refreshExpiresAt,
+        reauthAlertedAt = NULL,
+        updatedAt = SYSDATETIMEOFFSET()
+    WHEN NOT MATCHED THEN
+      INSERT (organizationId, tokenType, accessToken, refreshToken, keyId, expiresAt, refreshExpiresAt)
+      VALUES (@organizationId, @tokenType, @accessToken, @refreshToken, @keyId, @expiresAt, @refreshExpiresAt);
+  `);
+
+  return { expiresAt, refreshExpiresAt };
+}
+
+// Get an organization's admin token (stored via OAuth authorization flow),
+// refreshing it if it has expired
+async function getAdminToken(orgId) {
+  const token = await loadAdminToken(orgId);
+  if (!token) {
+    throw new Error(`No admin token found for organization ${orgId}. Please authorize at /admin/linkedin/authorize`);
+  }
+
+  const now = new Date();
+  const expiresAt = new Date(token.expiresAt);
+
+  if (expiresAt < now) {
+    // Token expired - try to refresh
+    if (token.refreshToken) {
+      return await refreshAdminToken(orgId, decryptToken(token.refreshToken), "on_demand");
+    }
+    throw new Error(`Admin token for organization ${orgId} expired. Please re-authorize at /admin/linkedin/authorize`);
+  }
+
+  return decryptToken(token.accessToken);
+}
+
+async function loadAdminToken(orgId) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("organizationId", sql.Int, orgId)
+    .input("tokenType", sql.VarChar, ADMIN_TOKEN_TYPE)
+    .query(`
+      SELECT id, accessToken, expiresAt, refreshToken, refreshExpiresAt
+      FROM dbo.AdminTokens
+      WHERE organizationId = @organizationId AND tokenType = @tokenType
+    `);
+  const token = result.recordset[0] || null;
+  if (token) await encryptLegacyToken(pool, token);
+  return token;
+}
+
+const isPlaintext = (value) => value !== null && value !== undefined && !isEncrypted(value);
+
+// Rows stored before encryption was introduced are encrypted the first time
+// they are read (see also encryptLegacyAdminTokens at startup)
+async function encryptLegacyToken(pool, row) {
+  if (!getActiveKeyId() || (!isPlaintext(row.accessToken) && !isPlaintext(row.refreshToken))) return false;
+
+  await pool.request()
+    .input("id", sql.BigInt, row.id)
+    .input("accessToken", sql.VarChar(4000), encryptToken(decryptToken(row.accessToken)))
+    .input("refreshToken", sql.VarChar(4000), encryptToken(decryptToken(row.refreshToken)))
+    .input("keyId", sql.VarChar(50), getActiveKeyId())
+    .query(`
+      UPDATE dbo.AdminTokens
+      SET accessToken = @accessToken, refreshToken = @refreshToken, keyId = @keyId
+      WHERE id = @id
+    `);
+  console.log(`[AdminToken] Encrypted legacy plaintext admin token ${row.id}`);
+  return true;
+}
+
+// Encrypt every remaining legacy plaintext token. Run at startup so tokens of
+// organizations nobody is using don't stay readable. Returns the number encrypted.
+async function encryptLegacyAdminTokens() {
+  if (!getActiveKeyId()) return 0;
+
+  const pool = await getPool();
+  const result = await pool.request().query(`
+    SELECT id, accessToken, refreshToken FROM dbo.AdminTokens
+    WHERE accessToken NOT LIKE 'enc:%' OR refreshToken NOT LIKE 'enc:%'
+  `);
+
+  let encrypted = 0;
+  for (const row of result.recordset) {
+    if (await encryptLegacyToken(pool, row)) encrypted++;
+  }
+  return encrypted;
+}
+
+// Refresh an organization's admin token ahead of expiry, whether or not the
+// current access token is still valid. Returns { expiresAt }.
+async function forceRefreshAdminToken(orgId, triggeredBy = "on_demand") {
+  const token = await loadAdminToken(orgId);
+  if (!token) {
+    throw new Error(`No admin token found for organization ${orgId}`);
+  }
+  if (!token.refreshToken) {
+    throw new Error(`Admin token for organization ${orgId} has no refresh token; re-authorization required`);
+  }
+
+  await refreshAdminToken(orgId, decryptToken(token.refreshToken), triggeredBy);
+  const refreshed = await loadAdminToken(orgId);
+  return { expiresAt: refreshed.expiresAt };
+}
+
+// Refresh an organization's admin token; every attempt is recorded in TokenRefreshLog
+async function refreshAdminToken(orgId, refreshToken, triggeredBy) {
+  console.log(`[AdminToken] Refreshing admin token for organization ${orgId} (${triggeredBy})...`);
+
+  let data;
+  try {
+    const form = new URLSearchParams({
+      grant_type: "refresh_token",
+      refresh_token: refreshToken,
+      client_id: POST_CLIENT_ID,
+      client_secret: POST_CLIENT_SECRET,
+    });
+
+    ({ data } = await axios.post(
+      "https://www.linkedin.com/oauth/v2/accessToken",
+      form,
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    ));
+  } catch (err) {
+    const detail = err.response?.data?.error_description || err.message;
+    await logRefreshAttempt(orgId, triggeredBy, "FAILED", detail, null);
+    throw new Error(`Admin token refresh failed for organization ${orgId}: ${detail}`);
+  }
+
+  const now = Date.now();
+  const expiresAt = new Date(now + (data.expires_in * 1000));
+  // LinkedIn keeps the original refresh token's expiry unless it issues a new one
+  const refreshExpiresAt = data.refresh_token_expires_in
+    ? new Date(now + (data.refresh_token_expires_in * 1000))
+    : null;
+
+  // Update token in database
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("organizationId", sql.Int, orgId);
+  r.input("tokenType", sql.VarChar, ADMIN_TOKEN_TYPE);
+  r.input("accessToken", sql.VarChar(4000), encryptToken(data.access_token));
+  r.input("refreshToken", sql.VarChar(4000), encryptToken(data.refresh_token || refreshToken));
+  r.input("keyId", sql.VarChar(50), getActiveKeyId());
+  r.input("expiresAt", sql.DateTimeOffset, expiresAt);
+  r.input("refreshExpiresAt", sql.DateTimeOffset, refreshExpiresAt);
+
+  await r.query(`
+    UPDATE dbo.AdminTokens
+    SET accessToken = @accessToken,
+        refreshToken = @refreshToken,
+        keyId = @keyId,
+        expiresAt = @expiresAt,
+        refreshExpiresAt = COALESCE(@refreshExpiresAt, refreshExpiresAt),
+        updatedAt = SYSDATETIMEOFFSET()
+    WHERE organizationId = @organizationId AND tokenType = @tokenType
+  `);
+
+  await logRefreshAttempt(orgId, triggeredBy, "SUCCESS", null, expiresAt);
+  console.log(`[AdminToken] Admin token for organization ${orgId} refreshed successfully`);
+  return data.access_token;
+}
+
+async function logRefreshAttempt(orgId, triggeredBy, status, errorMessage, expiresAt) {
+  try {
+    const pool = await getPool();
+    await pool.request()
+      .input("organizationId", sql.Int, orgId)
+      .input("triggeredBy", sql.VarChar(20), triggeredBy)
+      .input("status", sql.VarChar(20), status)
+      .input("errorMessage", sql.NVarChar(1000), errorMessage ? String(errorMessage).slice(0, 1000) : null)
+      .input("expiresAt", sql.DateTimeOffset, expiresAt)
+      .query(`
+        INSERT INTO dbo.TokenRefreshLog (organizationId, triggeredBy, status, errorMessage, expiresAt)
+        VALUES (@organizationId, @triggeredBy, @status, @errorMessage, @expiresAt);
+      `);
+  } catch (err) {
+    console.error("[AdminToken] Failed to record refresh attempt:", err.message);
+  }
+}
+
+// Most recent refresh attempts for an organization
+async function getTokenRefreshLog(orgId, limit = 20) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("organizationId", sql.Int, orgId)
+    .input("limit", sql.Int, limit)
+    .query(`
+      SELECT TOP (@limit) id, triggeredBy, status, errorMessage, expiresAt, attemptedAt
+      FROM dbo.TokenRefreshLog
+      WHERE organizationId = @organizationId
+      ORDER BY attemptedAt DESC, id DESC;
+    `);
+  return result.recordset;
+}
+
+// Admin tokens of every active organization, without the token values
+async function listAdminTokenStatuses() {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("tokenType", sql.VarChar, ADMIN_TOKEN_TYPE)
+    .query(`
+      SELECT
+        o.id AS organizationId,
+        o.orgUrn,
+        o.name,
+        t.expiresAt,
+        t.refreshExpiresAt,
+        CASE WHEN t.refreshToken IS NOT NULL THEN 1 ELSE 0 END AS hasRefreshToken,
+        t.reauthAlertedAt
+      FROM dbo.Organizations o
+      JOIN dbo.AdminTokens t ON t.organizationId = o.id AND t.tokenType = @tokenType
+      WHERE o.isActive = 1
+      ORDER BY o.id ASC;
+    `);
+  return result.recordset;
+}
+
+async function markReauthAlerted(orgId) {
+  const pool = await getPool();
+  await pool.request()
+    .input("organizationId", sql.Int, orgId)
+    .input("tokenType", sql.VarChar, ADMIN_TOKEN_TYPE)
+    .query(`
+      UPDATE dbo.AdminTokens
+      SET reauthAlertedAt = SYSDATETIMEOFFSET()
+      WHERE organizationId = @organizationId AND tokenType = @tokenType
+    `);
+}
+
+// Expiry details for an organization's admin token, or null if never authorized
+async function getAdminTokenStatus(orgId) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("organizationId", sql.Int, orgId)
+    .input("tokenType", sql.VarChar, ADMIN_TOKEN_TYPE)
+    .query(`
+      SELECT
+        expiresAt,
+        refreshExpiresAt,
+        CASE WHEN refreshToken IS NOT NULL THEN 1 ELSE 0 END AS hasRefreshToken,
+        keyId,
+        reauthAlertedAt,
+        updatedAt
+      FROM dbo.AdminTokens
+      WHERE organizationId = @organizationId AND tokenType = @tokenType
+    `);
+  return result.recordset[0] || null;
+}
+
+// Re-encrypt every stored token not already under the active key (including
+// legacy plaintext rows). Returns the number of rows rewritten.
+async function reencryptAdminTokens() {
+  const pool = await getPool();
+  const result = await pool.request().query(`
+    SELECT id, accessToken, refreshToken FROM dbo.AdminTokens
+  `);
+
+  let rewritten = 0;
+  for (const row of result.recordset) {
+    if (!needsReencryption(row.accessToken) && !needsReencryption(row.refreshToken)) continue;
+
+    await pool.request()
+      .input("id", sql.BigInt, row.id)
+      .input("accessToken", sql.VarChar(4000), encryptToken(decryptToken(row.accessToken)))
+      .input("refreshToken", sql.VarChar(4000), encryptToken(decryptToken(row.refreshToken)))
+      .input("keyId", sql.VarChar(50), getActiveKeyId())
+      .query(`
+        UPDATE dbo.AdminTokens
+        SET accessToken = @accessToken, refreshToken = @refreshToken, keyId = @keyId
+        WHERE id = @id
+      `);
+    rewritten++;
+  }
+  return rewritten;
+}
+
+module.exports = {
+  hasAdminTokenConfigured,
+  saveAdminToken,
+  getAdminToken,
+  forceRefreshAdminToken,
+  getAdminTokenStatus,
+  listAdminTokenStatuses,
+  markReauthAlerted,
+  getTokenRefreshLog,
+  reencryptAdminTokens,
+  encryptLegacyAdminTokens,
+};
@@ -0,0 +1,235 @@
+// services/advocacy.js
+// Advocacy shares: recording, verification against reshares found on LinkedIn, and counting rules
+
+const { sql } = require("../db");
+
+// Self-reported shares not found on LinkedIn within this many days become unverified
+const ADVOCACY_VERIFY_WINDOW_DAYS = Number(process.env.ADVOCACY_VERIFY_WINDOW_DAYS || 7);
+// When "true", stats, leaderboards, streaks and badges count verified shares only
+const ADVOCACY_COUNT_VERIFIED_ONLY = process.env.ADVOCACY_COUNT_VERIFIED_ONLY === "true";
+
+const SHARE_STATUSES = ["pending", "verified", "unverified"];
+
+// SQL condition on an AdvocacyShares alias selecting the shares that count
+function countedShares(alias) {
+  return ADVOCACY_COUNT_VERIFIED_ONLY ? `${alias}.status = 'verified'` : "1 = 1";
+}
+
+// How far back the sync looks for reshares: the verify window plus a day, so a
+// share reported just before the window closes can still be matched
+function getReshareCutoff(now = Date.now()) {
+  return now - (ADVOCACY_VERIFY_WINDOW_DAYS + 1) * 86400000;
+}
+
+// Record a share the employee says they made. Returns the share row; an existing
+// share (reported, discovered or created through the API) is left as it is.
+async function recordReportedShare(pool, postId, userSub) {
+  const result = await pool.request()
+    .input("postId", sql.VarChar(255), postId)
+    .input("userSub", sql.VarChar(100), userSub)
+    .query(`
+      IF NOT EXISTS (
+        SELECT 1 FROM dbo.AdvocacyShares
+        WHERE postId = @postId AND userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+      )
+      BEGIN
+        INSERT INTO dbo.AdvocacyShares (postId, userSub, status, source)
+        VALUES (@postId, @userSub, 'pending', 'self_reported');
+      END
+
+      SELECT id, postId, userSub, sharedAt, status, source, shareUrn, verifiedAt, commentary
+      FROM dbo.AdvocacyShares
+      WHERE postId = @postId AND userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS;
+    `);
+  return result.recordset[0];
+}
+
+// A member's share of a post, or null
+async function getShare(pool, postId, userSub) {
+  const result = await pool.request()
+    .input("postId", sql.VarChar(255), postId)
+    .input("userSub", sql.VarChar(100), userSub)
+    .query(`
+      SELECT id, postId, userSub, sharedAt, status, source, shareUrn, verifiedAt, commentary
+      FROM dbo.AdvocacyShares
+      WHERE postId = @postId AND userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS;
+    `);
+  return result.recordset[0] || null;
+}
+
+// Claim a member's share of a post before resharing it through the API, so a
+// double submit or a retried request can't publish it twice: the share becomes a
+// pending "api" share until recordPublishedShare, and the unique key on
+// (postId, userSub) stops a second claim. Returns the claim ({ isNew,
+// previousSource, previousStatus }, see releaseShareClaim), or null when the share
+// is verified already or another request is publishing it.
+async function claimShareForPublish(pool, postId, userSub) {
+  try {
+    const result = await pool.request()
+      .input("postId", sql.VarChar(255), postId)
+      .input("userSub", sql.VarChar(100), userSub)
+      .query(`
+        DECLARE @claimed TABLE (isNew BIT, previousSource VARCHAR(20), previousStatus VARCHAR(20));
+
+        UPDATE dbo.AdvocacyShares
+        SET status = 'pending', source = 'api'
+        OUTPUT 0, DELETED.source, DELETED.status INTO @claimed
+        WHERE postId = @postId AND userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+          AND status <> 'verified'
+          AND NOT (status = 'pending' AND source = 'api');
+
+        IF NOT EXISTS (
+          SELECT 1 FROM dbo.AdvocacyShares
+          WHERE postId = @postId AND userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+        )
+        BEGIN
+          INSERT INTO dbo.AdvocacyShares (postId, userSub, status, source)
+          OUTPUT 1, NULL, NULL INTO @claimed
+          VALUES (@postId, @userSub, 'pending', 'api');
+        END
+
+        SELECT isNew, previousSource, previousStatus FROM @claimed;
+      `);
+    return result.recordset[0] || null;
+  } catch (err) {
+    // A concurrent request inserted the claim first
+    if (err.number === 2627 || err.number === 2601) return null;
+    throw err;
+  }
+}
+
+// Give a claim back after LinkedIn refused the reshare (it surely wasn't published):
+// a new share is removed, a reported one goes back to what it was
+async function releaseShareClaim(pool, postId, userSub, claim) {
+  await pool.request()
+    .input("postId", sql.VarChar(255), postId)
+    .input("userSub", sql.VarChar(100), userSub)
+    .input("isNew", sql.Bit, claim.isNew)
+    .input("previousSource", sql.VarChar(20), claim.previousSource)
+    .input("previousStatus", sql.VarChar(20), claim.previousStatus)
+    .query(`
+      IF @isNew = 1
+        DELETE FROM dbo.AdvocacyShares
+        WHERE postId = @postId AND userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+          AND status = 'pending' AND source = 'api' AND shareUrn IS NULL;
+      ELSE
+        UPDATE dbo.AdvocacyShares
+        SET status = @previousStatus, source = @previousSource
+        WHERE postId = @postId AND userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+          AND status = 'pending' AND source = 'api' AND shareUrn IS NULL;
+    `);
+}
+
+// Record a reshare published through the API. It is verified straight away; a
+// share the member reported earlier (still pending or unverified) is replaced.
+// Returns the share row.
+async function recordPublishedShare(pool, postId, userSub, shareUrn, commentary) {
+  const result = await pool.request()
+    .input("postId", sql.VarChar(255), postId)
+    .input("userSub", sql.VarChar(100), userSub)
+    .input("shareUrn", sql.VarChar(255), shareUrn)
+    .input("commentary", sql.NVarChar(3000), commentary || null)
+    .query(`
+      MERGE dbo.AdvocacyShares AS target
+      USING (SELECT @postId AS postId, @userSub AS userSub) AS source
+      ON target.postId = source.postId AND target.userSub = source.userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+      WHEN MATCHED THEN
+        UPDATE SET status = 'verified', source = 'api', shareUrn = @shareUrn, commentary = @commentary,
+                   sharedAt = SYSDATETIMEOFFSET(), verifiedAt = SYSDATETIMEOFFSET()
+      WHEN NOT MATCHED THEN
+        INSERT (postId, userSub, status, source, shareUrn, commentary, verifiedAt)
+        VALUES (@postId, @userSub, 'verified', 'api', @shareUrn, @commentary, SYSDATETIMEOFFSET());
+
+      SELECT id, postId, userSub, sharedAt, status, source, shareUrn, verifiedAt, commentary
+      FROM dbo.AdvocacyShares
+      WHERE postId = @postId AND userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS;
+    `);
+  return result.recordset[0];
+}
+
+// Verify shares against reshares of an organization's posts found on LinkedIn
+// ({ postId, shareUrn, actor, createdAt }, already limited to employees). Matching
+// pending/unverified shares become verified; reshares nobody reported are added
+// as verified "sync" shares. Returns the number of shares verified or added.
+async function applyReshares(pool, orgId, reshares) {
+  if (reshares.length === 0) return 0;
+
+  // One reshare per member and post (the earliest) keeps the MERGE source unique
+  const byKey = new Map();
+  for (const reshare of reshares) {
+    const key = `${reshare.postId}|${reshare.actor.toLowerCase()}`;
+    const existing = byKey.get(key);
+    if (!existing || Number(reshare.createdAt || 0) < Number(existing.createdAt || 0)) {
+      byKey.set(key, reshare);
+    }
+  }
+  const rows = [...byKey.values()].map((reshare) => ({
+    postId: reshare.postId,
+    userSub: reshare.actor,
+    shareUrn: reshare.shareUrn,
+    sharedAt: reshare.createdAt ? new Date(Number(reshare.createdAt)).toISOString() : null,
+  }));
+
+  const result = await pool.request()
+    .input("organizationId", sql.Int, orgId)
+    .input("reshares", sql.NVarChar(sql.MAX), JSON.stringify(rows))
+    .query(`
+      MERGE dbo.AdvocacyShares AS target
+      USING (
+        SELECT r.postId, u.sub AS userSub, r.shareUrn, r.sharedAt
+        FROM OPENJSON(@reshares) WITH (
+          postId    VARCHAR(255),
+          userSub   VARCHAR(100),
+          shareUrn  VARCHAR(255),
+          sharedAt  DATETIMEOFFSET
+        ) AS r
+        JOIN dbo.LinkedInPosts lp ON lp.postId = r.postId AND lp.organizationId = @organizationId
+        JOIN dbo.users u ON u.sub = r.userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+        WHERE NOT EXISTS (SELECT 1 FROM dbo.AdvocacyShares s WHERE s.shareUrn = r.shareUrn)
+      ) AS source
+      ON target.postId = source.postId AND target.userSub = source.userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+      WHEN MATCHED AND target.status <> 'verified' THEN
+        UPDATE SET status = 'verified', shareUrn = COALESCE(target.shareUrn, source.shareUrn),
+                   verifiedAt = SYSDATETIMEOFFSET()
+      WHEN NOT MATCHED THEN
+        INSERT (postId, userSub, sharedAt, status, source, shareUrn, verifiedAt)
+        VALUES (source.postId, source.userSub, COALESCE(source.sharedAt, SYSDATETIMEOFFSET()),
+                'verified', 'sync', source.shareUrn, SYSDATETIMEOFFSET());
+    `);
+  return result.rowsAffected[0] || 0;
+}
+
+// Mark an organization's pending shares older than the verify window as
+// unverified. Only call after a complete reshare scan. Shares from before
+// verification existed (source legacy, see migration 023) are never expired.
+// Returns the number expired.
+async function expirePendingShares(pool, orgId, now = Date.now()) {
+  const result = await pool.request()
+    .input("organizationId", sql.Int, orgId)
+    .input("cutoff", sql.DateTimeOffset, new Date(now - ADVOCACY_VERIFY_WINDOW_DAYS * 86400000))
+    .query(`
+      UPDATE ash
+      SET status = 'unverified'
+      FROM dbo.AdvocacyShares ash
+      JOIN dbo.LinkedInPosts lp ON lp.postId = ash.postId
+      WHERE ash.status = 'pending'
+        AND ash.source <> 'legacy'
+        AND ash.sharedAt < @cutoff
+        AND lp.organizationId = @organizationId;
+    `);
+  return result.rowsAffected[0] || 0;
+}
+
+module.exports = {
+  ADVOCACY_COUNT_VERIFIED_ONLY,
+  SHARE_STATUSES,
+  countedShares,
+  getReshareCutoff,
+  recordReportedShare,
+  getShare,
+  claimShareForPublish,
+  releaseShareClaim,
+  recordPublishedShare,
+  applyReshares,
+  expirePendingShares,
+};
@@ -0,0 +1,28 @@
+// services/alerts.js
+// Operational alerts: always logged, and POSTed to ALERT_WEBHOOK_URL when set
+
+const axios = require("axios");
+
+// Any endpoint accepting a JSON POST (Slack/Teams incoming webhooks accept `text`)
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || null;
+
+// Send an alert. Never throws: a broken alert channel must not break the job
+// that raised the alert. Returns true if the webhook accepted it.
+async function sendAlert({ title, message, details = {} }) {
+  console.warn(`[Alert] ${title}: ${message}`);
+  if (!ALERT_WEBHOOK_URL) return false;
+
+  try {
+    await axios.post(
+      ALERT_WEBHOOK_URL,
+      { text: `${title}\n${message}`, title, message, details, sentAt: new Date().toISOString() },
+      { timeout: 10000 }
+    );
+    return true;
+  } catch (err) {
+    console.error("[Alert] Webhook delivery failed:", err.message);
+    return false;
+  }
+}
+
+module.exports = { sendAlert };
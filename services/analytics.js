@@ -0,0 +1,226 @@
+// services/analytics.js
+// Engagement time series: reactions, comments, shares and participation per bucket
+
+const { sql, getPool } = require("../db");
+const { USER_ATTRIBUTES } = require("./scoring");
+const { countedShares } = require("./advocacy");
+
+const INTERVALS = ["day", "week", "month"];
+// Range used when the caller gives no `from`, in buckets
+const DEFAULT_BUCKETS = { day: 30, week: 12, month: 12 };
+const MAX_BUCKETS = 366;
+
+// Start of the UTC day/week (Monday)/month containing `date`
+function bucketStart(date, interval) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === "week") {
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  } else if (interval === "month") {
+    d.setUTCDate(1);
+  }
+  return d;
+}
+
+function addBuckets(date, interval, n) {
+  const d = new Date(date);
+  if (interval === "day") d.setUTCDate(d.getUTCDate() + n);
+  else if (interval === "week") d.setUTCDate(d.getUTCDate() + 7 * n);
+  else d.setUTCMonth(d.getUTCMonth() + n);
+  return d;
+}
+
+// Bucket boundaries covering [from, to): from is rounded down to a bucket start
+// and to rounded up to the next one. Defaults to the last DEFAULT_BUCKETS buckets.
+function getBuckets({ interval, from = null, to = null }) {
+  const end = bucketStart(to || new Date(), interval);
+  const rangeEnd = to && end.getTime() === to.getTime() ? end : addBuckets(end, interval, 1);
+  const start = from
+    ? bucketStart(from, interval)
+    : addBuckets(rangeEnd, interval, -DEFAULT_BUCKETS[interval]);
+
+  const buckets = [];
+  for (let b = start; b < rangeEnd; b = addBuckets(b, interval, 1)) {
+    buckets.push(b);
+    if (buckets.length > MAX_BUCKETS) {
+      throw new RangeError(`Range spans more than ${MAX_BUCKETS} ${interval} buckets`);
+    }
+  }
+  return { start, end: rangeEnd, buckets };
+}
+
+// Reactions, comments, shares and distinct engaged users by known users, totalled
+// in SQL per bucket (each { start, end }, together covering [since, until)) and
+// per range: "current" from `currentStart`, "previous" before it. Returns
+// { byBucket: Map of bucket start time -> totals, current, previous }.
+async function loadBucketTotals({ buckets, currentStart, orgId, postId, filters }) {
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("since", sql.DateTimeOffset, buckets[0].start);
+  r.input("until", sql.DateTimeOffset, buckets[buckets.length - 1].end);
+  r.input("currentStart", sql.DateTimeOffset, currentStart);
+  r.input("buckets", sql.NVarChar(sql.MAX), JSON.stringify(buckets));
+  r.input("orgId", sql.Int, orgId);
+  r.input("postId", sql.VarChar(255), postId);
+  for (const attr of USER_ATTRIBUTES) {
+    r.input(attr, sql.NVarChar(100), filters[attr] ?? null);
+  }
+
+  const scope = `
+    (@orgId IS NULL OR lp.organizationId = @orgId)
+    AND (@postId IS NULL OR lp.postId = @postId)
+    AND (@department IS NULL OR u.department = @department)
+    AND (@team IS NULL OR u.team = @team)
+    AND (@location IS NULL OR u.location = @location)
+  `;
+
+  const result = await r.query(`
+    WITH events AS (
+      SELECT u.sub AS userSub, pe.engagementType AS type, pe.engagedAt AS at
+      FROM dbo.PostEngagements pe
+      JOIN dbo.LinkedInPosts lp ON lp.postId = pe.postId
+      JOIN dbo.users u ON u.sub COLLATE SQL_Latin1_General_CP1_CI_AS = pe.userSub
+      WHERE pe.removedAt IS NULL
+        AND pe.engagedAt >= @since AND pe.engagedAt < @until
+        AND ${scope}
+
+      UNION ALL
+
+      SELECT u.sub AS userSub, 'SHARE' AS type, ash.sharedAt AS at
+      FROM dbo.AdvocacyShares ash
+      JOIN dbo.LinkedInPosts lp ON lp.postId = ash.postId
+      JOIN dbo.users u ON u.sub = ash.userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+      WHERE ash.sharedAt >= @since AND ash.sharedAt < @until
+        AND ${countedShares("ash")}
+        AND ${scope}
+    ),
+    bucketed AS (
+      SELECT b.bucketStart, CASE WHEN e.at >= @currentStart THEN 'current' ELSE 'previous' END AS period,
+             e.userSub, e.type
+      FROM events e
+      JOIN OPENJSON(@buckets) WITH (bucketStart DATETIMEOFFSET '$.start', bucketEnd DATETIMEOFFSET '$.end') AS b
+        ON e.at >= b.bucketStart AND e.at < b.bucketEnd
+    )
+    SELECT
+      GROUPING(bucketStart) AS isPeriod,
+      bucketStart,
+      period,
+      SUM(CASE WHEN type = 'REACTION' THEN 1 ELSE 0 END) AS reactions,
+      SUM(CASE WHEN type = 'COMMENT' THEN 1 ELSE 0 END) AS comments,
+      SUM(CASE WHEN type = 'SHARE' THEN 1 ELSE 0 END) AS shares,
+      COUNT(DISTINCT userSub) AS engagedEmployees
+    FROM bucketed
+    GROUP BY GROUPING SETS ((bucketStart), (period));
+  `);
+
+  const totals = { byBucket: new Map(), current: emptyMetrics(), previous: emptyMetrics() };
+  for (const { isPeriod, bucketStart: at, period, ...metrics } of result.recordset) {
+    if (isPeriod) totals[period] = metrics;
+    else totals.byBucket.set(new Date(at).getTime(), metrics);
+  }
+  return totals;
+}
+
+// Employees in scope for participation rate (current headcount)
+async function countEmployees(filters) {
+  const pool = await getPool();
+  const r = pool.request();
+  for (const attr of USER_ATTRIBUTES) {
+    r.input(attr, sql.NVarChar(100), filters[attr] ?? null);
+  }
+  const result = await r.query(`
+    SELECT COUNT(*) AS total
+    FROM dbo.users
+    WHERE (@department IS NULL OR department = @department)
+      AND (@team IS NULL OR team = @team)
+      AND (@location IS NULL OR location = @location);
+  `);
+  return result.recordset[0].total;
+}
+
+function emptyMetrics() {
+  return { reactions: 0, comments: 0, shares: 0, engagedEmployees: 0 };
+}
+
+function finishMetrics(metrics = emptyMetrics(), employees) {
+  const engaged = metrics.engagedEmployees;
+  return {
+    reactions: metrics.reactions,
+    comments: metrics.comments,
+    shares: metrics.shares,
+    total: metrics.reactions + metrics.comments + metrics.shares,
+    engagedEmployees: engaged,
+    participationRate: employees > 0 ? Math.round((engaged / employees) * 10000) / 10000 : 0,
+  };
+}
+
+const METRICS = ["reactions", "comments", "shares", "total", "engagedEmployees", "participationRate"];
+
+// { metric: { delta, changePct } } between two metric sets; changePct is null
+// when the previous value was zero
+function getDeltas(current, previous) {
+  const deltas = {};
+  for (const metric of METRICS) {
+    const delta = Math.round((current[metric] - previous[metric]) * 10000) / 10000;
+    deltas[metric] = {
+      delta,
+      changePct: previous[metric] ? Math.round((delta / previous[metric]) * 1000) / 10 : null,
+    };
+  }
+  return deltas;
+}
+
+// Bucketed engagement metrics with deltas against the previous bucket, plus
+// totals for the whole range compared with the equally long range before it.
+async function getEngagementTimeSeries({
+  interval = "day",
+  from = null,
+  to = null,
+  orgId = null,
+  postId = null,
+  filters = {},
+} = {}) {
+  const { start, end, buckets } = getBuckets({ interval, from, to });
+  // One extra range of the same length so the first bucket and the totals have
+  // something to compare against
+  const previousStart = addBuckets(start, interval, -buckets.length);
+
+  // Buckets of the previous range, then the requested ones
+  const allBuckets = [];
+  for (let b = previousStart; b < end; b = addBuckets(b, interval, 1)) {
+    allBuckets.push({ start: b, end: addBuckets(b, interval, 1) });
+  }
+
+  const [totals, employees] = await Promise.all([
+    loadBucketTotals({ buckets: allBuckets, currentStart: start, orgId, postId, filters }),
+    countEmployees(filters),
+  ]);
+
+  const previousBucket = addBuckets(start, interval, -1);
+  const { byBucket, current, previous } = totals;
+
+  let prior = finishMetrics(byBucket.get(previousBucket.getTime()), employees);
+  const series = buckets.map((b) => {
+    const metrics = finishMetrics(byBucket.get(b.getTime()), employees);
+    const point = { bucketStart: b, ...metrics, deltas: getDeltas(metrics, prior) };
+    prior = metrics;
+    return point;
+  });
+
+  const currentTotals = finishMetrics(current, employees);
+  const previousTotals = finishMetrics(previous, employees);
+
+  return {
+    interval,
+    from: start,
+    to: end,
+    totalEmployees: employees,
+    series,
+    summary: {
+      current: currentTotals,
+      previous: { from: previousStart, to: start, ...previousTotals },
+      deltas: getDeltas(currentTotals, previousTotals),
+    },
+  };
+}
+
+module.exports = { getEngagementTimeSeries, bucketStart, addBuckets, INTERVALS };
@@ -0,0 +1,172 @@
+// services/authTokens.js
+// Login codes, short-lived access JWTs and rotating refresh tokens
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { sql, getPool } = require("../db");
+const { JWT_SECRET } = require("../middleware/auth");
+
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const AUTH_CODE_TTL_MS = Number(process.env.AUTH_CODE_TTL_MS || 60 * 1000);
+
+// Only hashes are stored, so a database leak doesn't hand out live tokens
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+// Issue a one-time code for the frontend to exchange at POST /auth/exchange
+async function createAuthCode(userSub) {
+  const code = randomToken();
+  const pool = await getPool();
+  await pool.request()
+    .input("codeHash", sql.VarChar(64), hashToken(code))
+    .input("userSub", sql.VarChar(100), userSub)
+    .input("expiresAt", sql.DateTimeOffset, new Date(Date.now() + AUTH_CODE_TTL_MS))
+    .query(`
+      DELETE FROM dbo.AuthCodes WHERE expiresAt < DATEADD(day, -1, SYSDATETIMEOFFSET());
+
+      INSERT INTO dbo.AuthCodes (codeHash, userSub, expiresAt)
+      VALUES (@codeHash, @userSub, @expiresAt);
+    `);
+  return code;
+}
+
+// Burn a code; returns its userSub or null if unknown, expired or already used
+async function consumeAuthCode(code) {
+  if (typeof code !== "string" || !code) return null;
+
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("codeHash", sql.VarChar(64), hashToken(code))
+    .query(`
+      UPDATE dbo.AuthCodes
+      SET consumedAt = SYSDATETIMEOFFSET()
+      OUTPUT INSERTED.userSub
+      WHERE codeHash = @codeHash AND consumedAt IS NULL AND expiresAt > SYSDATETIMEOFFSET();
+    `);
+  return result.recordset[0]?.userSub || null;
+}
+
+async function getTokenUser(pool, userSub) {
+  const result = await pool.request()
+    .input("sub", sql.VarChar, userSub)
+    .query("SELECT sub, role FROM dbo.users WHERE sub = @sub");
+  return result.recordset[0] || null;
+}
+
+async function insertRefreshToken(pool, userSub, familyId) {
+  const refreshToken = randomToken();
+  await pool.request()
+    .input("tokenHash", sql.VarChar(64), hashToken(refreshToken))
+    .input("familyId", sql.VarChar(64), familyId)
+    .input("userSub", sql.VarChar(100), userSub)
+    .input("expiresAt", sql.DateTimeOffset, new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000))
+    .query(`
+      INSERT INTO dbo.RefreshTokens (tokenHash, familyId, userSub, expiresAt)
+      VALUES (@tokenHash, @familyId, @userSub, @expiresAt);
+    `);
+  return refreshToken;
+}
+
+// Access JWT with minimal claims; profile data comes from GET /api/user
+function signAccessToken(user) {
+  return jwt.sign({ sub: user.sub, role: user.role || "employee" }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  });
+}
+
+function tokenResponse(user, refreshToken) {
+  return {
+    accessToken: signAccessToken(user),
+    tokenType: "Bearer",
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken,
+  };
+}
+
+// Start a new session (refresh-token family) for a user who just signed in
+async function issueTokens(userSub) {
+  const pool = await getPool();
+  const user = await getTokenUser(pool, userSub);
+  if (!user) return null;
+
+  const refreshToken = await insertRefreshToken(pool, user.sub, crypto.randomUUID());
+  return tokenResponse(user, refreshToken);
+}
+
+async function revokeFamily(pool, familyId) {
+  await pool.request()
+    .input("familyId", sql.VarChar(64), familyId)
+    .query(`
+      UPDATE dbo.RefreshTokens
+      SET revokedAt = SYSDATETIMEOFFSET()
+      WHERE familyId = @familyId AND revokedAt IS NULL;
+    `);
+}
+
+// Trade a refresh token for a new access token and refresh token. Presenting a
+// token that was already rotated means it leaked, so the whole family is revoked.
+async function rotateRefreshToken(refreshToken) {
+  if (typeof refreshToken !== "string" || !refreshToken) return null;
+
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("tokenHash", sql.VarChar(64), hashToken(refreshToken))
+    .query(`
+      SELECT id, familyId, userSub, expiresAt, rotatedAt, revokedAt
+      FROM dbo.RefreshTokens
+      WHERE tokenHash = @tokenHash;
+    `);
+
+  const stored = result.recordset[0];
+  if (!stored || stored.revokedAt || new Date(stored.expiresAt) < new Date()) return null;
+
+  if (stored.rotatedAt) {
+    console.warn(`[Auth] Refresh token reuse detected for ${stored.userSub}; revoking session`);
+    await revokeFamily(pool, stored.familyId);
+    return null;
+  }
+
+  // Guard against two concurrent refreshes both rotating the same token
+  const claimed = await pool.request()
+    .input("id", sql.BigInt, stored.id)
+    .query(`
+      UPDATE dbo.RefreshTokens
+      SET rotatedAt = SYSDATETIMEOFFSET()
+      WHERE id = @id AND rotatedAt IS NULL AND revokedAt IS NULL;
+    `);
+  if (claimed.rowsAffected[0] !== 1) return null;
+
+  const user = await getTokenUser(pool, stored.userSub);
+  if (!user) {
+    await revokeFamily(pool, stored.familyId);
+    return null;
+  }
+
+  const next = await insertRefreshToken(pool, user.sub, stored.familyId);
+  return tokenResponse(user, next);
+}
+
+// Revoke the session a refresh token belongs to (logout)
+async function revokeRefreshToken(refreshToken) {
+  if (typeof refreshToken !== "string" || !refreshToken) return false;
+
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("tokenHash", sql.VarChar(64), hashToken(refreshToken))
+    .query("SELECT familyId FROM dbo.RefreshTokens WHERE tokenHash = @tokenHash");
+
+  const stored = result.recordset[0];
+  if (!stored) return false;
+
+  await revokeFamily(pool, stored.familyId);
+  return true;
+}
+
+module.exports = {
+  createAuthCode,
+  consumeAuthCode,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+};
@@ -0,0 +1,347 @@
+// services/badges.js
+// Achievements engine: badge rules stored as data, evaluated after syncs and shares
+
+const { sql, getPool } = require("../db");
+const { computeLeaderboard } = require("./scoring");
+const { bucketStart, addBuckets } = require("./analytics");
+const { countedShares } = require("./advocacy");
+
+// Rule shapes stored in BadgeDefinitions.rule:
+//   { type: "count", metric: "reactions"|"comments"|"shares"|"engagements", min, window }
+//   { type: "all_posts", window, minPosts? }   engaged with every post published in the window
+//   { type: "rank", maxRank, window }          ranked maxRank or better on the weighted leaderboard
+// window is "all" (count only), "week", "month" or "quarter", and `period` is
+// "current" (default; awarded the first time the condition holds) or "completed"
+// (judged on the previous, finished period). Windowed badges can be earned once per period.
+const RULE_TYPES = ["count", "all_posts", "rank"];
+const METRICS = ["reactions", "comments", "shares", "engagements"];
+const WINDOWS = ["all", "week", "month", "quarter"];
+const PERIODS = ["current", "completed"];
+
+// Shares don't evaluate badges themselves: the users who shared are collected and
+// evaluated together this long after the first share (every rule scores whole
+// leaderboards, which is too heavy to run per request)
+const BADGE_SHARE_DELAY_MS = Number(process.env.BADGE_SHARE_DELAY_MS || 60 * 1000);
+
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+// Returns a list of problems with a badge rule (empty when valid)
+function validateBadgeRule(rule) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) return ["rule must be an object"];
+  if (!RULE_TYPES.includes(rule.type)) return [`rule.type must be one of: ${RULE_TYPES.join(", ")}`];
+
+  const errors = [];
+  const window = rule.window || "all";
+  if (!WINDOWS.includes(window)) errors.push(`rule.window must be one of: ${WINDOWS.join(", ")}`);
+  if (rule.period !== undefined && !PERIODS.includes(rule.period)) {
+    errors.push(`rule.period must be one of: ${PERIODS.join(", ")}`);
+  }
+
+  if (rule.type === "count") {
+    if (!METRICS.includes(rule.metric)) errors.push(`rule.metric must be one of: ${METRICS.join(", ")}`);
+    if (!isPositiveInt(rule.min)) errors.push("rule.min must be a positive integer");
+  } else if (rule.type === "all_posts") {
+    if (window === "all") errors.push("all_posts rules need a week, month or quarter window");
+    if (rule.minPosts !== undefined && !isPositiveInt(rule.minPosts)) {
+      errors.push("rule.minPosts must be a positive integer");
+    }
+  } else if (rule.type === "rank") {
+    if (window === "all") errors.push("rank rules need a week, month or quarter window");
+    if (!isPositiveInt(rule.maxRank)) errors.push("rule.maxRank must be a positive integer");
+  }
+  return errors;
+}
+
+// The time range and award key a windowed rule is judged on
+function getRuleWindow(rule, now = new Date()) {
+  const window = rule.window || "all";
+  if (window === "all") return { since: null, until: null, periodKey: "" };
+
+  let start;
+  let length = 1;
+  if (window === "quarter") {
+    start = bucketStart(now, "month");
+    start.setUTCMonth(start.getUTCMonth() - (start.getUTCMonth() % 3));
+    length = 3;
+  } else {
+    start = bucketStart(now, window);
+  }
+
+  const unit = window === "quarter" ? "month" : window;
+  if (rule.period === "completed") start = addBuckets(start, unit, -length);
+  const until = addBuckets(start, unit, length);
+
+  const year = start.getUTCFullYear();
+  const month = String(start.getUTCMonth() + 1).padStart(2, "0");
+  const periodKey = window === "quarter" ? `${year}-Q${Math.floor(start.getUTCMonth() / 3) + 1}`
+    : window === "month" ? `${year}-${month}`
+    : start.toISOString().slice(0, 10);
+
+  return { since: start, until, periodKey };
+}
+
+// -----------------------------------------------------------------------------
+// Rule evaluation: each returns the lowercased subs that satisfy the rule
+// -----------------------------------------------------------------------------
+
+async function evaluateCountRule(rule, { since, until }, leaderboards) {
+  const { rows } = await leaderboards(since, until);
+  return rows
+    .filter((row) => {
+      const value = rule.metric === "engagements"
+        ? row.reactions + row.comments + row.shares
+        : row[rule.metric];
+      return value >= rule.min;
+    })
+    .map((row) => row.sub.toLowerCase());
+}
+
+async function evaluateRankRule(rule, { since, until }, leaderboards) {
+  const { rows } = await leaderboards(since, until);
+  return rows
+    .filter((row) => row.score > 0 && row.rank <= rule.maxRank)
+    .map((row) => row.sub.toLowerCase());
+}
+
+async function evaluateAllPostsRule(rule, { since, until }) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("since", sql.DateTimeOffset, since)
+    .input("until", sql.DateTimeOffset, until)
+    .input("minPosts", sql.Int, rule.minPosts || 1)
+    .query(`
+      WITH posts AS (
+        SELECT postId FROM dbo.LinkedInPosts
+        WHERE publishedAt >= @since AND publishedAt < @until AND deletedAt IS NULL
+      ), touched AS (
+        SELECT userSub, postId FROM dbo.PostEngagements
+        WHERE removedAt IS NULL AND postId IN (SELECT postId FROM posts)
+        UNION
+        SELECT userSub, postId FROM dbo.AdvocacyShares ash
+        WHERE postId IN (SELECT postId FROM posts) AND ${countedShares("ash")}
+      )
+      SELECT u.sub
+      FROM dbo.users u
+      JOIN touched t ON t.userSub = u.sub COLLATE SQL_Latin1_General_CP1_CI_AS
+      GROUP BY u.sub
+      HAVING COUNT(DISTINCT t.postId) = (SELECT COUNT(*) FROM posts)
+         AND (SELECT COUNT(*) FROM posts) >= @minPosts;
+    `);
+  return result.recordset.map((row) => row.sub.toLowerCase());
+}
+
+const EVALUATORS = {
+  count: evaluateCountRule,
+  rank: evaluateRankRule,
+  all_posts: evaluateAllPostsRule,
+};
+
+// -----------------------------------------------------------------------------
+// Catalog and awards
+// -----------------------------------------------------------------------------
+
+const BADGE_COLUMNS = "id, code, name, description, icon, rule, isActive, createdAt, updatedAt";
+
+function toBadge(row) {
+  return row && { ...row, rule: JSON.parse(row.rule) };
+}
+
+// Badge catalog with how many times each badge has been awarded
+async function listBadgeDefinitions({ activeOnly = false } = {}) {
+  const pool = await getPool();
+  const result = await pool.request().query(`
+    SELECT ${BADGE_COLUMNS.split(", ").map((c) => `b.${c}`).join(", ")},
+      (SELECT COUNT(*) FROM dbo.UserBadges ub WHERE ub.badgeId = b.id) AS timesAwarded
+    FROM dbo.BadgeDefinitions b
+    ${activeOnly ? "WHERE b.isActive = 1" : ""}
+    ORDER BY b.id ASC;
+  `);
+  return result.recordset.map(toBadge);
+}
+
+async function createBadgeDefinition({ code, name, description = null, icon = null, rule }) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("code", sql.VarChar(50), code)
+    .input("name", sql.NVarChar(100), name)
+    .input("description", sql.NVarChar(500), description)
+    .input("icon", sql.NVarChar(200), icon)
+    .input("rule", sql.NVarChar(sql.MAX), JSON.stringify(rule))
+    .query(`
+      INSERT INTO dbo.BadgeDefinitions (code, name, description, icon, rule)
+      OUTPUT ${BADGE_COLUMNS.split(", ").map((c) => `INSERTED.${c}`).join(", ")}
+      VALUES (@code, @name, @description, @icon, @rule);
+    `);
+  return toBadge(result.recordset[0]);
+}
+
+// Update a badge; undefined fields are left alone. Existing awards are kept.
+async function updateBadgeDefinition(id, { name, description, icon, rule, isActive }) {
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("id", sql.Int, id);
+
+  const sets = [];
+  const fields = {
+    name: [sql.NVarChar(100), name],
+    description: [sql.NVarChar(500), description],
+    icon: [sql.NVarChar(200), icon],
+    rule: [sql.NVarChar(sql.MAX), rule === undefined ? undefined : JSON.stringify(rule)],
+    isActive: [sql.Bit, isActive === undefined ? undefined : (isActive ? 1 : 0)],
+  };
+  for (const [column, [type, value]] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    r.input(column, type, value);
+    sets.push(`${column} = @${column}`);
+  }
+  sets.push("updatedAt = SYSDATETIMEOFFSET()");
+
+  const result = await r.query(`
+    UPDATE dbo.BadgeDefinitions
+    SET ${sets.join(", ")}
+    OUTPUT ${BADGE_COLUMNS.split(", ").map((c) => `INSERTED.${c}`).join(", ")}
+    WHERE id = @id;
+  `);
+  return toBadge(result.recordset[0] || null);
+}
+
+// A user's badges, newest first
+async function getUserBadges(userSub) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("userSub", sql.VarChar(100), userSub)
+    .query(`
+      SELECT b.code, b.name, b.description, b.icon, ub.periodKey, ub.awardedAt
+      FROM dbo.UserBadges ub
+      JOIN dbo.BadgeDefinitions b ON b.id = ub.badgeId
+      WHERE ub.userSub = @userSub
+      ORDER BY ub.awardedAt DESC, b.id ASC;
+    `);
+  return result.recordset;
+}
+
+// Evaluate every active badge and store new awards. Pass userSubs to only award
+// those users (e.g. the user who just shared); rules are still judged against
+// everyone, since ranks depend on the whole leaderboard. Returns the new awards.
+async function evaluateBadges({ userSubs = null, triggeredBy = null, now = new Date() } = {}) {
+  const badges = await listBadgeDefinitions({ activeOnly: true });
+  const onlyUsers = userSubs && new Set(userSubs.map((sub) => sub.toLowerCase()));
+
+  // Leaderboards are shared between rules with the same window
+  const cache = new Map();
+  const leaderboards = (since, until) => {
+    const key = `${since?.getTime()}|${until?.getTime()}`;
+    if (!cache.has(key)) cache.set(key, computeLeaderboard({ since, until }));
+    return cache.get(key);
+  };
+
+  const awards = [];
+  for (const badge of badges) {
+    if (validateBadgeRule(badge.rule).length > 0) {
+      console.warn(`[Badges] Skipping badge ${badge.code}: invalid rule`);
+      continue;
+    }
+
+    const window = getRuleWindow(badge.rule, now);
+    let qualified;
+    try {
+      qualified = await EVALUATORS[badge.rule.type](badge.rule, window, leaderboards);
+    } catch (err) {
+      console.error(`[Badges] Failed to evaluate ${badge.code}:`, err.message);
+      continue;
+    }
+
+    for (const sub of qualified) {
+      if (!onlyUsers || onlyUsers.has(sub)) {
+        awards.push({ badgeId: badge.id, code: badge.code, name: badge.name, userSub: sub, periodKey: window.periodKey });
+      }
+    }
+  }
+
+  if (awards.length === 0) return [];
+
+  const result = await insertAwards(awards, triggeredBy);
+
+  const byId = new Map(badges.map((badge) => [badge.id, badge]));
+  return result.recordset.map((row) => ({
+    ...row,
+    code: byId.get(row.badgeId).code,
+    name: byId.get(row.badgeId).name,
+    icon: byId.get(row.badgeId).icon,
+  }));
+}
+
+const AWARD_ATTEMPTS = 3;
+
+// Insert whatever isn't already awarded and report exactly those rows. A
+// concurrent evaluation may award the same badge between the check and the insert
+// (UQ_UserBadges_Badge_User_Period); the insert is then repeated without it.
+async function insertAwards(awards, triggeredBy) {
+  const pool = await getPool();
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await pool.request()
+        .input("awards", sql.NVarChar(sql.MAX), JSON.stringify(awards))
+        .input("triggeredBy", sql.VarChar(20), triggeredBy)
+        .query(`
+          INSERT INTO dbo.UserBadges (badgeId, userSub, periodKey, triggeredBy)
+          OUTPUT INSERTED.badgeId, INSERTED.userSub, INSERTED.periodKey, INSERTED.awardedAt
+          SELECT a.badgeId, u.sub, a.periodKey, @triggeredBy
+          FROM OPENJSON(@awards) WITH (badgeId INT, userSub VARCHAR(100), periodKey VARCHAR(20)) AS a
+          JOIN dbo.users u ON u.sub = a.userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+          WHERE NOT EXISTS (
+            SELECT 1 FROM dbo.UserBadges ub
+            WHERE ub.badgeId = a.badgeId AND ub.userSub = u.sub AND ub.periodKey = a.periodKey
+          );
+        `);
+    } catch (err) {
+      if (err.number !== 2627 && err.number !== 2601) throw err;
+      if (attempt === AWARD_ATTEMPTS) return { recordset: [] };
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Deferred evaluation after shares
+// -----------------------------------------------------------------------------
+
+const queuedUsers = new Set();
+let queueTimer = null;
+
+// Evaluate badges for a user who just shared, batched with other shares in the
+// next BADGE_SHARE_DELAY_MS. New awards show up in GET /api/badges/me.
+function queueBadgeEvaluation(userSub) {
+  queuedUsers.add(userSub);
+  if (!queueTimer) scheduleQueuedEvaluation();
+}
+
+function scheduleQueuedEvaluation() {
+  queueTimer = setTimeout(runQueuedEvaluation, BADGE_SHARE_DELAY_MS);
+  queueTimer.unref();
+}
+
+async function runQueuedEvaluation() {
+  const userSubs = [...queuedUsers];
+  queuedUsers.clear();
+
+  try {
+    const awards = await evaluateBadges({ userSubs, triggeredBy: "share" });
+    if (awards.length > 0) console.log(`[Badges] Awarded ${awards.length} badge(s) after shares`);
+  } catch (err) {
+    console.error("[Badges] Badge evaluation after shares failed:", err.message);
+  } finally {
+    // Users who shared while this run was going wait for the next one
+    queueTimer = null;
+    if (queuedUsers.size > 0) scheduleQueuedEvaluation();
+  }
+}
+
+module.exports = {
+  validateBadgeRule,
+  listBadgeDefinitions,
+  createBadgeDefinition,
+  updateBadgeDefinition,
+  getUserBadges,
+  evaluateBadges,
+  queueBadgeEvaluation,
+};
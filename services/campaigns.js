@@ -0,0 +1,353 @@
+// services/campaigns.js
+// Advocacy campaigns: posts pushed to a target audience between two dates, with a goal
+
+const { sql, getPool } = require("../db");
+const { countedShares } = require("./advocacy");
+
+const GOAL_TYPES = ["shares", "participants"];
+const CAMPAIGN_STATES = ["upcoming", "active", "ended", "inactive"];
+const MAX_CAMPAIGN_POSTS = 50;
+
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+const isDate = (value) => !!value && !Number.isNaN(new Date(value).getTime());
+
+// Returns a list of problems with a campaign (empty when valid). For updates,
+// pass the stored campaign merged with the changes.
+function validateCampaign(campaign) {
+  const errors = [];
+  const { name, description, suggestedText, startsAt, endsAt, goalType, goalTarget, postIds, teams } = campaign;
+
+  if (typeof name !== "string" || !name.trim() || name.length > 200) {
+    errors.push("name is required (at most 200 characters)");
+  }
+  if (description != null && (typeof description !== "string" || description.length > 1000)) {
+    errors.push("description must be text of at most 1000 characters");
+  }
+  if (suggestedText != null && (typeof suggestedText !== "string" || suggestedText.length > 3000)) {
+    errors.push("suggestedText must be text of at most 3000 characters");
+  }
+  if (!isDate(startsAt)) errors.push("startsAt must be an ISO date-time");
+  if (!isDate(endsAt)) errors.push("endsAt must be an ISO date-time");
+  if (isDate(startsAt) && isDate(endsAt) && new Date(endsAt) <= new Date(startsAt)) {
+    errors.push("endsAt must be after startsAt");
+  }
+  if (!GOAL_TYPES.includes(goalType)) errors.push(`goalType must be one of: ${GOAL_TYPES.join(", ")}`);
+  if (!isPositiveInt(goalTarget)) errors.push("goalTarget must be a positive integer");
+
+  if (!Array.isArray(postIds) || postIds.length === 0 || postIds.length > MAX_CAMPAIGN_POSTS) {
+    errors.push(`postIds must list 1-${MAX_CAMPAIGN_POSTS} posts`);
+  } else if (postIds.some((postId) => typeof postId !== "string" || !postId)) {
+    errors.push("postIds must be post URNs");
+  }
+  if (!Array.isArray(teams)) {
+    errors.push("teams must be a list (empty for all employees)");
+  } else if (teams.some((team) => typeof team !== "string" || !team.trim() || team.length > 100)) {
+    errors.push("teams must be team names of at most 100 characters");
+  }
+  return errors;
+}
+
+// Post ids that don't exist (or were deleted), so a campaign can't include them
+async function findMissingPosts(postIds) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("postIds", sql.NVarChar(sql.MAX), JSON.stringify(postIds))
+    .query(`
+      SELECT postId FROM dbo.LinkedInPosts
+      WHERE postId IN (SELECT value FROM OPENJSON(@postIds)) AND deletedAt IS NULL;
+    `);
+  const found = new Set(result.recordset.map((row) => row.postId));
+  return postIds.filter((postId) => !found.has(postId));
+}
+
+// SQL condition: the user (alias) is in the audience of the campaign (expression)
+function inAudience(userAlias, campaignId) {
+  return `(
+    NOT EXISTS (SELECT 1 FROM dbo.CampaignTeams ct WHERE ct.campaignId = ${campaignId})
+    OR EXISTS (SELECT 1 FROM dbo.CampaignTeams ct WHERE ct.campaignId = ${campaignId} AND ct.team = ${userAlias}.team)
+  )`;
+}
+
+// SQL condition: a share (alias) counts toward the campaign (alias)
+function countsTowardCampaign(shareAlias, campaignAlias) {
+  return `${shareAlias}.postId IN (SELECT postId FROM dbo.CampaignPosts WHERE campaignId = ${campaignAlias}.id)
+    AND ${shareAlias}.sharedAt >= ${campaignAlias}.startsAt
+    AND ${shareAlias}.sharedAt < ${campaignAlias}.endsAt
+    AND ${countedShares(shareAlias)}`;
+}
+
+// -----------------------------------------------------------------------------
+// Campaign CRUD
+// -----------------------------------------------------------------------------
+
+const CAMPAIGN_COLUMNS =
+  "id, name, description, suggestedText, startsAt, endsAt, goalType, goalTarget, isActive, createdBy, createdAt, updatedAt";
+
+function campaignState(campaign, now = new Date()) {
+  if (!campaign.isActive) return "inactive";
+  if (new Date(campaign.startsAt) > now) return "upcoming";
+  if (new Date(campaign.endsAt) <= now) return "ended";
+  return "active";
+}
+
+// Attach postIds (in order), teams and the current state to campaign rows
+function toCampaigns(rows, postRows, teamRows) {
+  return rows.map((row) => ({
+    ...row,
+    isActive: !!row.isActive,
+    state: campaignState(row),
+    postIds: postRows.filter((p) => p.campaignId === row.id).map((p) => p.postId),
+    teams: teamRows.filter((t) => t.campaignId === row.id).map((t) => t.team),
+  }));
+}
+
+// Campaigns, newest first; state filters on upcoming/active/ended/inactive
+async function listCampaigns({ state = null } = {}) {
+  const pool = await getPool();
+  const result = await pool.request().query(`
+    SELECT ${CAMPAIGN_COLUMNS} FROM dbo.Campaigns ORDER BY startsAt DESC, id DESC;
+    SELECT campaignId, postId FROM dbo.CampaignPosts ORDER BY campaignId, position;
+    SELECT campaignId, team FROM dbo.CampaignTeams ORDER BY campaignId, team;
+  `);
+  const [rows, postRows, teamRows] = result.recordsets;
+  const campaigns = toCampaigns(rows, postRows, teamRows);
+  return state ? campaigns.filter((campaign) => campaign.state === state) : campaigns;
+}
+
+async function getCampaign(id) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("id", sql.Int, id)
+    .query(`
+      SELECT ${CAMPAIGN_COLUMNS} FROM dbo.Campaigns WHERE id = @id;
+      SELECT campaignId, postId FROM dbo.CampaignPosts WHERE campaignId = @id ORDER BY position;
+      SELECT campaignId, team FROM dbo.CampaignTeams WHERE campaignId = @id ORDER BY team;
+    `);
+  const [rows, postRows, teamRows] = result.recordsets;
+  return toCampaigns(rows, postRows, teamRows)[0] || null;
+}
+
+// Duplicates would break the primary keys; team names compare case-insensitively
+const uniquePosts = (postIds) => [...new Set(postIds)];
+function uniqueTeams(teams) {
+  const byKey = new Map();
+  for (const team of teams) byKey.set(team.trim().toLowerCase(), team.trim());
+  return [...byKey.values()];
+}
+
+// Replace a campaign's posts and teams (inside the caller's transaction)
+const REPLACE_POSTS = `
+  DELETE FROM dbo.CampaignPosts WHERE campaignId = @id;
+  INSERT INTO dbo.CampaignPosts (campaignId, postId, position)
+  SELECT @id, value, CAST([key] AS INT) FROM OPENJSON(@postIds);
+`;
+const REPLACE_TEAMS = `
+  DELETE FROM dbo.CampaignTeams WHERE campaignId = @id;
+  INSERT INTO dbo.CampaignTeams (campaignId, team)
+  SELECT @id, value FROM OPENJSON(@teams);
+`;
+
+async function createCampaign(
+  { name, description = null, suggestedText = null, startsAt, endsAt, goalType, goalTarget, postIds, teams },
+  createdBy
+) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("name", sql.NVarChar(200), name.trim())
+    .input("description", sql.NVarChar(1000), description)
+    .input("suggestedText", sql.NVarChar(3000), suggestedText)
+    .input("startsAt", sql.DateTimeOffset, new Date(startsAt))
+    .input("endsAt", sql.DateTimeOffset, new Date(endsAt))
+    .input("goalType", sql.VarChar(20), goalType)
+    .input("goalTarget", sql.Int, goalTarget)
+    .input("createdBy", sql.VarChar(100), createdBy)
+    .input("postIds", sql.NVarChar(sql.MAX), JSON.stringify(uniquePosts(postIds)))
+    .input("teams", sql.NVarChar(sql.MAX), JSON.stringify(uniqueTeams(teams)))
+    .query(`
+      SET XACT_ABORT ON;
+      BEGIN TRANSACTION;
+
+      INSERT INTO dbo.Campaigns (name, description, suggestedText, startsAt, endsAt, goalType, goalTarget, createdBy)
+      VALUES (@name, @description, @suggestedText, @startsAt, @endsAt, @goalType, @goalTarget, @createdBy);
+      DECLARE @id INT = SCOPE_IDENTITY();
+      ${REPLACE_POSTS}
+      ${REPLACE_TEAMS}
+
+      COMMIT;
+      SELECT @id AS id;
+    `);
+  return getCampaign(result.recordset[0].id);
+}
+
+// Update a campaign; undefined fields are left alone, and postIds/teams replace
+// the current lists when given. Returns null if the campaign doesn't exist.
+async function updateCampaign(id, changes) {
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("id", sql.Int, id);
+
+  const sets = [];
+  const fields = {
+    name: [sql.NVarChar(200), changes.name === undefined ? undefined : changes.name.trim()],
+    description: [sql.NVarChar(1000), changes.description],
+    suggestedText: [sql.NVarChar(3000), changes.suggestedText],
+    startsAt: [sql.DateTimeOffset, changes.startsAt === undefined ? undefined : new Date(changes.startsAt)],
+    endsAt: [sql.DateTimeOffset, changes.endsAt === undefined ? undefined : new Date(changes.endsAt)],
+    goalType: [sql.VarChar(20), changes.goalType],
+    goalTarget: [sql.Int, changes.goalTarget],
+    isActive: [sql.Bit, changes.isActive === undefined ? undefined : (changes.isActive ? 1 : 0)],
+  };
+  for (const [column, [type, value]] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    r.input(column, type, value);
+    sets.push(`${column} = @${column}`);
+  }
+  sets.push("updatedAt = SYSDATETIMEOFFSET()");
+
+  const replaceLists = [];
+  if (changes.postIds !== undefined) {
+    r.input("postIds", sql.NVarChar(sql.MAX), JSON.stringify(uniquePosts(changes.postIds)));
+    replaceLists.push(REPLACE_POSTS);
+  }
+  if (changes.teams !== undefined) {
+    r.input("teams", sql.NVarChar(sql.MAX), JSON.stringify(uniqueTeams(changes.teams)));
+    replaceLists.push(REPLACE_TEAMS);
+  }
+
+  const result = await r.query(`
+    SET XACT_ABORT ON;
+    BEGIN TRANSACTION;
+
+    UPDATE dbo.Campaigns SET ${sets.join(", ")} WHERE id = @id;
+    ${replaceLists.length > 0 ? `IF @@ROWCOUNT > 0 BEGIN ${replaceLists.join("")} END` : ""}
+
+    COMMIT;
+    SELECT id FROM dbo.Campaigns WHERE id = @id;
+  `);
+  return result.recordset.length > 0 ? getCampaign(id) : null;
+}
+
+// -----------------------------------------------------------------------------
+// Suggestions and reporting
+// -----------------------------------------------------------------------------
+
+// Active campaigns targeting a user, by post: Map of postId -> campaigns, the
+// one ending soonest first
+async function getActiveCampaignsByPost(pool, userSub) {
+  const result = await pool.request()
+    .input("userSub", sql.VarChar(100), userSub)
+    .query(`
+      SELECT c.id, c.name, c.suggestedText, c.startsAt, c.endsAt, c.goalType, c.goalTarget, cp.postId
+      FROM dbo.Campaigns c
+      JOIN dbo.CampaignPosts cp ON cp.campaignId = c.id
+      JOIN dbo.users u ON u.sub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+      WHERE c.isActive = 1
+        AND c.startsAt <= SYSDATETIMEOFFSET()
+        AND c.endsAt > SYSDATETIMEOFFSET()
+        AND ${inAudience("u", "c.id")}
+      ORDER BY c.endsAt ASC, c.id ASC, cp.position ASC;
+    `);
+
+  const byPost = new Map();
+  for (const { postId, ...campaign } of result.recordset) {
+    if (!byPost.has(postId)) byPost.set(postId, []);
+    byPost.get(postId).push(campaign);
+  }
+  return byPost;
+}
+
+// Progress toward a campaign's goal, shares per post, and the targeted employees
+// who have and haven't shared one of its posts yet. Returns null if the
+// campaign doesn't exist.
+// The audience is taken from users' teams as they are now, not when they shared:
+// someone who moved out of a targeted team drops out of the report with their
+// shares, and someone who moved in counts with the shares they made before.
+async function getCampaignReport(id, now = new Date()) {
+  const campaign = await getCampaign(id);
+  if (!campaign) return null;
+
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("id", sql.Int, id)
+    .query(`
+      SELECT
+        u.sub,
+        COALESCE(NULLIF(u.name,''), CONCAT(COALESCE(u.firstName,''), ' ', COALESCE(u.lastName,''))) AS name,
+        u.email,
+        u.picture,
+        u.team,
+        u.department,
+        COUNT(ash.id) AS shares,
+        MIN(ash.sharedAt) AS firstSharedAt
+      FROM dbo.Campaigns c
+      JOIN dbo.users u ON ${inAudience("u", "c.id")}
+      LEFT JOIN dbo.AdvocacyShares ash
+        ON ash.userSub = u.sub COLLATE SQL_Latin1_General_CP1_CI_AS
+        AND ${countsTowardCampaign("ash", "c")}
+      WHERE c.id = @id
+      GROUP BY u.sub, u.name, u.firstName, u.lastName, u.email, u.picture, u.team, u.department
+      ORDER BY shares DESC, name ASC;
+
+      SELECT
+        cp.postId,
+        lp.text,
+        lp.publishedAt,
+        lp.deletedAt,
+        COUNT(ash.id) AS shares
+      FROM dbo.Campaigns c
+      JOIN dbo.CampaignPosts cp ON cp.campaignId = c.id
+      JOIN dbo.LinkedInPosts lp ON lp.postId = cp.postId
+      LEFT JOIN dbo.AdvocacyShares ash
+        ON ash.postId = cp.postId
+        AND ${countsTowardCampaign("ash", "c")}
+        AND EXISTS (
+          SELECT 1 FROM dbo.users u
+          WHERE u.sub = ash.userSub COLLATE SQL_Latin1_General_CP1_CI_AS AND ${inAudience("u", "c.id")}
+        )
+      WHERE c.id = @id
+      GROUP BY cp.postId, cp.position, lp.text, lp.publishedAt, lp.deletedAt
+      ORDER BY cp.position ASC;
+    `);
+
+  const [audience, posts] = result.recordsets;
+  const participants = audience.filter((user) => user.shares > 0);
+  const notParticipated = audience
+    .filter((user) => user.shares === 0)
+    .map(({ shares, firstSharedAt, ...user }) => user);
+
+  const shares = participants.reduce((sum, user) => sum + user.shares, 0);
+  const achieved = campaign.goalType === "participants" ? participants.length : shares;
+  const msRemaining = new Date(campaign.endsAt) - now;
+
+  return {
+    campaign,
+    progress: {
+      goalType: campaign.goalType,
+      goalTarget: campaign.goalTarget,
+      achieved,
+      percent: Math.min(100, Math.round((achieved / campaign.goalTarget) * 100)),
+      goalReached: achieved >= campaign.goalTarget,
+      shares,
+      participants: participants.length,
+      targetedEmployees: audience.length,
+      participationRate: audience.length > 0 ? participants.length / audience.length : 0,
+      daysRemaining: msRemaining > 0 ? Math.ceil(msRemaining / 86400000) : 0,
+    },
+    posts,
+    participants,
+    notParticipated,
+  };
+}
+
+module.exports = {
+  GOAL_TYPES,
+  CAMPAIGN_STATES,
+  validateCampaign,
+  findMissingPosts,
+  listCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  getActiveCampaignsByPost,
+  getCampaignReport,
+};
@@ -0,0 +1,529 @@
+// services/drafts.js
+// Post drafts, the review workflow, scheduling, and the worker that publishes scheduled drafts
+
+const os = require("os");
+const crypto = require("crypto");
+const cron = require("node-cron");
+const { sql, getPool } = require("../db");
+const { acquireLock, renewLock, releaseLock } = require("./jobLock");
+const { getOrganization } = require("./organizations");
+const { publishPost, markOutcomeUnknown } = require("./publisher");
+const { getDraftMedia, draftMediaJson, INSERT_DRAFT_MEDIA, REPLACE_DRAFT_MEDIA } = require("./media");
+
+// Checked every minute; each run publishes at most DRAFT_PUBLISH_BATCH drafts
+const DRAFT_PUBLISH_SCHEDULE = process.env.DRAFT_PUBLISH_SCHEDULE || "* * * * *";
+const DRAFT_PUBLISH_BATCH = Number(process.env.DRAFT_PUBLISH_BATCH || 10);
+// Attempts before a draft is marked failed; retries back off 1, 2, 4, ... minutes
+const DRAFT_MAX_ATTEMPTS = Number(process.env.DRAFT_MAX_ATTEMPTS || 5);
+const DRAFT_RETRY_BASE_MS = Number(process.env.DRAFT_RETRY_BASE_MS || 60 * 1000);
+// A draft left in "publishing" this long belonged to an instance that died
+// mid-publish; a live publish refreshes it every third of this (see publishClaimedDraft)
+const DRAFT_PUBLISHING_TIMEOUT_MS = Number(process.env.DRAFT_PUBLISHING_TIMEOUT_MS || 10 * 60 * 1000);
+
+// draft -> pending_review -> approved | rejected; approved -> scheduled | publishing -> published | failed
+const DRAFT_STATUSES = [
+  "draft", "pending_review", "approved", "rejected", "scheduled",
+  "publishing", "published", "failed", "cancelled",
+];
+// Statuses whose content may still change. Any edit sends the draft back to
+// "draft", so changed content always goes through review again.
+const EDITABLE_STATUSES = ["draft", "pending_review", "approved", "rejected", "scheduled", "failed"];
+// Statuses that hold an approval and can be published or (re)scheduled
+const PUBLISHABLE_STATUSES = ["approved", "scheduled", "failed"];
+
+const LOCK_NAME = "draft_publisher";
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+const DRAFT_COLUMNS = `id, organizationId, text, status, scheduledAt, nextAttemptAt, attempts, lastError,
+  postId, publishedAt, createdBy, updatedBy, createdAt, updatedAt, submittedBy, submittedAt,
+  reviewedBy, reviewedAt, reviewComment, scheduledBy, publishedBy`;
+
+// Wrap a statement that writes "OUTPUT INSERTED.id, DELETED.status, INSERTED.status
+// INTO @changed" so every changed draft gets a PostDraftEvents row (@action, @actor,
+// @comment) and the changed drafts are returned
+function recordChanges(statement) {
+  return `
+    DECLARE @changed TABLE (id BIGINT, fromStatus VARCHAR(20), toStatus VARCHAR(20));
+    ${statement}
+    INSERT INTO dbo.PostDraftEvents (draftId, action, fromStatus, toStatus, actor, comment)
+    SELECT id, @action, fromStatus, toStatus, @actor, @comment FROM @changed;
+    SELECT ${DRAFT_COLUMNS} FROM dbo.PostDrafts WHERE id IN (SELECT id FROM @changed);
+  `;
+}
+
+const CHANGED = "OUTPUT INSERTED.id, DELETED.status, INSERTED.status INTO @changed";
+
+function eventRequest(pool, { action, actor = null, comment = null }) {
+  return pool.request()
+    .input("action", sql.VarChar(20), action)
+    .input("actor", sql.VarChar(100), actor)
+    .input("comment", sql.NVarChar(1000), comment && String(comment).slice(0, 1000));
+}
+
+// -----------------------------------------------------------------------------
+// Drafts
+// -----------------------------------------------------------------------------
+
+// Create a draft with its attachments (see storeLocally), in one transaction
+async function createDraft({ organizationId, text, createdBy, media = [] }) {
+  const pool = await getPool();
+  const result = await eventRequest(pool, { action: "created", actor: createdBy })
+    .input("organizationId", sql.Int, organizationId)
+    .input("text", sql.NVarChar(sql.MAX), text)
+    .input("media", sql.NVarChar(sql.MAX), draftMediaJson(media))
+    .query(`
+      SET XACT_ABORT ON;
+      BEGIN TRANSACTION;
+      ${recordChanges(`
+        INSERT INTO dbo.PostDrafts (organizationId, text, createdBy, updatedBy)
+        OUTPUT INSERTED.id, NULL, INSERTED.status INTO @changed
+        VALUES (@organizationId, @text, @actor, @actor);
+      `)}
+      DECLARE @draftId BIGINT = (SELECT id FROM @changed);
+      ${INSERT_DRAFT_MEDIA}
+      COMMIT;
+    `);
+  return result.recordset[0];
+}
+
+async function getDraft(id) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("id", sql.BigInt, id)
+    .query(`SELECT ${DRAFT_COLUMNS} FROM dbo.PostDrafts WHERE id = @id`);
+  return result.recordset[0] || null;
+}
+
+// Drafts, optionally filtered by status, organization and author. Drafts waiting
+// for review come first, then scheduled drafts by publish time, then newest first.
+async function listDrafts({ status = null, orgId = null, createdBy = null, limit = 50, offset = 0 } = {}) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("status", sql.VarChar(20), status)
+    .input("orgId", sql.Int, orgId)
+    .input("createdBy", sql.VarChar(100), createdBy)
+    .input("limit", sql.Int, limit)
+    .input("offset", sql.Int, offset)
+    .query(`
+      SELECT ${DRAFT_COLUMNS}, COUNT(*) OVER () AS totalCount
+      FROM dbo.PostDrafts
+      WHERE (@status IS NULL OR status = @status)
+        AND (@orgId IS NULL OR organizationId = @orgId)
+        AND (@createdBy IS NULL OR createdBy = @createdBy COLLATE SQL_Latin1_General_CP1_CI_AS)
+      ORDER BY CASE status WHEN 'pending_review' THEN 0 WHEN 'scheduled' THEN 1 ELSE 2 END,
+               CASE WHEN status = 'scheduled' THEN scheduledAt END ASC,
+               updatedAt DESC
+      OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY;
+    `);
+
+  const total = result.recordset[0]?.totalCount || 0;
+  return { total, items: result.recordset.map(({ totalCount, ...draft }) => draft) };
+}
+
+// A draft's history: every status change and reviewer comment, oldest first
+async function getDraftEvents(id) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("id", sql.BigInt, id)
+    .query(`
+      SELECT id, action, fromStatus, toStatus, actor, comment, createdAt
+      FROM dbo.PostDraftEvents
+      WHERE draftId = @id
+      ORDER BY id ASC;
+    `);
+  return result.recordset;
+}
+
+// Who wrote, approved and published a post, from the draft it was published from
+async function getPostWorkflow(postId) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("postId", sql.VarChar(255), postId)
+    .query(`
+      SELECT TOP 1 id AS draftId, createdBy AS writtenBy, createdAt AS writtenAt, submittedBy, submittedAt,
+             reviewedBy AS approvedBy, reviewedAt AS approvedAt, scheduledBy, publishedBy, publishedAt
+      FROM dbo.PostDrafts
+      WHERE postId = @postId;
+    `);
+  return result.recordset[0] || null;
+}
+
+// Apply a change to a draft only while it's in one of `fromStatuses` (and `guard`
+// holds: { condition, error, status }), recording `action` in its history.
+// `also` is SQL run in the same transaction when the draft changed. Returns
+// { draft, recordsets } on success, or { error, status }.
+async function transitionDraft(id, fromStatuses, { action, actor, comment = null, set, inputs = [], guard = null, also = null }) {
+  const pool = await getPool();
+  const r = eventRequest(pool, { action, actor, comment });
+  r.input("id", sql.BigInt, id);
+  r.input("fromStatuses", sql.NVarChar(sql.MAX), JSON.stringify(fromStatuses));
+  for (const [name, type, value] of inputs) r.input(name, type, value);
+
+  const result = await r.query(`
+    SET XACT_ABORT ON;
+    BEGIN TRANSACTION;
+    ${recordChanges(`
+      UPDATE dbo.PostDrafts
+      SET ${set}, updatedBy = @actor, updatedAt = SYSDATETIMEOFFSET()
+      ${CHANGED}
+      WHERE id = @id AND status IN (SELECT value FROM OPENJSON(@fromStatuses))
+        ${guard ? `AND ${guard.condition}` : ""};
+    `)}
+    ${also ? `IF EXISTS (SELECT 1 FROM @changed) BEGIN ${also} END` : ""}
+    COMMIT;
+  `);
+  if (result.recordset[0]) return { draft: result.recordset[0], recordsets: result.recordsets };
+
+  const existing = await getDraft(id);
+  if (!existing) return { error: "Draft not found", status: 404 };
+  if (guard && fromStatuses.includes(existing.status)) return { error: guard.error, status: guard.status };
+  return { error: `Draft is ${existing.status}`, status: 409 };
+}
+
+// Change a draft's text, and replace its attachments when `media` is given (see
+// storeLocally) in the same transaction, so a review can't land in between. It
+// goes back to "draft": schedule and approval are cleared. On success, returns
+// the replaced attachments' files as `removedFiles` (see deleteStoredFiles).
+async function editDraft(id, text, actor, media = null) {
+  const result = await transitionDraft(id, EDITABLE_STATUSES, {
+    action: "edited",
+    actor,
+    set: `text = @text, status = 'draft', scheduledAt = NULL, nextAttemptAt = NULL,
+          reviewedBy = NULL, reviewedAt = NULL, reviewComment = NULL`,
+    inputs: [
+      ["text", sql.NVarChar(sql.MAX), text],
+      ["media", sql.NVarChar(sql.MAX), media && draftMediaJson(media)],
+    ],
+    also: media ? REPLACE_DRAFT_MEDIA : null,
+  });
+  if (result.error) return result;
+
+  const removedFiles = media ? result.recordsets[1].map((row) => row.storedName) : [];
+  return { draft: result.draft, removedFiles };
+}
+
+function submitDraft(id, actor) {
+  return transitionDraft(id, ["draft", "rejected"], {
+    action: "submitted",
+    actor,
+    set: "status = 'pending_review', submittedBy = @actor, submittedAt = SYSDATETIMEOFFSET()",
+  });
+}
+
+// Approve or reject a draft waiting for review; rejections carry the reviewer's reasons.
+// Unless allowSelfReview, nobody who wrote, edited or submitted the draft may
+// review it. Checked in the same statement, so an edit can't slip in between.
+function reviewDraft(id, approve, actor, comment = null, { allowSelfReview = false } = {}) {
+  return transitionDraft(id, ["pending_review"], {
+    action: approve ? "approved" : "rejected",
+    actor,
+    comment,
+    set: "status = @status, reviewedBy = @actor, reviewedAt = SYSDATETIMEOFFSET(), reviewComment = @comment",
+    inputs: [["status", sql.VarChar(20), approve ? "approved" : "rejected"]],
+    guard: allowSelfReview ? null : {
+      condition: `createdBy <> @actor COLLATE SQL_Latin1_General_CP1_CI_AS
+        AND NOT EXISTS (
+          SELECT 1 FROM dbo.PostDraftEvents e
+          WHERE e.draftId = @id
+            AND e.action IN ('created', 'edited', 'submitted')
+            AND e.actor = @actor COLLATE SQL_Latin1_General_CP1_CI_AS
+        )`,
+      error: "You can't review a draft you wrote, edited or submitted",
+      status: 403,
+    },
+  });
+}
+
+// Schedule an approved draft (or reschedule, or retry a failed one); resets attempts
+function scheduleDraft(id, scheduledAt, actor) {
+  return transitionDraft(id, PUBLISHABLE_STATUSES, {
+    action: "scheduled",
+    actor,
+    set: `status = 'scheduled', scheduledAt = @scheduledAt, nextAttemptAt = @scheduledAt,
+          attempts = 0, lastError = NULL, scheduledBy = @actor`,
+    inputs: [["scheduledAt", sql.DateTimeOffset, scheduledAt]],
+  });
+}
+
+// Take a scheduled or failed draft off the schedule; it stays approved
+function unscheduleDraft(id, actor) {
+  return transitionDraft(id, ["scheduled", "failed"], {
+    action: "unscheduled",
+    actor,
+    set: "status = 'approved', scheduledAt = NULL, nextAttemptAt = NULL",
+  });
+}
+
+function cancelDraft(id, actor) {
+  return transitionDraft(id, EDITABLE_STATUSES, {
+    action: "cancelled",
+    actor,
+    set: "status = 'cancelled', nextAttemptAt = NULL",
+  });
+}
+
+// Add a comment to a draft's history without changing it. Returns false if the
+// draft doesn't exist.
+async function commentOnDraft(id, actor, comment) {
+  const pool = await getPool();
+  const result = await eventRequest(pool, { action: "commented", actor, comment })
+    .input("id", sql.BigInt, id)
+    .query(`
+      INSERT INTO dbo.PostDraftEvents (draftId, action, fromStatus, toStatus, actor, comment)
+      SELECT id, @action, status, status, @actor, @comment
+      FROM dbo.PostDrafts
+      WHERE id = @id;
+    `);
+  return result.rowsAffected[0] > 0;
+}
+
+// Record a change to a published post (edited, deleted) in the history of the
+// draft it was published from, if any
+async function recordPostEvent(postId, action, actor, comment = null) {
+  const pool = await getPool();
+  await eventRequest(pool, { action, actor, comment })
+    .input("postId", sql.VarChar(255), postId)
+    .query(`
+      INSERT INTO dbo.PostDraftEvents (draftId, action, fromStatus, toStatus, actor, comment)
+      SELECT id, @action, status, status, @actor, @comment
+      FROM dbo.PostDrafts
+      WHERE postId = @postId;
+    `);
+}
+
+// -----------------------------------------------------------------------------
+// Publishing
+// -----------------------------------------------------------------------------
+
+// Atomically move due drafts to "publishing" so no other run picks them up. The
+// person who scheduled a draft is recorded as its publisher.
+async function claimDueDrafts(limit) {
+  const pool = await getPool();
+  const result = await eventRequest(pool, { action: "publishing" })
+    .input("limit", sql.Int, limit)
+    .query(recordChanges(`
+      WITH due AS (
+        SELECT TOP (@limit) *
+        FROM dbo.PostDrafts WITH (UPDLOCK, READPAST, ROWLOCK)
+        WHERE status = 'scheduled' AND nextAttemptAt <= SYSDATETIMEOFFSET()
+        ORDER BY nextAttemptAt ASC
+      )
+      UPDATE due
+      SET status = 'publishing', attempts = attempts + 1, publishedBy = scheduledBy,
+          updatedAt = SYSDATETIMEOFFSET()
+      ${CHANGED};
+    `));
+  return result.recordset;
+}
+
+// Drafts stuck in "publishing" may or may not have reached LinkedIn, so they are
+// failed rather than retried; someone has to check the page and reschedule.
+async function failInterruptedDrafts() {
+  const pool = await getPool();
+  const message = "Publishing was interrupted; check the LinkedIn page before rescheduling";
+  const result = await eventRequest(pool, { action: "failed", comment: message })
+    .input("cutoff", sql.DateTimeOffset, new Date(Date.now() - DRAFT_PUBLISHING_TIMEOUT_MS))
+    .query(recordChanges(`
+      UPDATE dbo.PostDrafts
+      SET status = 'failed', nextAttemptAt = NULL, lastError = @comment, updatedAt = SYSDATETIMEOFFSET()
+      ${CHANGED}
+      WHERE status = 'publishing' AND updatedAt < @cutoff;
+    `));
+  return result.recordset.length;
+}
+
+async function markDraftPublished(draft, postId) {
+  const pool = await getPool();
+  await eventRequest(pool, { action: "published", actor: draft.publishedBy, comment: postId })
+    .input("id", sql.BigInt, draft.id)
+    .input("postId", sql.VarChar(255), postId)
+    .query(recordChanges(`
+      UPDATE dbo.PostDrafts
+      SET status = 'published', postId = @postId, publishedAt = SYSDATETIMEOFFSET(),
+          nextAttemptAt = NULL, lastError = NULL, updatedAt = SYSDATETIMEOFFSET()
+      ${CHANGED}
+      WHERE id = @id AND status = 'publishing';
+    `));
+}
+
+// Retry later with exponential backoff, or give up after DRAFT_MAX_ATTEMPTS.
+// Client errors (4xx other than 429) won't succeed on retry, so they fail at once,
+// as does anything published by hand (retry: false). A draft LinkedIn may already
+// have published (publishOutcomeUnknown) is never retried: like an interrupted
+// one, someone has to check the page first.
+async function markDraftFailed(draft, err, { retry = true } = {}) {
+  const status = err.status;
+  const permanent = status && status >= 400 && status < 500 && status !== 429;
+  const giveUp = !retry || permanent || err.publishOutcomeUnknown || draft.attempts >= DRAFT_MAX_ATTEMPTS;
+  const nextAttemptAt = giveUp
+    ? null
+    : new Date(Date.now() + DRAFT_RETRY_BASE_MS * 2 ** (draft.attempts - 1));
+
+  let message = err.message;
+  if (err.publishOutcomeUnknown) {
+    const outcome = err.postId
+      ? `Published as ${err.postId} but not recorded`
+      : "LinkedIn may have published the post";
+    message = `${outcome} (${err.message}); check the LinkedIn page before rescheduling`;
+  }
+
+  const pool = await getPool();
+  await eventRequest(pool, { action: giveUp ? "failed" : "retrying", comment: message })
+    .input("id", sql.BigInt, draft.id)
+    .input("status", sql.VarChar(20), giveUp ? "failed" : "scheduled")
+    .input("nextAttemptAt", sql.DateTimeOffset, nextAttemptAt)
+    .query(recordChanges(`
+      UPDATE dbo.PostDrafts
+      SET status = @status, nextAttemptAt = @nextAttemptAt, lastError = @comment,
+          updatedAt = SYSDATETIMEOFFSET()
+      ${CHANGED}
+      WHERE id = @id AND status = 'publishing';
+    `));
+  return { giveUp, nextAttemptAt };
+}
+
+// Refresh updatedAt of a draft this process is publishing, so failInterruptedDrafts
+// leaves it alone however long the uploads take
+async function touchPublishingDraft(id) {
+  const pool = await getPool();
+  await pool.request()
+    .input("id", sql.BigInt, id)
+    .query(`
+      UPDATE dbo.PostDrafts SET updatedAt = SYSDATETIMEOFFSET()
+      WHERE id = @id AND status = 'publishing';
+    `);
+}
+
+// Publish a draft already moved to "publishing". Returns publishPost's result.
+async function publishClaimedDraft(draft) {
+  const org = await getOrganization(draft.organizationId);
+  if (!org) throw new Error(`Organization ${draft.organizationId} not found`);
+  if (!org.isActive) throw new Error(`Organization ${org.orgUrn} is deactivated`);
+
+  const heartbeat = setInterval(() => {
+    touchPublishingDraft(draft.id).catch((err) =>
+      console.error(`[Drafts] Failed to refresh publishing draft ${draft.id}:`, err.message)
+    );
+  }, Math.floor(DRAFT_PUBLISHING_TIMEOUT_MS / 3));
+  heartbeat.unref();
+
+  try {
+    const pool = await getPool();
+    const attachments = await getDraftMedia(pool, draft.id, { withStorage: true });
+    const published = await publishPost(org, draft.text, attachments);
+    try {
+      await markDraftPublished(draft, published.postId);
+    } catch (err) {
+      throw markOutcomeUnknown(err, published.postId);
+    }
+    return published;
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// Publish an approved (or failed) draft right away. Returns { draft, published }
+// on success, { error, status } when the draft can't be published, and throws
+// (after marking the draft failed) if publishing itself fails.
+async function publishDraftNow(id, actor) {
+  const claim = await transitionDraft(id, PUBLISHABLE_STATUSES, {
+    action: "publishing",
+    actor,
+    set: "status = 'publishing', attempts = attempts + 1, nextAttemptAt = NULL, publishedBy = @actor",
+  });
+  if (claim.error) return claim;
+
+  try {
+    const published = await publishClaimedDraft(claim.draft);
+    console.log(`[Drafts] Draft ${id} published as ${published.postId} by ${actor}`);
+    return { draft: await getDraft(id), published };
+  } catch (err) {
+    await markDraftFailed(claim.draft, err, { retry: false });
+    throw err;
+  }
+}
+
+// Publish every due draft. Returns { published, retrying, failed, interrupted }.
+async function publishDueDrafts() {
+  const summary = { published: 0, retrying: 0, failed: 0, interrupted: await failInterruptedDrafts() };
+  const drafts = await claimDueDrafts(DRAFT_PUBLISH_BATCH);
+
+  for (const draft of drafts) {
+    try {
+      const { postId } = await publishClaimedDraft(draft);
+      console.log(`[Drafts] Published draft ${draft.id} as ${postId}`);
+      summary.published++;
+    } catch (err) {
+      const { giveUp, nextAttemptAt } = await markDraftFailed(draft, err);
+      if (giveUp) {
+        console.error(`[Drafts] Draft ${draft.id} failed after ${draft.attempts} attempt(s):`, err.message);
+        summary.failed++;
+      } else {
+        console.warn(`[Drafts] Draft ${draft.id} failed, retrying at ${nextAttemptAt.toISOString()}:`, err.message);
+        summary.retrying++;
+      }
+    }
+  }
+  return summary;
+}
+
+// Run the publish worker on DRAFT_PUBLISH_SCHEDULE; only one instance runs it per tick
+function scheduleDraftPublisher() {
+  cron.schedule(DRAFT_PUBLISH_SCHEDULE, async () => {
+    const ownerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    try {
+      if (!(await acquireLock(LOCK_NAME, ownerId, LOCK_TTL_MS))) return;
+    } catch (err) {
+      console.error("[Drafts] Failed to acquire lock:", err.message);
+      return;
+    }
+
+    // Publishing a batch can outlast the lease; keep it while the run is going so
+    // the next tick doesn't start a second run
+    const heartbeat = setInterval(() => {
+      renewLock(LOCK_NAME, ownerId, LOCK_TTL_MS).then(
+        (held) => {
+          if (!held) console.error("[Drafts] Lost the publisher lock during a run");
+        },
+        (err) => console.error("[Drafts] Failed to renew the publisher lock:", err.message)
+      );
+    }, Math.floor(LOCK_TTL_MS / 3));
+    heartbeat.unref();
+
+    try {
+      const summary = await publishDueDrafts();
+      if (summary.published + summary.retrying + summary.failed + summary.interrupted > 0) {
+        console.log(
+          `[Drafts] ${summary.published} published, ${summary.retrying} retrying, ` +
+          `${summary.failed} failed, ${summary.interrupted} interrupted`
+        );
+      }
+    } catch (err) {
+      console.error("[Drafts] Publish run failed:", err.message);
+    } finally {
+      clearInterval(heartbeat);
+      await releaseLock(LOCK_NAME, ownerId).catch(() => {});
+    }
+  });
+
+  console.log(`[Drafts] Scheduled draft publisher (${DRAFT_PUBLISH_SCHEDULE})`);
+}
+
+module.exports = {
+  DRAFT_STATUSES,
+  createDraft,
+  getDraft,
+  listDrafts,
+  getDraftEvents,
+  getPostWorkflow,
+  editDraft,
+  submitDraft,
+  reviewDraft,
+  scheduleDraft,
+  unscheduleDraft,
+  cancelDraft,
+  commentOnDraft,
+  recordPostEvent,
+  publishDraftNow,
+  scheduleDraftPublisher,
+};
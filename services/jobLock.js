@@ -0,0 +1,68 @@
+// services/jobLock.js
+// Database-backed lease locks so only one instance runs a job at a time
+
+const { sql, getPool } = require("../db");
+
+// Take the lock if nobody holds it or the holder's lease has expired
+async function acquireLock(lockName, ownerId, ttlMs) {
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("lockName", sql.VarChar(100), lockName);
+  r.input("ownerId", sql.VarChar(200), ownerId);
+  r.input("ttlMs", sql.Int, ttlMs);
+
+  const result = await r.query(`
+    MERGE dbo.JobLocks WITH (HOLDLOCK) AS target
+    USING (SELECT @lockName AS lockName) AS source
+    ON target.lockName = source.lockName
+    WHEN MATCHED AND target.expiresAt < SYSDATETIMEOFFSET() THEN
+      UPDATE SET ownerId = @ownerId, jobId = NULL, acquiredAt = SYSDATETIMEOFFSET(),
+                 expiresAt = DATEADD(millisecond, @ttlMs, SYSDATETIMEOFFSET())
+    WHEN NOT MATCHED THEN
+      INSERT (lockName, ownerId, expiresAt)
+      VALUES (@lockName, @ownerId, DATEADD(millisecond, @ttlMs, SYSDATETIMEOFFSET()));
+  `);
+  return result.rowsAffected[0] === 1;
+}
+
+// Extend the lease (and optionally record the job it guards). Returns false if
+// the lock was lost to another owner.
+async function renewLock(lockName, ownerId, ttlMs, jobId = null) {
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("lockName", sql.VarChar(100), lockName);
+  r.input("ownerId", sql.VarChar(200), ownerId);
+  r.input("ttlMs", sql.Int, ttlMs);
+  r.input("jobId", sql.BigInt, jobId);
+
+  const result = await r.query(`
+    UPDATE dbo.JobLocks
+    SET expiresAt = DATEADD(millisecond, @ttlMs, SYSDATETIMEOFFSET()),
+        jobId = COALESCE(@jobId, jobId)
+    WHERE lockName = @lockName AND ownerId = @ownerId;
+  `);
+  return result.rowsAffected[0] === 1;
+}
+
+async function releaseLock(lockName, ownerId) {
+  const pool = await getPool();
+  await pool.request()
+    .input("lockName", sql.VarChar(100), lockName)
+    .input("ownerId", sql.VarChar(200), ownerId)
+    .query("DELETE FROM dbo.JobLocks WHERE lockName = @lockName AND ownerId = @ownerId");
+}
+
+// Current unexpired holder of a lock, or null
+async function getLock(lockName) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("lockName", sql.VarChar(100), lockName)
+    .query(`
+      SELECT lockName, ownerId, jobId, acquiredAt, expiresAt
+      FROM dbo.JobLocks
+      WHERE lockName = @lockName AND expiresAt >= SYSDATETIMEOFFSET()
+    `);
+  return result.recordset[0] || null;
+}
+
+module.exports = { acquireLock, renewLock, releaseLock, getLock };
@@ -0,0 +1,420 @@
+// services/leaderboardHistory.js
+// Weekly/monthly leaderboard snapshots, rank movement and engagement streaks
+
+const os = require("os");
+const crypto = require("crypto");
+const cron = require("node-cron");
+const { sql, getPool } = require("../db");
+const { acquireLock, renewLock, releaseLock } = require("./jobLock");
+const { computeLeaderboard } = require("./scoring");
+const { listOrganizations } = require("./organizations");
+const { bucketStart, addBuckets } = require("./analytics");
+const { countedShares } = require("./advocacy");
+
+// Daily; each run re-snapshots the most recent completed periods and fills in
+// older ones that are still missing
+const LEADERBOARD_SNAPSHOT_SCHEDULE = process.env.LEADERBOARD_SNAPSHOT_SCHEDULE || "30 0 * * *";
+// How many completed periods back a run checks for missing snapshots
+const LEADERBOARD_SNAPSHOT_BACKFILL = Number(process.env.LEADERBOARD_SNAPSHOT_BACKFILL || 4);
+
+const PERIOD_TYPES = ["week", "month"];
+const LOCK_NAME = "leaderboard_snapshots";
+const LOCK_TTL_MS = 15 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// -----------------------------------------------------------------------------
+// Snapshots
+// -----------------------------------------------------------------------------
+
+// Store the final standings of one period for one organization (null = all).
+// Replaces any earlier snapshot of the same period. Returns the rows stored.
+async function snapshotPeriod(periodType, periodStart, orgId = null) {
+  const periodEnd = addBuckets(periodStart, periodType, 1);
+  const { modelVersion, rows } = await computeLeaderboard({ orgId, since: periodStart, until: periodEnd });
+
+  // Users with no activity in the period aren't worth a row
+  const ranked = rows
+    .filter((row) => row.score > 0 || row.reactions + row.comments + row.shares > 0)
+    .map((row) => ({
+      userSub: row.sub,
+      rank: row.rank,
+      score: row.score,
+      reactions: row.reactions,
+      comments: row.comments,
+      shares: row.shares,
+    }));
+
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("periodType", sql.VarChar(10), periodType);
+  r.input("periodStart", sql.Date, toDateString(periodStart));
+  r.input("periodEnd", sql.Date, toDateString(periodEnd));
+  r.input("organizationId", sql.Int, orgId);
+  r.input("scoringModelVersion", sql.Int, modelVersion);
+  r.input("rows", sql.NVarChar(sql.MAX), JSON.stringify(ranked));
+
+  await r.query(`
+    SET XACT_ABORT ON;
+    BEGIN TRANSACTION;
+
+    DELETE FROM dbo.LeaderboardSnapshots
+    WHERE periodType = @periodType AND periodStart = @periodStart
+      AND organizationKey = ISNULL(@organizationId, 0);
+
+    INSERT INTO dbo.LeaderboardSnapshots
+      (periodType, periodStart, periodEnd, organizationId, userSub, rank, score,
+       reactions, comments, shares, scoringModelVersion)
+    SELECT @periodType, @periodStart, @periodEnd, @organizationId, s.userSub, s.rank, s.score,
+           s.reactions, s.comments, s.shares, @scoringModelVersion
+    FROM OPENJSON(@rows) WITH (
+      userSub   VARCHAR(100),
+      rank      INT,
+      score     DECIMAL(12, 2),
+      reactions INT,
+      comments  INT,
+      shares    INT
+    ) AS s;
+
+    COMMIT;
+  `);
+  return ranked.length;
+}
+
+async function hasSnapshot(periodType, periodStart, orgId) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("periodType", sql.VarChar(10), periodType)
+    .input("periodStart", sql.Date, toDateString(periodStart))
+    .input("organizationId", sql.Int, orgId)
+    .query(`
+      SELECT TOP 1 1 AS found FROM dbo.LeaderboardSnapshots
+      WHERE periodType = @periodType AND periodStart = @periodStart
+        AND organizationKey = ISNULL(@organizationId, 0);
+    `);
+  return result.recordset.length > 0;
+}
+
+// Snapshot the last LEADERBOARD_SNAPSHOT_BACKFILL completed weeks and months, for
+// all organizations together and each active one. Older periods already stored
+// are skipped, but the most recent completed week and month are snapshotted again
+// on every run: engagement from the period's last days may only arrive with a
+// later sync, and the snapshot shouldn't freeze before it does.
+async function snapshotCompletedPeriods(now = new Date()) {
+  const orgIds = [null, ...(await listOrganizations({ activeOnly: true })).map((org) => org.id)];
+  let periods = 0;
+
+  for (const periodType of PERIOD_TYPES) {
+    const current = bucketStart(now, periodType);
+    for (let back = LEADERBOARD_SNAPSHOT_BACKFILL; back >= 1; back--) {
+      const periodStart = addBuckets(current, periodType, -back);
+      for (const orgId of orgIds) {
+        if (back > 1 && (await hasSnapshot(periodType, periodStart, orgId))) continue;
+        const stored = await snapshotPeriod(periodType, periodStart, orgId);
+        console.log(
+          `[Leaderboard] Snapshot ${periodType} of ${toDateString(periodStart)} ` +
+          `(${orgId ? `organization ${orgId}` : "all organizations"}): ${stored} users`
+        );
+        periods++;
+      }
+    }
+  }
+  return periods;
+}
+
+// Standings of a stored period with each user's rank in the period before it.
+// movement is "up", "down", "same" or "new" (not ranked in the previous period).
+async function getSnapshotStandings({ periodType, periodStart, orgId = null, limit = 50, offset = 0 }) {
+  const previousStart = addBuckets(new Date(`${periodStart}T00:00:00Z`), periodType, -1);
+
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("periodType", sql.VarChar(10), periodType);
+  r.input("periodStart", sql.Date, periodStart);
+  r.input("previousStart", sql.Date, toDateString(previousStart));
+  r.input("organizationId", sql.Int, orgId);
+  r.input("limit", sql.Int, limit);
+  r.input("offset", sql.Int, offset);
+
+  const result = await r.query(`
+    SELECT
+      s.userSub AS sub,
+      COALESCE(NULLIF(u.name,''), CONCAT(COALESCE(u.firstName,''), ' ', COALESCE(u.lastName,''))) AS name,
+      u.picture,
+      s.rank,
+      prev.rank AS previousRank,
+      s.score,
+      s.reactions,
+      s.comments,
+      s.shares,
+      s.scoringModelVersion,
+      s.periodStart,
+      s.periodEnd
+    FROM dbo.LeaderboardSnapshots s
+    LEFT JOIN dbo.users u ON u.sub = s.userSub
+    LEFT JOIN dbo.LeaderboardSnapshots prev
+      ON prev.periodType = s.periodType
+      AND prev.periodStart = @previousStart
+      AND prev.organizationKey = s.organizationKey
+      AND prev.userSub = s.userSub
+    WHERE s.periodType = @periodType
+      AND s.periodStart = @periodStart
+      AND s.organizationKey = ISNULL(@organizationId, 0)
+    ORDER BY s.rank ASC, s.score DESC, name ASC
+    OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY;
+
+    -- Counted separately so a page past the end still reports the total
+    SELECT COUNT(*) AS total
+    FROM dbo.LeaderboardSnapshots
+    WHERE periodType = @periodType
+      AND periodStart = @periodStart
+      AND organizationKey = ISNULL(@organizationId, 0);
+  `);
+
+  const total = result.recordsets[1][0].total;
+  const items = result.recordset.map((row) => ({
+    ...row,
+    score: Number(row.score),
+    ...describeMovement(row.rank, row.previousRank),
+  }));
+  return { total, items };
+}
+
+function describeMovement(rank, previousRank) {
+  if (previousRank === null || previousRank === undefined) return { movement: "new", rankChange: null };
+  const rankChange = previousRank - rank;
+  return { movement: rankChange > 0 ? "up" : rankChange < 0 ? "down" : "same", rankChange };
+}
+
+// Stored periods, newest first
+async function listSnapshotPeriods(periodType, orgId = null, limit = 52) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("periodType", sql.VarChar(10), periodType)
+    .input("organizationId", sql.Int, orgId)
+    .input("limit", sql.Int, limit)
+    .query(`
+      SELECT TOP (@limit) periodStart, periodEnd, COUNT(*) AS rankedUsers
+      FROM dbo.LeaderboardSnapshots
+      WHERE periodType = @periodType AND organizationKey = ISNULL(@organizationId, 0)
+      GROUP BY periodStart, periodEnd
+      ORDER BY periodStart DESC;
+    `);
+  return result.recordset;
+}
+
+// One user's rank in each stored period, newest first, with movement between them
+async function getUserRankHistory(userSub, periodType, orgId = null, limit = 12) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("userSub", sql.VarChar(100), userSub)
+    .input("periodType", sql.VarChar(10), periodType)
+    .input("organizationId", sql.Int, orgId)
+    .input("limit", sql.Int, limit)
+    .query(`
+      SELECT TOP (@limit) periodStart, periodEnd, rank, score, reactions, comments, shares
+      FROM dbo.LeaderboardSnapshots
+      WHERE userSub = @userSub AND periodType = @periodType
+        AND organizationKey = ISNULL(@organizationId, 0)
+      ORDER BY periodStart DESC;
+    `);
+
+  // Movement only makes sense between adjacent periods
+  return result.recordset.map((row, i, rows) => {
+    const older = rows[i + 1];
+    const adjacent = older &&
+      toDateString(addBuckets(new Date(older.periodStart), periodType, 1)) === toDateString(new Date(row.periodStart));
+    return { ...row, score: Number(row.score), ...describeMovement(row.rank, adjacent ? older.rank : null) };
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Streaks
+// -----------------------------------------------------------------------------
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Current and best run of consecutive active weeks from a user's active week
+// starts (ms, ascending). The current streak survives until a full week passes
+// with no activity, so it isn't reset on Monday morning.
+function computeStreak(weeks, currentWeek) {
+  let best = 0;
+  let bestEnd = null;
+  let run = 0;
+  for (let i = 0; i < weeks.length; i++) {
+    run = i > 0 && weeks[i] - weeks[i - 1] === WEEK_MS ? run + 1 : 1;
+    if (run >= best) {
+      best = run;
+      bestEnd = weeks[i];
+    }
+  }
+
+  const last = weeks[weeks.length - 1] ?? null;
+  const alive = last !== null && currentWeek - last <= WEEK_MS;
+  return { currentStreak: alive ? run : 0, bestStreak: best, bestStreakEnd: bestEnd, lastActiveWeek: last };
+}
+
+// Recompute every user's streaks from their full engagement history
+async function updateStreaks(now = new Date()) {
+  const pool = await getPool();
+  // Monday-based UTC week starts, independent of the server's DATEFIRST
+  const result = await pool.request().query(`
+    WITH activity AS (
+      SELECT userSub, CAST(SWITCHOFFSET(engagedAt, '+00:00') AS DATE) AS day
+      FROM dbo.PostEngagements
+      WHERE removedAt IS NULL AND engagedAt IS NOT NULL
+      UNION ALL
+      SELECT userSub, CAST(SWITCHOFFSET(sharedAt, '+00:00') AS DATE) AS day
+      FROM dbo.AdvocacyShares ash
+      WHERE ${countedShares("ash")}
+    )
+    SELECT DISTINCT u.sub AS userSub,
+      DATEADD(day, -((DATEPART(weekday, a.day) + @@DATEFIRST - 2) % 7), a.day) AS weekStart
+    FROM activity a
+    JOIN dbo.users u ON u.sub COLLATE SQL_Latin1_General_CP1_CI_AS = a.userSub
+    ORDER BY userSub, weekStart;
+  `);
+
+  const weeksByUser = new Map();
+  for (const row of result.recordset) {
+    if (!weeksByUser.has(row.userSub)) weeksByUser.set(row.userSub, []);
+    weeksByUser.get(row.userSub).push(new Date(row.weekStart).getTime());
+  }
+
+  const currentWeek = bucketStart(now, "week").getTime();
+  const streaks = [...weeksByUser].map(([userSub, weeks]) => {
+    const streak = computeStreak(weeks, currentWeek);
+    return {
+      userSub,
+      currentStreak: streak.currentStreak,
+      bestStreak: streak.bestStreak,
+      bestStreakEnd: streak.bestStreakEnd && toDateString(new Date(streak.bestStreakEnd)),
+      lastActiveWeek: streak.lastActiveWeek && toDateString(new Date(streak.lastActiveWeek)),
+    };
+  });
+
+  await pool.request()
+    .input("streaks", sql.NVarChar(sql.MAX), JSON.stringify(streaks))
+    .query(`
+      MERGE dbo.UserStreaks AS target
+      USING (
+        SELECT * FROM OPENJSON(@streaks) WITH (
+          userSub        VARCHAR(100),
+          currentStreak  INT,
+          bestStreak     INT,
+          bestStreakEnd  DATE,
+          lastActiveWeek DATE
+        )
+      ) AS source
+      ON target.userSub = source.userSub
+      WHEN MATCHED THEN
+        UPDATE SET currentStreak=source.currentStreak, bestStreak=source.bestStreak,
+                   bestStreakEnd=source.bestStreakEnd, lastActiveWeek=source.lastActiveWeek,
+                   updatedAt=SYSDATETIMEOFFSET()
+      WHEN NOT MATCHED BY TARGET THEN
+        INSERT (userSub, currentStreak, bestStreak, bestStreakEnd, lastActiveWeek)
+        VALUES (source.userSub, source.currentStreak, source.bestStreak, source.bestStreakEnd,
+                source.lastActiveWeek)
+      WHEN NOT MATCHED BY SOURCE THEN
+        DELETE;
+    `);
+
+  return streaks.length;
+}
+
+// Users with the longest current streaks
+async function getTopStreaks(limit = 10) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("limit", sql.Int, limit)
+    .query(`
+      SELECT TOP (@limit)
+        s.userSub AS sub,
+        COALESCE(NULLIF(u.name,''), CONCAT(COALESCE(u.firstName,''), ' ', COALESCE(u.lastName,''))) AS name,
+        u.picture,
+        s.currentStreak,
+        s.bestStreak,
+        s.lastActiveWeek
+      FROM dbo.UserStreaks s
+      JOIN dbo.users u ON u.sub = s.userSub
+      WHERE s.currentStreak > 0
+      ORDER BY s.currentStreak DESC, s.bestStreak DESC, name ASC;
+    `);
+  return result.recordset;
+}
+
+async function getUserStreak(userSub) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("userSub", sql.VarChar(100), userSub)
+    .query(`
+      SELECT currentStreak, bestStreak, bestStreakEnd, lastActiveWeek, updatedAt
+      FROM dbo.UserStreaks
+      WHERE userSub = @userSub;
+    `);
+  return result.recordset[0] || null;
+}
+
+// -----------------------------------------------------------------------------
+// Scheduled job
+// -----------------------------------------------------------------------------
+
+// Snapshot recent and missing periods and refresh streaks. Returns { periods, users }.
+async function runLeaderboardHistoryJob() {
+  const periods = await snapshotCompletedPeriods();
+  const users = await updateStreaks();
+  return { periods, users };
+}
+
+// Run the job under LOCK_NAME, so the schedule and an admin's manual run never
+// overlap. Returns null (without running) if another run holds the lock.
+async function runLockedLeaderboardHistoryJob() {
+  const ownerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+  if (!(await acquireLock(LOCK_NAME, ownerId, LOCK_TTL_MS))) return null;
+
+  // Snapshotting every period and organization can outlast the lease
+  const heartbeat = setInterval(() => {
+    renewLock(LOCK_NAME, ownerId, LOCK_TTL_MS).then(
+      (held) => {
+        if (!held) console.error("[Leaderboard] Lost the history job lock during a run");
+      },
+      (err) => console.error("[Leaderboard] Failed to renew the history job lock:", err.message)
+    );
+  }, Math.floor(LOCK_TTL_MS / 3));
+  heartbeat.unref();
+
+  try {
+    return await runLeaderboardHistoryJob();
+  } finally {
+    clearInterval(heartbeat);
+    await releaseLock(LOCK_NAME, ownerId).catch(() => {});
+  }
+}
+
+// Run on LEADERBOARD_SNAPSHOT_SCHEDULE; only one instance runs it per tick
+function scheduleLeaderboardHistory() {
+  cron.schedule(LEADERBOARD_SNAPSHOT_SCHEDULE, async () => {
+    try {
+      const result = await runLockedLeaderboardHistoryJob();
+      if (!result) return;
+      console.log(
+        `[Leaderboard] History job done: ${result.periods} period snapshot(s), ${result.users} streak(s) updated`
+      );
+    } catch (err) {
+      console.error("[Leaderboard] History job failed:", err.message);
+    }
+  });
+
+  console.log(`[Leaderboard] Scheduled leaderboard snapshots (${LEADERBOARD_SNAPSHOT_SCHEDULE})`);
+}
+
+module.exports = {
+  PERIOD_TYPES,
+  getSnapshotStandings,
+  listSnapshotPeriods,
+  getUserRankHistory,
+  getTopStreaks,
+  getUserStreak,
+  runLockedLeaderboardHistoryJob,
+  scheduleLeaderboardHistory,
+};
@@ -0,0 +1,173 @@
+// services/linkedinClient.js
+// Shared LinkedIn REST client: versioned headers, retries with backoff, throttling
+
+const axios = require("axios");
+
+const LINKEDIN_API_BASE = "https://api.linkedin.com";
+const LINKEDIN_API_VERSION = process.env.LINKEDIN_API_VERSION || "202501";
+const LINKEDIN_MAX_RETRIES = Number(process.env.LINKEDIN_MAX_RETRIES || 4);
+const LINKEDIN_RETRY_BASE_MS = Number(process.env.LINKEDIN_RETRY_BASE_MS || 500);
+const LINKEDIN_RETRY_MAX_MS = Number(process.env.LINKEDIN_RETRY_MAX_MS || 30000);
+const LINKEDIN_MAX_CONCURRENCY = Number(process.env.LINKEDIN_MAX_CONCURRENCY || 4);
+const LINKEDIN_TIMEOUT_MS = Number(process.env.LINKEDIN_TIMEOUT_MS || 30000);
+
+const RETRYABLE_CODES = new Set(["ECONNRESET", "ECONNABORTED", "ETIMEDOUT", "EAI_AGAIN", "ECONNREFUSED"]);
+
+// Error raised once a LinkedIn call has failed for good
+class LinkedInApiError extends Error {
+  constructor(message, { status, attempts, data } = {}) {
+    super(message);
+    this.name = "LinkedInApiError";
+    this.status = status || null;
+    this.attempts = attempts;
+    this.data = data;
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Concurrency throttle: at most LINKEDIN_MAX_CONCURRENCY requests in flight
+// -----------------------------------------------------------------------------
+let active = 0;
+const waiting = [];
+
+function acquireSlot() {
+  if (active < LINKEDIN_MAX_CONCURRENCY) {
+    active++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+  } else {
+    active--;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A 429 means LinkedIn refused the call, so it is always safe to repeat. A 5xx or
+// a dropped connection may come after LinkedIn already acted on it, so those are
+// only retried for idempotent calls: repeating a create would create it twice.
+function isRetryable(err, idempotent) {
+  const status = err.response?.status;
+  if (status === 429) return true;
+  if (!idempotent) return false;
+  if (status) return status >= 500;
+  return RETRYABLE_CODES.has(err.code);
+}
+
+// Retry-After may be delta-seconds or an HTTP date
+function getRetryAfterMs(err) {
+  const header = err.response?.headers?.["retry-after"];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Full-jitter exponential backoff
+function getBackoffMs(attempt) {
+  const ceiling = Math.min(LINKEDIN_RETRY_MAX_MS, LINKEDIN_RETRY_BASE_MS * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+function buildHeaders(token, extra = {}) {
+  return {
+    Authorization: `Bearer ${token}`,
+    "X-Restli-Protocol-Version": "2.0.0",
+    "LinkedIn-Version": LINKEDIN_API_VERSION,
+    ...extra,
+  };
+}
+
+// Send a request to the LinkedIn REST API. `path` is relative to api.linkedin.com
+// or an absolute URL. Returns the full axios response; throws LinkedInApiError
+// once retries are exhausted or the failure is not transient. Only GETs are
+// retried after a server error or timeout unless the caller passes
+// `idempotent: true`; other methods are only retried when throttled (429).
+async function request(token, { method = "GET", path, params, data, headers, idempotent } = {}) {
+  const safeToRepeat = idempotent ?? method.toUpperCase() === "GET";
+  const url = path.startsWith("http") ? path : `${LINKEDIN_API_BASE}${path}`;
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+
+    await acquireSlot();
+    try {
+      return await axios.request({
+        method,
+        url,
+        params,
+        data,
+        timeout: LINKEDIN_TIMEOUT_MS,
+        maxBodyLength: Infinity,
+        headers: buildHeaders(token, headers),
+      });
+    } catch (err) {
+      error = err;
+    } finally {
+      releaseSlot();
+    }
+
+    const status = error.response?.status;
+    if (attempt < LINKEDIN_MAX_RETRIES && isRetryable(error, safeToRepeat)) {
+      const retryAfter = status === 429 ? getRetryAfterMs(error) : null;
+      const delay = retryAfter !== null ? Math.min(retryAfter, LINKEDIN_RETRY_MAX_MS) : getBackoffMs(attempt);
+      console.warn(
+        `[LinkedIn] ${method} ${path} failed (${status || error.code}), ` +
+        `retry ${attempt + 1}/${LINKEDIN_MAX_RETRIES} in ${delay}ms`
+      );
+      await sleep(delay);
+      continue;
+    }
+
+    const detail = error.response?.data?.message || error.message;
+    throw new LinkedInApiError(
+      `LinkedIn ${method} ${path} failed${status ? ` (${status})` : ""}: ${detail}`,
+      { status, attempts: attempt + 1, data: error.response?.data }
+    );
+  }
+}
+
+function get(token, path, params) {
+  return request(token, { method: "GET", path, params });
+}
+
+// Not retried after a server error or timeout unless `idempotent` is set
+function post(token, path, data, headers, { idempotent = false } = {}) {
+  return request(token, {
+    method: "POST",
+    path,
+    data,
+    headers: { "Content-Type": "application/json", ...headers },
+    idempotent,
+  });
+}
+
+// Upload a file to an uploadUrl returned by an initializeUpload action. Uploading
+// the same bytes again replaces them, so this is safe to retry.
+function upload(token, uploadUrl, buffer) {
+  return request(token, {
+    method: "PUT",
+    path: uploadUrl,
+    data: buffer,
+    headers: { "Content-Type": "application/octet-stream" },
+    idempotent: true,
+  });
+}
+
+module.exports = {
+  LinkedInApiError,
+  request,
+  get,
+  post,
+  upload,
+  LINKEDIN_API_VERSION,
+};
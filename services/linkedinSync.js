@@ -1,109 +1,51 @@
 // services/linkedinSync.js
 // LinkedIn sync service for fetching posts and engagements
 
-const axios = require("axios");
+const crypto = require("crypto");
 const { sql, getPool } = require("../db");
+const linkedin = require("./linkedinClient");
+const { getAdminToken, hasAdminTokenConfigured } = require("./adminTokens");
+const { getOrganization } = require("./organizations");
+const { getReshareCutoff, applyReshares, expirePendingShares } = require("./advocacy");
 
-const POST_CLIENT_ID = process.env.POST_CLIENT_ID;
-const POST_CLIENT_SECRET = process.env.POST_CLIENT_SECRET;
-const LINKEDIN_ORG_URN = process.env.LINKEDIN_ORG_URN || "urn:li:organization:30474";
-const LINKEDIN_API_VERSION = process.env.LINKEDIN_API_VERSION || "202501";
 const MOCK_MODE = process.env.LINKEDIN_MOCK_MODE === "true";
-
-// Get admin token from database (stored via OAuth authorization flow)
-async function getAdminToken() {
-  const pool = await getPool();
-  const result = await pool.request()
-    .input("tokenType", sql.VarChar, "linkedin_admin")
-    .query(`
-      SELECT accessToken, expiresAt, refreshToken
-      FROM dbo.AdminTokens
-      WHERE tokenType = @tokenType
-    `);
-
-  if (result.recordset.length === 0) {
-    throw new Error("No admin token found. Please authorize at /admin/linkedin/authorize");
-  }
-
-  const token = result.recordset[0];
-  const now = new Date();
-  const expiresAt = new Date(token.expiresAt);
-
-  if (expiresAt < now) {
-    // Token expired - try to refresh
-    if (token.refreshToken) {
-      return await refreshAdminToken(token.refreshToken);
-    }
-    throw new Error("Admin token expired. Please re-authorize at /admin/linkedin/authorize");
-  }
-
-  return token.accessToken;
-}
-
-// Refresh the admin token
-async function refreshAdminToken(refreshToken) {
-  console.log("[Sync] Refreshing admin token...");
-
-  const form = new URLSearchParams({
-    grant_type: "refresh_token",
-    refresh_token: refreshToken,
-    client_id: POST_CLIENT_ID,
-    client_secret: POST_CLIENT_SECRET,
-  });
-
-  const { data } = await axios.post(
-    "https://www.linkedin.com/oauth/v2/accessToken",
-    form,
-    { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-  );
-
-  // Update token in database
-  const pool = await getPool();
-  const r = pool.request();
-  r.input("tokenType", sql.VarChar, "linkedin_admin");
-  r.input("accessToken", sql.VarChar, data.access_token);
-  r.input("refreshToken", sql.VarChar, data.refresh_token || refreshToken);
-  r.input("expiresAt", sql.DateTimeOffset, new Date(Date.now() + (data.expires_in * 1000)));
-
-  await r.query(`
-    UPDATE dbo.AdminTokens
-    SET accessToken = @accessToken,
-        refreshToken = @refreshToken,
-        expiresAt = @expiresAt,
-        updatedAt = SYSDATETIMEOFFSET()
-    WHERE tokenType = @tokenType
-  `);
-
-  console.log("[Sync] Admin token refreshed successfully");
-  return data.access_token;
-}
-
-function hasAdminTokenConfigured() {
-  return !!(POST_CLIENT_ID && POST_CLIENT_SECRET);
-}
+const LINKEDIN_PAGE_SIZE = Number(process.env.LINKEDIN_PAGE_SIZE || 50);
+const SYNC_MAX_PAGES = Number(process.env.SYNC_MAX_PAGES || 200);
+// How far back to sync posts; 0 syncs the full history
+const SYNC_HISTORY_DAYS = Number(process.env.SYNC_HISTORY_DAYS || 180);
+// Incremental mode re-polls posts published in the last SYNC_HOT_DAYS, plus up to
+// SYNC_RECONCILE_BATCH older posts not fully reconciled in SYNC_RECONCILE_DAYS
+const SYNC_HOT_DAYS = Number(process.env.SYNC_HOT_DAYS || 14);
+const SYNC_RECONCILE_DAYS = Number(process.env.SYNC_RECONCILE_DAYS || 7);
+const SYNC_RECONCILE_BATCH = Number(process.env.SYNC_RECONCILE_BATCH || 25);
+const SYNC_MODES = ["incremental", "full"];
+// Posts per organizationalEntityShareStatistics request (keeps the URL short)
+const SHARE_STATS_BATCH = 20;
+// Reshares per posts BATCH_GET when looking up who reshared
+const RESHARE_AUTHOR_BATCH = 20;
 
 // Generate mock data for testing without API access
-function generateMockData(pool) {
+function generateMockData(org) {
   return {
     posts: [
       {
-        id: "urn:li:share:mock001",
+        id: `urn:li:share:mock001-${org.id}`,
         commentary: "Excited to announce our latest product launch!",
-        author: LINKEDIN_ORG_URN,
+        author: org.orgUrn,
         visibility: "PUBLIC",
         publishedAt: Date.now() - 86400000 * 2,
       },
       {
-        id: "urn:li:share:mock002",
+        id: `urn:li:share:mock002-${org.id}`,
         commentary: "We're hiring! Join our amazing team.",
-        author: LINKEDIN_ORG_URN,
+        author: org.orgUrn,
         visibility: "PUBLIC",
         publishedAt: Date.now() - 86400000 * 5,
       },
       {
-        id: "urn:li:share:mock003",
+        id: `urn:li:share:mock003-${org.id}`,
         commentary: "Great quarter results - thank you team!",
-        author: LINKEDIN_ORG_URN,
+        author: org.orgUrn,
         visibility: "PUBLIC",
         publishedAt: Date.now() - 86400000 * 10,
       },
@@ -134,62 +76,184 @@ function generateMockData(pool) {
       }
       return engagements;
     },
+    // Employees who reshared a post: about a quarter of them, the same ones every
+    // run so reshare URNs stay stable
+    getReshares(post, users) {
+      const reshares = [];
+      for (const user of users) {
+        const hash = crypto.createHash("sha256").update(`${post.id}|${user.sub}`).digest("hex");
+        if (parseInt(hash.slice(0, 2), 16) >= 64) continue;
+        reshares.push({
+          postId: post.id,
+          shareUrn: `urn:li:share:mock-reshare-${hash.slice(0, 16)}`,
+          actor: user.sub,
+          createdAt: post.publishedAt + 3600000,
+        });
+      }
+      return reshares;
+    },
+    // Lifetime share statistics that grow a little every day since publication
+    getShareStatistics(post) {
+      const days = Math.max(1, Math.round((Date.now() - post.publishedAt) / 86400000));
+      const impressionCount = days * (400 + Math.floor(Math.random() * 200));
+      const reactionCount = Math.floor(impressionCount * 0.03);
+      const commentCount = Math.floor(impressionCount * 0.004);
+      const shareCount = Math.floor(impressionCount * 0.002);
+      const clickCount = Math.floor(impressionCount * 0.02);
+      return {
+        impressionCount,
+        uniqueImpressionsCount: Math.floor(impressionCount * 0.7),
+        clickCount,
+        reactionCount,
+        commentCount,
+        shareCount,
+        engagementRate: (clickCount + reactionCount + commentCount + shareCount) / impressionCount,
+      };
+    },
   };
 }
 
-// Fetch company posts from LinkedIn API
-async function fetchPosts(token, count = 50) {
-  const { data } = await axios.get("https://api.linkedin.com/rest/posts", {
-    params: { q: "author", author: LINKEDIN_ORG_URN, count },
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "X-Restli-Protocol-Version": "2.0.0",
-      "LinkedIn-Version": LINKEDIN_API_VERSION,
-    },
-  });
-  return Array.isArray(data?.elements) ? data.elements : [];
+// Walk every page of a LinkedIn collection, following paging.start/paging.total
+// until the collection is exhausted or stopPaging(page) says we've seen enough.
+// `complete` is false when paging stopped before the end of the collection.
+async function fetchAllPages(token, url, params = {}, stopPaging = null) {
+  const elements = [];
+  let start = 0;
+  let pages = 0;
+
+  while (pages < SYNC_MAX_PAGES) {
+    const { data } = await linkedin.get(token, url, { ...params, start, count: LINKEDIN_PAGE_SIZE });
+    pages++;
+
+    const page = Array.isArray(data?.elements) ? data.elements : [];
+    elements.push(...page);
+    start += page.length;
+
+    const total = data?.paging?.total;
+    if (page.length < LINKEDIN_PAGE_SIZE) return { elements, pages, complete: true };
+    if (typeof total === "number" && start >= total) return { elements, pages, complete: true };
+    if (stopPaging && stopPaging(page)) return { elements, pages, complete: false };
+  }
+
+  console.warn(`[Sync] Stopped paging ${url} after ${pages} pages (SYNC_MAX_PAGES)`);
+  return { elements, pages, complete: false };
 }
 
-// Fetch reactions for a post
-async function fetchReactions(token, postUrn) {
-  try {
-    const encodedUrn = encodeURIComponent(postUrn);
-    const { data } = await axios.get(
-      `https://api.linkedin.com/rest/reactions/(entity:${encodedUrn})`,
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "X-Restli-Protocol-Version": "2.0.0",
-          "LinkedIn-Version": LINKEDIN_API_VERSION,
-        },
-      }
-    );
-    return Array.isArray(data?.elements) ? data.elements : [];
-  } catch (err) {
-    console.error(`Failed to fetch reactions for ${postUrn}:`, err.message);
-    return [];
+// Oldest publish time within a window of N days, or null when the window is unlimited
+function getCutoff(days) {
+  return days > 0 ? Date.now() - days * 86400000 : null;
+}
+
+function getPostTime(post) {
+  return Number(post.publishedAt || post.createdAt || 0);
+}
+
+// Fetch an organization's posts from LinkedIn API, newest first, back to the cutoff
+async function fetchPosts(token, orgUrn, cutoff) {
+  const { elements, pages } = await fetchAllPages(
+    token,
+    "/rest/posts",
+    { q: "author", author: orgUrn, sortBy: "CREATED" },
+    (page) => cutoff !== null && page.some((post) => getPostTime(post) < cutoff)
+  );
+
+  const posts = cutoff === null
+    ? elements
+    : elements.filter((post) => getPostTime(post) >= cutoff);
+
+  return { posts, pages };
+}
+
+// Fetch reactions for a post, newest first. With a watermark, paging stops at the
+// first page reaching reactions we have already stored.
+function fetchReactions(token, postUrn, watermark = null) {
+  const encodedUrn = encodeURIComponent(postUrn);
+  return fetchAllPages(
+    token,
+    `/rest/reactions/(entity:${encodedUrn})`,
+    { q: "entity", sortBy: "REVERSE_CHRONOLOGICAL" },
+    watermark
+      ? (page) => page.some((reaction) => Number(reaction.created?.time || 0) <= watermark)
+      : null
+  );
+}
+
+// Fetch all comments for a post
+function fetchComments(token, postUrn) {
+  const encodedUrn = encodeURIComponent(postUrn);
+  return fetchAllPages(token, `/rest/socialActions/${encodedUrn}/comments`);
+}
+
+// Fetch lifetime share statistics for an organization's posts, keyed by post URN.
+// Share and ugcPost URNs go in separate List() parameters; both are encoded by
+// hand because Rest.li 2.0 needs the List(...) syntax itself left intact.
+async function fetchShareStatistics(token, orgUrn, postIds) {
+  const stats = new Map();
+
+  for (let i = 0; i < postIds.length; i += SHARE_STATS_BATCH) {
+    const batch = postIds.slice(i, i + SHARE_STATS_BATCH);
+    const shares = batch.filter((id) => id.startsWith("urn:li:share:"));
+    const ugcPosts = batch.filter((id) => id.startsWith("urn:li:ugcPost:"));
+
+    const query = [`q=organizationalEntity`, `organizationalEntity=${encodeURIComponent(orgUrn)}`];
+    if (shares.length > 0) query.push(`shares=List(${shares.map(encodeURIComponent).join(",")})`);
+    if (ugcPosts.length > 0) query.push(`ugcPosts=List(${ugcPosts.map(encodeURIComponent).join(",")})`);
+    if (query.length === 2) continue;
+
+    const { data } = await linkedin.get(token, `/rest/organizationalEntityShareStatistics?${query.join("&")}`);
+    for (const element of data?.elements || []) {
+      const postId = element.share || element.ugcPost;
+      const total = element.totalShareStatistics || {};
+      if (!postId) continue;
+      stats.set(postId, {
+        impressionCount: total.impressionCount || 0,
+        uniqueImpressionsCount: total.uniqueImpressionsCount || 0,
+        clickCount: total.clickCount || 0,
+        reactionCount: total.likeCount || 0,
+        commentCount: total.commentCount || 0,
+        shareCount: total.shareCount || 0,
+        engagementRate: typeof total.engagement === "number" ? total.engagement : null,
+      });
+    }
   }
+
+  return stats;
 }
 
-// Fetch comments for a post
-async function fetchComments(token, postUrn) {
-  try {
-    const encodedUrn = encodeURIComponent(postUrn);
-    const { data } = await axios.get(
-      `https://api.linkedin.com/rest/socialActions/${encodedUrn}/comments`,
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "X-Restli-Protocol-Version": "2.0.0",
-          "LinkedIn-Version": LINKEDIN_API_VERSION,
-        },
-      }
-    );
-    return Array.isArray(data?.elements) ? data.elements : [];
-  } catch (err) {
-    console.error(`Failed to fetch comments for ${postUrn}:`, err.message);
-    return [];
+// Fetch reshares of an organization's posts since a time, from its SHARE
+// notifications, with the member who reshared looked up from each reshare post.
+// `complete` is false when paging stopped early.
+async function fetchReshares(token, orgUrn, since) {
+  const query = [
+    "q=criteria",
+    "actions=List(SHARE)",
+    `organizationalEntity=${encodeURIComponent(orgUrn)}`,
+    `timeRange=(start:${since},end:${Date.now()})`,
+  ];
+  const { elements, complete } = await fetchAllPages(
+    token,
+    `/rest/organizationalEntityNotifications?${query.join("&")}`
+  );
+
+  const notifications = elements.filter((n) => n.action === "SHARE" && n.sourcePost && n.generatedActivity);
+  const authors = new Map();
+  for (let i = 0; i < notifications.length; i += RESHARE_AUTHOR_BATCH) {
+    const ids = notifications.slice(i, i + RESHARE_AUTHOR_BATCH).map((n) => encodeURIComponent(n.generatedActivity));
+    const { data } = await linkedin.get(token, `/rest/posts?ids=List(${ids.join(",")})`);
+    for (const [urn, post] of Object.entries(data?.results || {})) {
+      if (post?.author) authors.set(urn, post.author);
+    }
   }
+
+  const reshares = notifications
+    .filter((n) => authors.has(n.generatedActivity))
+    .map((n) => ({
+      postId: n.sourcePost,
+      shareUrn: n.generatedActivity,
+      actor: authors.get(n.generatedActivity),
+      createdAt: n.lastModifiedAt,
+    }));
+  return { reshares, complete };
 }
 
 // Get all employee URNs from the users table
@@ -198,10 +262,11 @@ async function getEmployeeUrns(pool) {
   return new Set(result.recordset.map((r) => r.sub));
 }
 
-// Upsert a post to the database
-async function upsertPost(pool, post) {
+// Upsert an organization's post to the database
+async function upsertPost(pool, orgId, post) {
   const r = pool.request();
   r.input("postId", sql.VarChar(255), post.id);
+  r.input("organizationId", sql.Int, orgId);
   r.input("text", sql.NVarChar, post.commentary || post.text || null);
   r.input("author", sql.VarChar, post.author || null);
   r.input("visibility", sql.VarChar, post.visibility || null);
@@ -216,188 +281,576 @@ async function upsertPost(pool, post) {
     USING (SELECT @postId AS postId) AS source
     ON target.postId = source.postId
     WHEN MATCHED THEN
-      UPDATE SET text=@text, author=@author, visibility=@visibility,
-                 publishedAt=@publishedAt, syncedAt=SYSDATETIMEOFFSET()
+      UPDATE SET text=@text, author=@author, visibility=@visibility, publishedAt=@publishedAt,
+                 organizationId=@organizationId, syncedAt=SYSDATETIMEOFFSET()
     WHEN NOT MATCHED THEN
-      INSERT (postId, text, author, visibility, publishedAt)
-      VALUES (@postId, @text, @author, @visibility, @publishedAt);
+      INSERT (postId, text, author, visibility, publishedAt, organizationId)
+      VALUES (@postId, @text, @author, @visibility, @publishedAt, @organizationId);
   `);
 }
 
-// Upsert an engagement to the database
-async function upsertEngagement(pool, postId, userSub, type, reactionType, commentText, engagedAt) {
+// Upsert a post's engagements in a single MERGE. Engagements are
+// { actor, type, reactionType, text, createdAt }. A member has at most one
+// reaction and one comment row per post, so a changed reaction type replaces
+// the previous one; the last engagement per key wins.
+async function upsertEngagements(pool, postId, engagements) {
+  if (engagements.length === 0) return;
+
+  const byKey = new Map();
+  for (const eng of engagements) {
+    byKey.set(`${eng.actor}|${eng.type}`, {
+      userSub: eng.actor,
+      engagementType: eng.type,
+      reactionType: eng.reactionType || null,
+      commentText: eng.text || null,
+      engagedAt: eng.createdAt ? new Date(Number(eng.createdAt)).toISOString() : null,
+    });
+  }
+
   const r = pool.request();
   r.input("postId", sql.VarChar(255), postId);
-  r.input("userSub", sql.VarChar(100), userSub);
-  r.input("engagementType", sql.VarChar(20), type);
-  r.input("reactionType", sql.VarChar(20), reactionType || null);
-  r.input("commentText", sql.NVarChar(sql.MAX), commentText || null);
-  r.input("engagedAt", sql.DateTimeOffset, engagedAt ? new Date(engagedAt) : null);
+  r.input("engagements", sql.NVarChar(sql.MAX), JSON.stringify([...byKey.values()]));
 
   await r.query(`
     MERGE dbo.PostEngagements AS target
     USING (
-      SELECT @postId AS postId, @userSub AS userSub,
-             @engagementType AS engagementType, ISNULL(@reactionType, '') AS reactionTypeKey
+      SELECT @postId AS postId, e.userSub, e.engagementType, e.reactionType, e.commentText, e.engagedAt
+      FROM OPENJSON(@engagements) WITH (
+        userSub        VARCHAR(100),
+        engagementType VARCHAR(20),
+        reactionType   VARCHAR(20),
+        commentText    NVARCHAR(MAX),
+        engagedAt      DATETIMEOFFSET
+      ) AS e
     ) AS source
     ON target.postId = source.postId
        AND target.userSub = source.userSub
        AND target.engagementType = source.engagementType
-       AND ISNULL(target.reactionType, '') = source.reactionTypeKey
     WHEN MATCHED THEN
-      UPDATE SET commentText=@commentText, engagedAt=@engagedAt, syncedAt=SYSDATETIMEOFFSET()
+      UPDATE SET reactionType=source.reactionType, commentText=source.commentText,
+                 engagedAt=source.engagedAt, removedAt=NULL, syncedAt=SYSDATETIMEOFFSET()
     WHEN NOT MATCHED THEN
       INSERT (postId, userSub, engagementType, reactionType, commentText, engagedAt)
-      VALUES (@postId, @userSub, @engagementType, @reactionType, @commentText, @engagedAt);
+      VALUES (source.postId, source.userSub, source.engagementType, source.reactionType,
+              source.commentText, source.engagedAt);
+  `);
+}
+
+// Soft-delete a post's stored engagements that LinkedIn no longer returns.
+// Does nothing unless both the reactions and the comments were read completely:
+// a failed or partial fetch must never look like everyone un-engaging.
+async function reconcileEngagements(pool, postId, reactions, comments) {
+  if (!reactions?.complete || !comments?.complete) return 0;
+
+  const seen = [...reactions.elements, ...comments.elements]
+    .map((eng) => ({ userSub: eng.actor, engagementType: eng.type }));
+
+  const r = pool.request();
+  r.input("postId", sql.VarChar(255), postId);
+  r.input("seen", sql.NVarChar(sql.MAX), JSON.stringify(seen));
+
+  const result = await r.query(`
+    UPDATE pe
+    SET removedAt = SYSDATETIMEOFFSET(), syncedAt = SYSDATETIMEOFFSET()
+    FROM dbo.PostEngagements pe
+    WHERE pe.postId = @postId
+      AND pe.removedAt IS NULL
+      AND NOT EXISTS (
+        SELECT 1
+        FROM OPENJSON(@seen) WITH (userSub VARCHAR(100), engagementType VARCHAR(20)) AS s
+        WHERE s.userSub = pe.userSub AND s.engagementType = pe.engagementType
+      );
+  `);
+  return result.rowsAffected[0] || 0;
+}
+
+// An organization's stored posts whose engagements are due for a full reconciliation
+async function getPostsToReconcile(pool, orgId, excludeIds) {
+  const r = pool.request();
+  r.input("organizationId", sql.Int, orgId);
+  const historyCutoff = getCutoff(SYNC_HISTORY_DAYS);
+  r.input("historyCutoff", sql.DateTimeOffset, historyCutoff ? new Date(historyCutoff) : null);
+  r.input("reconcileCutoff", sql.DateTimeOffset, new Date(getCutoff(SYNC_RECONCILE_DAYS) || Date.now()));
+  r.input("batch", sql.Int, SYNC_RECONCILE_BATCH);
+  r.input("excludeIds", sql.NVarChar(sql.MAX), JSON.stringify(excludeIds));
+
+  const result = await r.query(`
+    SELECT TOP (@batch) postId AS id, lastEngagementAt
+    FROM dbo.LinkedInPosts
+    WHERE organizationId = @organizationId
+      AND deletedAt IS NULL
+      AND (@historyCutoff IS NULL OR publishedAt >= @historyCutoff)
+      AND (reconciledAt IS NULL OR reconciledAt < @reconcileCutoff)
+      AND postId NOT IN (SELECT value FROM OPENJSON(@excludeIds))
+    ORDER BY reconciledAt ASC;
+  `);
+  return result.recordset;
+}
+
+// Watermarks stored for the given posts, keyed by postId
+async function getPostWatermarks(pool, postIds) {
+  if (postIds.length === 0) return new Map();
+
+  const r = pool.request();
+  r.input("postIds", sql.NVarChar(sql.MAX), JSON.stringify(postIds));
+  const result = await r.query(`
+    SELECT postId, lastEngagementAt
+    FROM dbo.LinkedInPosts
+    WHERE postId IN (SELECT value FROM OPENJSON(@postIds));
+  `);
+  return new Map(result.recordset.map((row) => [row.postId, row.lastEngagementAt]));
+}
+
+// Advance a post's sync watermarks after its engagements were fetched
+async function updatePostWatermark(pool, postId, newestEngagementAt, reconciled) {
+  const r = pool.request();
+  r.input("postId", sql.VarChar(255), postId);
+  r.input("newestEngagementAt", sql.DateTimeOffset, newestEngagementAt ? new Date(newestEngagementAt) : null);
+  r.input("reconciled", sql.Bit, reconciled ? 1 : 0);
+  await r.query(`
+    UPDATE dbo.LinkedInPosts
+    SET engagementsSyncedAt = SYSDATETIMEOFFSET(),
+        lastEngagementAt = CASE
+          WHEN @newestEngagementAt IS NOT NULL
+           AND (lastEngagementAt IS NULL OR lastEngagementAt < @newestEngagementAt)
+          THEN @newestEngagementAt ELSE lastEngagementAt END,
+        reconciledAt = CASE WHEN @reconciled = 1 THEN SYSDATETIMEOFFSET() ELSE reconciledAt END
+    WHERE postId = @postId;
   `);
 }
 
-// Create a sync log entry
-async function createSyncLog(pool, status) {
+// Create a sync log entry; its id doubles as the sync job id
+async function createSyncLog(pool, orgId, status, mode, triggeredBy = null) {
   const r = pool.request();
+  r.input("organizationId", sql.Int, orgId);
   r.input("status", sql.VarChar, status);
+  r.input("mode", sql.VarChar(20), mode);
+  r.input("triggeredBy", sql.VarChar(100), triggeredBy);
   const result = await r.query(`
-    INSERT INTO dbo.SyncLog (status)
+    INSERT INTO dbo.SyncLog (organizationId, status, mode, phase, triggeredBy, updatedAt)
     OUTPUT INSERTED.id
-    VALUES (@status);
+    VALUES (@organizationId, @status, @mode, 'starting', @triggeredBy, SYSDATETIMEOFFSET());
   `);
   return result.recordset[0].id;
 }
 
+// Record the current phase and running counts so the job can be polled
+async function updateSyncProgress(pool, logId, phase, counts, postsTotal = null) {
+  const r = pool.request();
+  r.input("id", sql.BigInt, logId);
+  r.input("phase", sql.VarChar(30), phase);
+  r.input("postsTotal", sql.Int, postsTotal);
+  r.input("postsProcessed", sql.Int, counts.postsProcessed);
+  r.input("postsFailed", sql.Int, counts.postsFailed);
+  r.input("engagementsFound", sql.Int, counts.engagementsFound);
+  await r.query(`
+    UPDATE dbo.SyncLog
+    SET phase=@phase, postsTotal=COALESCE(@postsTotal, postsTotal),
+        postsProcessed=@postsProcessed, postsFailed=@postsFailed,
+        engagementsFound=@engagementsFound, updatedAt=SYSDATETIMEOFFSET()
+    WHERE id=@id;
+  `);
+}
+
+// Mark an organization's RUNNING logs as failed; only call while holding its
+// sync lock, when no other sync for it can legitimately be running
+async function failAbandonedSyncs(pool, orgId) {
+  const result = await pool.request()
+    .input("organizationId", sql.Int, orgId)
+    .query(`
+      UPDATE dbo.SyncLog
+      SET status='FAILED', phase='failed', completedAt=SYSDATETIMEOFFSET(),
+          errorMessage='Abandoned: the instance running this sync stopped before it finished'
+      WHERE status='RUNNING' AND organizationId = @organizationId;
+    `);
+  return result.rowsAffected[0] || 0;
+}
+
 // Update sync log
-async function updateSyncLog(pool, logId, status, postsProcessed, engagementsFound, errorMessage) {
+async function updateSyncLog(pool, logId, status, counts, errorMessage) {
   const r = pool.request();
   r.input("id", sql.BigInt, logId);
   r.input("status", sql.VarChar, status);
-  r.input("postsProcessed", sql.Int, postsProcessed);
-  r.input("engagementsFound", sql.Int, engagementsFound);
+  r.input("postsProcessed", sql.Int, counts.postsProcessed);
+  r.input("engagementsFound", sql.Int, counts.engagementsFound);
+  r.input("engagementsRemoved", sql.Int, counts.engagementsRemoved);
+  r.input("postPages", sql.Int, counts.postPages);
+  r.input("postsFailed", sql.Int, counts.postsFailed);
+  r.input("statsSnapshots", sql.Int, counts.statsSnapshots);
+  r.input("resharesFound", sql.Int, counts.resharesFound);
+  r.input("sharesVerified", sql.Int, counts.sharesVerified);
+  r.input("sharesExpired", sql.Int, counts.sharesExpired);
+  r.input("phase", sql.VarChar(30), status === "FAILED" ? "failed" : "done");
   r.input("errorMessage", sql.NVarChar, errorMessage || null);
   await r.query(`
     UPDATE dbo.SyncLog
     SET status=@status, postsProcessed=@postsProcessed, engagementsFound=@engagementsFound,
-        errorMessage=@errorMessage, completedAt=SYSDATETIMEOFFSET()
+        engagementsRemoved=@engagementsRemoved, postPages=@postPages, postsFailed=@postsFailed,
+        statsSnapshots=@statsSnapshots, resharesFound=@resharesFound, sharesVerified=@sharesVerified,
+        sharesExpired=@sharesExpired, phase=@phase, errorMessage=@errorMessage, completedAt=SYSDATETIMEOFFSET(),
+        updatedAt=SYSDATETIMEOFFSET()
     WHERE id=@id;
   `);
 }
 
-// Main sync function
-async function runFullSync() {
-  const pool = await getPool();
-  const logId = await createSyncLog(pool, "RUNNING");
+// Store today's (UTC) share statistics snapshot for each post; a later sync the
+// same day overwrites it. Returns the number of posts snapshotted.
+async function savePostStatsSnapshots(pool, logId, statsByPost) {
+  if (statsByPost.size === 0) return 0;
+
+  const rows = [...statsByPost].map(([postId, stats]) => ({ postId, ...stats }));
+  const r = pool.request();
+  r.input("syncLogId", sql.BigInt, logId);
+  r.input("snapshots", sql.NVarChar(sql.MAX), JSON.stringify(rows));
 
-  let postsProcessed = 0;
-  let engagementsFound = 0;
+  await r.query(`
+    MERGE dbo.PostStatsSnapshots AS target
+    USING (
+      SELECT s.*, CAST(SYSUTCDATETIME() AS DATE) AS snapshotDate
+      FROM OPENJSON(@snapshots) WITH (
+        postId                 VARCHAR(255),
+        impressionCount        INT,
+        uniqueImpressionsCount INT,
+        clickCount             INT,
+        reactionCount          INT,
+        commentCount           INT,
+        shareCount             INT,
+        engagementRate         DECIMAL(9, 6)
+      ) AS s
+      WHERE s.postId IN (SELECT postId FROM dbo.LinkedInPosts)
+    ) AS source
+    ON target.postId = source.postId AND target.snapshotDate = source.snapshotDate
+    WHEN MATCHED THEN
+      UPDATE SET impressionCount=source.impressionCount, uniqueImpressionsCount=source.uniqueImpressionsCount,
+                 clickCount=source.clickCount, reactionCount=source.reactionCount,
+                 commentCount=source.commentCount, shareCount=source.shareCount,
+                 engagementRate=source.engagementRate, syncLogId=@syncLogId,
+                 capturedAt=SYSDATETIMEOFFSET()
+    WHEN NOT MATCHED THEN
+      INSERT (postId, snapshotDate, impressionCount, uniqueImpressionsCount, clickCount,
+              reactionCount, commentCount, shareCount, engagementRate, syncLogId)
+      VALUES (source.postId, source.snapshotDate, source.impressionCount, source.uniqueImpressionsCount,
+              source.clickCount, source.reactionCount, source.commentCount, source.shareCount,
+              source.engagementRate, @syncLogId);
+  `);
+  return rows.length;
+}
+
+// Record how many pages and items were read for a post during a sync run,
+// or why they could not be read
+async function recordPostCoverage(pool, logId, postId, reactions, comments, errorMessage = null) {
+  const r = pool.request();
+  r.input("syncLogId", sql.BigInt, logId);
+  r.input("postId", sql.VarChar(255), postId);
+  r.input("reactionPages", sql.Int, reactions.pages);
+  r.input("reactionsRead", sql.Int, reactions.elements.length);
+  r.input("commentPages", sql.Int, comments.pages);
+  r.input("commentsRead", sql.Int, comments.elements.length);
+  r.input("errorMessage", sql.NVarChar, errorMessage);
+  await r.query(`
+    INSERT INTO dbo.SyncPostCoverage
+      (syncLogId, postId, reactionPages, reactionsRead, commentPages, commentsRead, errorMessage)
+    VALUES
+      (@syncLogId, @postId, @reactionPages, @reactionsRead, @commentPages, @commentsRead, @errorMessage);
+  `);
+}
+
+// Read an organization's posts and engagements from the mock generator
+function createMockSource(org, users) {
+  const mock = generateMockData(org);
+
+  return {
+    async fetchPosts(cutoff) {
+      const posts = mock.posts.filter((post) => cutoff === null || getPostTime(post) >= cutoff);
+      return { posts, pages: 1 };
+    },
+    async fetchShareStatistics(postIds) {
+      const stats = new Map();
+      for (const post of mock.posts) {
+        if (postIds.includes(post.id)) stats.set(post.id, mock.getShareStatistics(post));
+      }
+      return stats;
+    },
+    async fetchReshares(since) {
+      const reshares = mock.posts
+        .flatMap((post) => mock.getReshares(post, users))
+        .filter((reshare) => reshare.createdAt >= since);
+      return { reshares, complete: true };
+    },
+    async fetchEngagements(postId) {
+      const engagements = await mock.getEngagements(postId, users);
+      return {
+        reactions: { elements: engagements.filter((e) => e.type === "REACTION"), pages: 1, complete: true },
+        comments: { elements: engagements.filter((e) => e.type === "COMMENT"), pages: 1, complete: true },
+      };
+    },
+  };
+}
+
+// Read an organization's posts and engagements from the LinkedIn API,
+// normalized to the mock shape
+function createLinkedInSource(org, token) {
+  return {
+    fetchPosts(cutoff) {
+      return fetchPosts(token, org.orgUrn, cutoff);
+    },
+    fetchShareStatistics(postIds) {
+      return fetchShareStatistics(token, org.orgUrn, postIds);
+    },
+    fetchReshares(since) {
+      return fetchReshares(token, org.orgUrn, since);
+    },
+    async fetchEngagements(postId, watermark) {
+      const [reactions, comments] = await Promise.all([
+        fetchReactions(token, postId, watermark),
+        fetchComments(token, postId),
+      ]);
+      return {
+        reactions: {
+          pages: reactions.pages,
+          complete: reactions.complete,
+          elements: reactions.elements.map((reaction) => ({
+            type: "REACTION",
+            actor: reaction.actor,
+            reactionType: reaction.reactionType,
+            createdAt: reaction.created?.time,
+          })),
+        },
+        comments: {
+          pages: comments.pages,
+          complete: comments.complete,
+          elements: comments.elements.map((comment) => ({
+            type: "COMMENT",
+            actor: comment.actor,
+            text: comment.message?.text,
+            createdAt: comment.created?.time,
+          })),
+        },
+      };
+    },
+  };
+}
+
+// Main sync function for one organization. "full" walks every post and engagement
+// in the history window; "incremental" re-polls hot posts (reactions only back to
+// the stored watermark) plus a rolling batch of older posts due for a full
+// reconciliation. Pass logId to report into a sync log created up front
+// (see services/syncJobs.js).
+async function runSync({ orgId, mode = "incremental", logId = null, triggeredBy = null } = {}) {
+  if (!SYNC_MODES.includes(mode)) {
+    throw new Error(`Unknown sync mode: ${mode}`);
+  }
+
+  const pool = await getPool();
+  if (!logId) {
+    logId = await createSyncLog(pool, orgId, "RUNNING", mode, triggeredBy);
+  }
+  const incremental = mode === "incremental";
+
+  const counts = {
+    postsProcessed: 0,
+    postsFailed: 0,
+    engagementsFound: 0,
+    engagementsRemoved: 0,
+    postPages: 0,
+    statsSnapshots: 0,
+    resharesFound: 0,
+    sharesVerified: 0,
+    sharesExpired: 0,
+  };
+  const failures = [];
 
   try {
-    console.log(`[Sync] Starting sync (mock mode: ${MOCK_MODE})`);
+    const org = await getOrganization(orgId);
+    if (!org) {
+      throw new Error(`Organization ${orgId} not found`);
+    }
+    if (!org.isActive) {
+      throw new Error(`Organization ${org.orgUrn} is deactivated`);
+    }
+
+    console.log(
+      `[Sync] Starting ${mode} sync for ${org.orgUrn} ` +
+      `(mock mode: ${MOCK_MODE}, history: ${SYNC_HISTORY_DAYS || "all"} days)`
+    );
 
     // Get employee URNs for matching
     const employeeUrns = await getEmployeeUrns(pool);
-    const users = MOCK_MODE
-      ? (await pool.request().query("SELECT sub, name FROM dbo.users")).recordset
-      : [];
 
+    let source;
     if (MOCK_MODE) {
-      // Use mock data
-      const mock = generateMockData(pool);
-
-      for (const post of mock.posts) {
-        await upsertPost(pool, post);
-        postsProcessed++;
-
-        const engagements = await mock.getEngagements(post.id, users);
-        for (const eng of engagements) {
-          await upsertEngagement(
-            pool,
-            post.id,
-            eng.actor,
-            eng.type,
-            eng.reactionType || null,
-            eng.text || null,
-            eng.createdAt
-          );
-          engagementsFound++;
-        }
-      }
+      const users = (await pool.request().query("SELECT sub, name FROM dbo.users")).recordset;
+      source = createMockSource(org, users);
     } else {
       // Real LinkedIn API sync using admin token
       if (!hasAdminTokenConfigured()) {
         throw new Error("LinkedIn API credentials not configured");
       }
+      source = createLinkedInSource(org, await getAdminToken(org.id));
+    }
 
-      const token = await getAdminToken();
-      const posts = await fetchPosts(token);
-
-      for (const post of posts) {
-        await upsertPost(pool, post);
-        postsProcessed++;
-
-        // Fetch reactions
-        const reactions = await fetchReactions(token, post.id);
-        for (const reaction of reactions) {
-          const actorUrn = reaction.actor;
-          if (employeeUrns.has(actorUrn)) {
-            await upsertEngagement(
-              pool,
-              post.id,
-              actorUrn,
-              "REACTION",
-              reaction.reactionType,
-              null,
-              reaction.created?.time
-            );
-            engagementsFound++;
-          }
-        }
+    await updateSyncProgress(pool, logId, "fetching_posts", counts);
+    const postCutoff = getCutoff(incremental ? SYNC_HOT_DAYS : SYNC_HISTORY_DAYS);
+    const { posts, pages } = await source.fetchPosts(postCutoff);
+    counts.postPages = pages;
 
-        // Fetch comments
-        const comments = await fetchComments(token, post.id);
-        for (const comment of comments) {
-          const actorUrn = comment.actor;
-          if (employeeUrns.has(actorUrn)) {
-            await upsertEngagement(
-              pool,
-              post.id,
-              actorUrn,
-              "COMMENT",
-              null,
-              comment.message?.text,
-              comment.created?.time
-            );
-            engagementsFound++;
-          }
-        }
+    for (const post of posts) {
+      await upsertPost(pool, org.id, post);
+    }
+
+    const postIds = posts.map((post) => post.id);
+    const targets = postIds.map((id) => ({ id, reconcile: !incremental }));
+    let watermarks = new Map();
+
+    if (incremental) {
+      watermarks = await getPostWatermarks(pool, postIds);
+      const due = await getPostsToReconcile(pool, org.id, postIds);
+      targets.push(...due.map((post) => ({ id: post.id, reconcile: true })));
+    }
+
+    await updateSyncProgress(pool, logId, "fetching_engagements", counts, targets.length);
+
+    for (const target of targets) {
+      const stored = watermarks.get(target.id);
+      const watermark = !target.reconcile && stored ? new Date(stored).getTime() : null;
+
+      let reactions;
+      let comments;
+      try {
+        ({ reactions, comments } = await source.fetchEngagements(target.id, watermark));
+      } catch (err) {
+        // Leave the post's rows and watermarks alone so the next run retries it
+        console.error(`[Sync] Failed to read engagements for ${target.id}:`, err.message);
+        const empty = { elements: [], pages: 0 };
+        await recordPostCoverage(pool, logId, target.id, empty, empty, err.message);
+        failures.push(`${target.id}: ${err.message}`);
+        counts.postsFailed++;
+        await updateSyncProgress(pool, logId, "fetching_engagements", counts);
+        continue;
+      }
+
+      const engagements = [...reactions.elements, ...comments.elements]
+        .filter((eng) => employeeUrns.has(eng.actor));
+
+      // Anything at or before the watermark is already stored
+      const fresh = watermark
+        ? engagements.filter((eng) => Number(eng.createdAt || 0) > watermark)
+        : engagements;
+      await upsertEngagements(pool, target.id, fresh);
+
+      // Removals can only be detected when every page was walked
+      const complete = reactions.complete && comments.complete;
+      counts.engagementsRemoved += await reconcileEngagements(pool, target.id, reactions, comments);
+
+      const newest = engagements.reduce((max, eng) => Math.max(max, Number(eng.createdAt || 0)), 0);
+      await updatePostWatermark(pool, target.id, newest || null, complete);
+      await recordPostCoverage(pool, logId, target.id, reactions, comments);
+
+      counts.postsProcessed++;
+      counts.engagementsFound += engagements.length;
+      await updateSyncProgress(pool, logId, "fetching_engagements", counts);
+    }
+
+    // Daily reach snapshot for every post touched by this run. Statistics are
+    // supplementary, so a failure here only makes the run PARTIAL.
+    await updateSyncProgress(pool, logId, "fetching_stats", counts);
+    try {
+      const stats = await source.fetchShareStatistics(targets.map((target) => target.id));
+      counts.statsSnapshots = await savePostStatsSnapshots(pool, logId, stats);
+    } catch (err) {
+      console.error("[Sync] Failed to read share statistics:", err.message);
+      failures.push(`share statistics: ${err.message}`);
+    }
+
+    // Employee reshares verify reported advocacy shares (or add ones nobody
+    // reported); pending shares are only expired after a complete scan
+    await updateSyncProgress(pool, logId, "fetching_reshares", counts);
+    try {
+      const { reshares, complete } = await source.fetchReshares(getReshareCutoff());
+      const employeeReshares = reshares.filter((reshare) => employeeUrns.has(reshare.actor));
+      counts.resharesFound = employeeReshares.length;
+      counts.sharesVerified = await applyReshares(pool, org.id, employeeReshares);
+      if (complete) {
+        counts.sharesExpired = await expirePendingShares(pool, org.id);
       }
+    } catch (err) {
+      console.error("[Sync] Failed to read reshares:", err.message);
+      failures.push(`reshares: ${err.message}`);
     }
 
-    await updateSyncLog(pool, logId, "SUCCESS", postsProcessed, engagementsFound, null);
-    console.log(`[Sync] Completed: ${postsProcessed} posts, ${engagementsFound} engagements`);
+    // Some posts failing doesn't fail the run, but it must not look like "no engagement"
+    const status = failures.length > 0 ? "PARTIAL" : "SUCCESS";
+    const errorMessage = failures.length > 0 ? failures.join("\n") : null;
+    await updateSyncLog(pool, logId, status, counts, errorMessage);
+    console.log(
+      `[Sync] Completed (${status}): ${counts.postsProcessed} posts (${counts.postPages} pages), ` +
+      `${counts.engagementsFound} engagements, ${counts.engagementsRemoved} removed, ` +
+      `${counts.postsFailed} failed, ${counts.statsSnapshots} stats snapshots, ` +
+      `${counts.resharesFound} reshares (${counts.sharesVerified} verified, ${counts.sharesExpired} expired)`
+    );
 
-    return { success: true, postsProcessed, engagementsFound };
+    return { success: true, logId, orgId, mode, status, failures, ...counts };
   } catch (err) {
     console.error("[Sync] Failed:", err.message);
-    await updateSyncLog(pool, logId, "FAILED", postsProcessed, engagementsFound, err.message);
-    return { success: false, error: err.message, postsProcessed, engagementsFound };
+    await updateSyncLog(pool, logId, "FAILED", counts, err.message);
+    return { success: false, logId, orgId, mode, error: err.message, ...counts };
   }
 }
 
-// Get recent sync logs
-async function getSyncLogs(limit = 10) {
+// Get recent sync logs, optionally for one organization
+async function getSyncLogs(limit = 10, orgId = null) {
   const pool = await getPool();
   const r = pool.request();
   r.input("limit", sql.Int, limit);
+  r.input("organizationId", sql.Int, orgId);
   const result = await r.query(`
-    SELECT TOP (@limit) id, status, postsProcessed, engagementsFound, errorMessage, startedAt, completedAt
+    SELECT TOP (@limit) id, organizationId, status, mode, phase, triggeredBy, postsTotal, postsProcessed, postsFailed,
+           engagementsFound, engagementsRemoved, postPages, statsSnapshots, resharesFound, sharesVerified, sharesExpired,
+           errorMessage, startedAt, updatedAt, completedAt
     FROM dbo.SyncLog
+    WHERE @organizationId IS NULL OR organizationId = @organizationId
     ORDER BY startedAt DESC;
   `);
   return result.recordset;
 }
 
+// Get a single sync log (job) by id
+async function getSyncLog(logId) {
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("id", sql.BigInt, logId);
+  const result = await r.query(`
+    SELECT id, organizationId, status, mode, phase, triggeredBy, postsTotal, postsProcessed, postsFailed,
+           engagementsFound, engagementsRemoved, postPages, statsSnapshots, resharesFound, sharesVerified, sharesExpired,
+           errorMessage, startedAt, updatedAt, completedAt
+    FROM dbo.SyncLog
+    WHERE id = @id;
+  `);
+  return result.recordset[0] || null;
+}
+
+// Get per-post paging coverage for a sync run
+async function getSyncCoverage(logId) {
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("syncLogId", sql.BigInt, logId);
+  const result = await r.query(`
+    SELECT postId, reactionPages, reactionsRead, commentPages, commentsRead, errorMessage, recordedAt
+    FROM dbo.SyncPostCoverage
+    WHERE syncLogId = @syncLogId
+    ORDER BY id ASC;
+  `);
+  return result.recordset;
+}
+
 module.exports = {
-  runFullSync,
+  runSync,
+  createSyncLog,
+  failAbandonedSyncs,
   getSyncLogs,
-  getAdminToken,
+  getSyncLog,
+  getSyncCoverage,
   hasAdminTokenConfigured,
+  SYNC_MODES,
   MOCK_MODE,
 };
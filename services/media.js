@@ -0,0 +1,333 @@
+// services/media.js
+// Post attachments: validation, local storage, LinkedIn image/document uploads
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { sql } = require("../db");
+const linkedin = require("./linkedinClient");
+
+const BASE_URL = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3003}`;
+// Uploaded files are kept here; previews are served back from /media/:id
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, "..", "uploads");
+const MEDIA_MAX_BYTES = Number(process.env.MEDIA_MAX_MB || 10) * 1024 * 1024;
+// All attachments of one request together
+const MEDIA_MAX_TOTAL_BYTES = Number(process.env.MEDIA_MAX_TOTAL_MB || 25) * 1024 * 1024;
+// LinkedIn accepts up to 20 images in a multi-image post
+const MEDIA_MAX_IMAGES = 20;
+// Uploads are streamed here and moved into UPLOAD_DIR once accepted
+const MEDIA_INCOMING_DIR = path.join(UPLOAD_DIR, ".incoming");
+
+const IMAGE_TYPES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/gif": ".gif",
+};
+const DOCUMENT_TYPES = {
+  "application/pdf": ".pdf",
+};
+
+// Upload endpoints and the field holding the new asset URN, per media type
+const UPLOAD_APIS = {
+  image: { path: "/rest/images", urnField: "image" },
+  document: { path: "/rest/documents", urnField: "document" },
+};
+
+function getMediaType(contentType) {
+  if (IMAGE_TYPES[contentType]) return "image";
+  if (DOCUMENT_TYPES[contentType]) return "document";
+  return null;
+}
+
+// Leading bytes of each supported format
+const SIGNATURES = [
+  { contentType: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { contentType: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { contentType: "image/gif", bytes: [...Buffer.from("GIF8")] },
+  { contentType: "application/pdf", bytes: [...Buffer.from("%PDF-")] },
+];
+const SNIFF_BYTES = 8;
+
+// The content type a file's first bytes identify, or null if it isn't a supported format
+function sniffContentType(head) {
+  const match = SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => head[i] === byte));
+  return match ? match.contentType : null;
+}
+
+// Check a set of uploaded files (see middleware/upload.js) can go on one post:
+// one or more images, or a single PDF. Types come from each file's content
+// (detectedType), not the Content-Type the client sent. Returns a list of problems.
+function validateMediaFiles(files) {
+  if (!files || files.length === 0) return [];
+
+  const errors = [];
+  for (const file of files) {
+    if (!getMediaType(file.detectedType)) {
+      errors.push(`${file.originalname}: not a JPEG, PNG, GIF or PDF file`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  const documents = files.filter((file) => getMediaType(file.detectedType) === "document");
+  if (documents.length > 0 && files.length > 1) {
+    errors.push("A document must be the only attachment on a post");
+  }
+  if (files.length > MEDIA_MAX_IMAGES) {
+    errors.push(`A post can have at most ${MEDIA_MAX_IMAGES} images`);
+  }
+  return errors;
+}
+
+// -----------------------------------------------------------------------------
+// Uploads
+// -----------------------------------------------------------------------------
+
+// Move validated uploads from MEDIA_INCOMING_DIR into UPLOAD_DIR. Attachments live
+// here while their draft is reviewed, and stay as the preview source once published.
+// If one can't be moved, those already moved are deleted again.
+async function storeLocally(files) {
+  await fs.mkdir(UPLOAD_DIR, { recursive: true });
+
+  const media = [];
+  try {
+    for (const file of files) {
+      const ext = IMAGE_TYPES[file.detectedType] || DOCUMENT_TYPES[file.detectedType];
+      const storedName = `${Date.now()}_${crypto.randomBytes(6).toString("hex")}${ext}`;
+      await fs.rename(file.path, path.join(UPLOAD_DIR, storedName));
+      media.push({
+        mediaType: getMediaType(file.detectedType),
+        storedName,
+        fileName: file.originalname,
+        contentType: file.detectedType,
+        sizeBytes: file.size,
+      });
+    }
+  } catch (err) {
+    await deleteStoredFiles(media.map((item) => item.storedName));
+    throw err;
+  }
+  return media;
+}
+
+const localPath = (storedName) => path.join(UPLOAD_DIR, path.basename(storedName));
+
+// Run LinkedIn's initializeUpload + upload flow for each stored attachment, owned
+// by the organization. Returns the attachments in order, each with its asset URN.
+async function uploadToLinkedIn(token, orgUrn, media) {
+  const uploaded = [];
+  for (const item of media) {
+    const api = UPLOAD_APIS[item.mediaType];
+
+    // A repeated initializeUpload only leaves an unused upload slot behind
+    const init = await linkedin.post(
+      token,
+      `${api.path}?action=initializeUpload`,
+      { initializeUploadRequest: { owner: orgUrn } },
+      {},
+      { idempotent: true }
+    );
+    const { uploadUrl } = init.data.value;
+    const assetUrn = init.data.value[api.urnField];
+
+    await linkedin.upload(token, uploadUrl, await fs.readFile(localPath(item.storedName)));
+    console.log(`[Media] Uploaded ${item.fileName} as ${assetUrn}`);
+
+    uploaded.push({ ...item, assetUrn });
+  }
+  return uploaded;
+}
+
+// The `content` block of a /rest/posts body for uploaded attachments
+function buildPostContent(media) {
+  if (media.length === 0) return undefined;
+  if (media[0].mediaType === "document") {
+    return { media: { id: media[0].assetUrn, title: media[0].fileName } };
+  }
+  if (media.length === 1) {
+    return { media: { id: media[0].assetUrn } };
+  }
+  return { multiImage: { images: media.map((item) => ({ id: item.assetUrn })) } };
+}
+
+// -----------------------------------------------------------------------------
+// Storage
+// -----------------------------------------------------------------------------
+
+const MEDIA_COLUMNS = "id, position, mediaType, assetUrn, storedName, fileName, contentType, sizeBytes";
+const mediaUrl = (id) => `${BASE_URL}/media/${id}`;
+const draftMediaUrl = (draftId, id) => `${BASE_URL}/api/drafts/${draftId}/media/${id}`;
+
+// Attachments stored for a draft (see storeLocally) as the @media JSON of
+// INSERT_DRAFT_MEDIA and REPLACE_DRAFT_MEDIA
+function draftMediaJson(media) {
+  return JSON.stringify(media.map((item, position) => ({ ...item, position })));
+}
+
+// Records the attachments @media of draft @draftId. Run inside the transaction
+// creating the draft, see services/drafts.js createDraft.
+const INSERT_DRAFT_MEDIA = `
+  INSERT INTO dbo.PostMedia (draftId, position, mediaType, storedName, fileName, contentType, sizeBytes)
+  SELECT @draftId, position, mediaType, storedName, fileName, contentType, sizeBytes
+  FROM OPENJSON(@media) WITH (
+    position    INT,
+    mediaType   VARCHAR(20),
+    storedName  NVARCHAR(255),
+    fileName    NVARCHAR(255),
+    contentType VARCHAR(100),
+    sizeBytes   INT
+  );
+`;
+
+// Replaces the attachments of draft @id with @media, selecting the stored names of
+// the replaced files (delete them afterwards with deleteStoredFiles). Run inside
+// the draft edit's transaction, see services/drafts.js editDraft.
+const REPLACE_DRAFT_MEDIA = `
+  DECLARE @draftId BIGINT = @id;
+  DELETE FROM dbo.PostMedia
+  OUTPUT DELETED.storedName
+  WHERE draftId = @draftId AND postId IS NULL;
+  ${INSERT_DRAFT_MEDIA}
+`;
+
+// Delete files under UPLOAD_DIR no attachment refers to any more (replaced ones,
+// or uploads for a draft that wasn't saved)
+async function deleteStoredFiles(storedNames) {
+  for (const storedName of storedNames) {
+    if (storedName) await fs.unlink(localPath(storedName)).catch(() => {});
+  }
+}
+
+// A draft's attachments in order. Pass withStorage to include the asset URN and
+// stored file name (needed to publish); otherwise each gets a preview url.
+async function getDraftMedia(pool, draftId, { withStorage = false } = {}) {
+  const result = await pool.request()
+    .input("draftId", sql.BigInt, draftId)
+    .query(`SELECT ${MEDIA_COLUMNS} FROM dbo.PostMedia WHERE draftId = @draftId ORDER BY position`);
+
+  if (withStorage) return result.recordset;
+  return result.recordset.map(({ assetUrn, storedName, ...row }) => ({ ...row, url: draftMediaUrl(draftId, row.id) }));
+}
+
+// Attach published attachments (with their asset URNs, if uploaded) to the post
+// and point LinkedInPosts.mediaUrl at the first one. Returns them with public URLs.
+async function attachMediaToPost(pool, postId, media) {
+  if (media.length === 0) return [];
+
+  await pool.request()
+    .input("postId", sql.VarChar(255), postId)
+    .input("media", sql.NVarChar(sql.MAX), JSON.stringify(media.map(({ id, assetUrn }) => ({ id, assetUrn }))))
+    .input("mediaUrl", sql.NVarChar(2048), mediaUrl(media[0].id))
+    .query(`
+      UPDATE pm
+      SET postId = @postId, assetUrn = m.assetUrn
+      FROM dbo.PostMedia pm
+      JOIN OPENJSON(@media) WITH (id BIGINT, assetUrn VARCHAR(255)) AS m ON m.id = pm.id;
+
+      UPDATE dbo.LinkedInPosts SET mediaUrl = @mediaUrl WHERE postId = @postId;
+    `);
+
+  return media.map(({ id, position, mediaType, fileName, contentType }) => ({
+    id, position, mediaType, fileName, contentType, url: mediaUrl(id),
+  }));
+}
+
+// Attachments for a set of posts, as a Map of postId -> [{ id, mediaType, fileName, contentType, url }]
+async function getMediaForPosts(pool, postIds) {
+  const byPost = new Map();
+  if (postIds.length === 0) return byPost;
+
+  const result = await pool.request()
+    .input("postIds", sql.NVarChar(sql.MAX), JSON.stringify(postIds))
+    .query(`
+      SELECT id, postId, mediaType, fileName, contentType
+      FROM dbo.PostMedia
+      WHERE postId IN (SELECT value FROM OPENJSON(@postIds))
+      ORDER BY postId, position;
+    `);
+
+  for (const { postId, ...row } of result.recordset) {
+    if (!byPost.has(postId)) byPost.set(postId, []);
+    byPost.get(postId).push({ ...row, url: mediaUrl(row.id) });
+  }
+  return byPost;
+}
+
+async function getMedia(pool, id) {
+  const result = await pool.request()
+    .input("id", sql.BigInt, id)
+    .query(`
+      SELECT pm.id, pm.postId, pm.draftId, pm.mediaType, pm.assetUrn, pm.storedName, pm.fileName,
+             pm.contentType, COALESCE(lp.organizationId, d.organizationId) AS organizationId
+      FROM dbo.PostMedia pm
+      LEFT JOIN dbo.LinkedInPosts lp ON lp.postId = pm.postId
+      LEFT JOIN dbo.PostDrafts d ON d.id = pm.draftId
+      WHERE pm.id = @id;
+    `);
+  return result.recordset[0] || null;
+}
+
+// LinkedIn download URLs by media id ({ promise, expiresAt }). Previews are public,
+// so each URL is reused until shortly before it expires rather than spending an
+// API call (and the organization's quota) on every view.
+const downloadUrls = new Map();
+// Used when LinkedIn doesn't say when a download URL expires
+const DOWNLOAD_URL_TTL_MS = 10 * 60 * 1000;
+const DOWNLOAD_URL_MARGIN_MS = 60 * 1000;
+
+async function fetchDownloadUrl(media, getToken) {
+  const api = UPLOAD_APIS[media.mediaType];
+  const token = await getToken();
+  const response = await linkedin.get(token, `${api.path}/${encodeURIComponent(media.assetUrn)}`);
+  const expiresAt = Number(response.data.downloadUrlExpiresAt) || Date.now() + DOWNLOAD_URL_TTL_MS;
+  return { url: response.data.downloadUrl, expiresAt: expiresAt - DOWNLOAD_URL_MARGIN_MS };
+}
+
+// Where a stored attachment can be read: the local file when we have it, else a
+// LinkedIn download URL for the uploaded asset. getToken() supplies the admin
+// token, and is only called when no unexpired URL is cached.
+async function resolveMediaLocation(media, getToken) {
+  if (media.storedName) {
+    return { filePath: localPath(media.storedName) };
+  }
+
+  const now = Date.now();
+  for (const [id, entry] of downloadUrls) {
+    if (entry.expiresAt <= now) downloadUrls.delete(id);
+  }
+
+  // A lookup still in flight (expiresAt Infinity) is shared by concurrent views
+  let entry = downloadUrls.get(media.id);
+  if (!entry) {
+    entry = { promise: fetchDownloadUrl(media, getToken), expiresAt: Infinity };
+    downloadUrls.set(media.id, entry);
+    entry.promise.then(
+      (resolved) => { entry.expiresAt = resolved.expiresAt; },
+      () => downloadUrls.delete(media.id)
+    );
+  }
+
+  const { url } = await entry.promise;
+  return { downloadUrl: url };
+}
+
+module.exports = {
+  MEDIA_MAX_BYTES,
+  MEDIA_MAX_TOTAL_BYTES,
+  MEDIA_MAX_IMAGES,
+  MEDIA_INCOMING_DIR,
+  SNIFF_BYTES,
+  sniffContentType,
+  validateMediaFiles,
+  storeLocally,
+  uploadToLinkedIn,
+  buildPostContent,
+  draftMediaJson,
+  INSERT_DRAFT_MEDIA,
+  REPLACE_DRAFT_MEDIA,
+  deleteStoredFiles,
+  getDraftMedia,
+  attachMediaToPost,
+  getMediaForPosts,
+  getMedia,
+  resolveMediaLocation,
+};
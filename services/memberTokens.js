@@ -0,0 +1,179 @@
+// services/memberTokens.js
+// Per-member LinkedIn tokens (w_member_social) for sharing on an employee's behalf, encrypted at rest
+
+const axios = require("axios");
+const { sql, getPool } = require("../db");
+const { encryptToken, decryptToken, needsReencryption, getActiveKeyId } = require("./tokenCrypto");
+
+// Members consent through the sign-in app, which needs the "Share on LinkedIn" product
+const CLIENT_ID = process.env.LINKEDIN_CLIENT_ID;
+const CLIENT_SECRET = process.env.LINKEDIN_CLIENT_SECRET;
+const MEMBER_SHARE_SCOPE = "w_member_social";
+
+// LinkedIn person URN for a user; subs from sign-in are bare member ids
+function memberUrn(userSub) {
+  return userSub.startsWith("urn:li:") ? userSub : `urn:li:person:${userSub}`;
+}
+
+// Store tokens from an OAuth token response for a member, replacing any earlier consent
+async function saveMemberToken(userSub, { access_token, expires_in, refresh_token, refresh_token_expires_in, scope }) {
+  const now = Date.now();
+  const expiresAt = new Date(now + expires_in * 1000);
+  const refreshExpiresAt = refresh_token_expires_in
+    ? new Date(now + refresh_token_expires_in * 1000)
+    : null;
+
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("userSub", sql.VarChar(100), userSub);
+  r.input("accessToken", sql.VarChar(4000), encryptToken(access_token));
+  r.input("refreshToken", sql.VarChar(4000), encryptToken(refresh_token || null));
+  r.input("keyId", sql.VarChar(50), getActiveKeyId());
+  r.input("scope", sql.VarChar(500), scope || null);
+  r.input("expiresAt", sql.DateTimeOffset, expiresAt);
+  r.input("refreshExpiresAt", sql.DateTimeOffset, refreshExpiresAt);
+
+  await r.query(`
+    MERGE dbo.MemberTokens AS target
+    USING (SELECT @userSub AS userSub) AS source
+    ON target.userSub = source.userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+    WHEN MATCHED THEN
+      UPDATE SET
+        accessToken = @accessToken,
+        refreshToken = @refreshToken,
+        keyId = @keyId,
+        scope = @scope,
+        expiresAt = @expiresAt,
+        refreshExpiresAt = @refreshExpiresAt,
+        updatedAt = SYSDATETIMEOFFSET()
+    WHEN NOT MATCHED THEN
+      INSERT (userSub, accessToken, refreshToken, keyId, scope, expiresAt, refreshExpiresAt)
+      VALUES (@userSub, @accessToken, @refreshToken, @keyId, @scope, @expiresAt, @refreshExpiresAt);
+  `);
+
+  return { expiresAt, refreshExpiresAt };
+}
+
+async function loadMemberToken(userSub) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("userSub", sql.VarChar(100), userSub)
+    .query(`
+      SELECT userSub, accessToken, refreshToken, scope, expiresAt, refreshExpiresAt, updatedAt
+      FROM dbo.MemberTokens
+      WHERE userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+    `);
+  return result.recordset[0] || null;
+}
+
+// A member's access token, refreshed if it has expired and LinkedIn issued a
+// refresh token. Returns null when the member has to consent (again). Throws an
+// error with reconnectRequired set when LinkedIn refuses the refresh.
+async function getMemberToken(userSub) {
+  const token = await loadMemberToken(userSub);
+  if (!token) return null;
+
+  if (new Date(token.expiresAt) > new Date()) {
+    return decryptToken(token.accessToken);
+  }
+  if (!token.refreshToken) return null;
+  if (token.refreshExpiresAt && new Date(token.refreshExpiresAt) < new Date()) return null;
+
+  try {
+    const { data } = await axios.post(
+      "https://www.linkedin.com/oauth/v2/accessToken",
+      new URLSearchParams({
+        grant_type: "refresh_token",
+        refresh_token: decryptToken(token.refreshToken),
+        client_id: CLIENT_ID,
+        client_secret: CLIENT_SECRET,
+      }),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+    // LinkedIn keeps the original refresh token unless it issues a new one
+    await saveMemberToken(token.userSub, {
+      ...data,
+      refresh_token: data.refresh_token || decryptToken(token.refreshToken),
+      scope: data.scope || token.scope,
+    });
+    return data.access_token;
+  } catch (err) {
+    const reason = err.response?.data?.error_description || err.message;
+    console.warn(`[MemberToken] Refresh failed for ${userSub}:`, reason);
+    const refreshErr = new Error(`Refreshing the LinkedIn token failed: ${reason}`);
+    refreshErr.reconnectRequired = true;
+    throw refreshErr;
+  }
+}
+
+// Consent status without the tokens: { expiresAt, refreshExpiresAt, scope, canShare, updatedAt } or null
+async function getMemberTokenStatus(userSub) {
+  const token = await loadMemberToken(userSub);
+  if (!token) return null;
+
+  const now = new Date();
+  const usable =
+    new Date(token.expiresAt) > now ||
+    (!!token.refreshToken && (!token.refreshExpiresAt || new Date(token.refreshExpiresAt) > now));
+  const scopes = (token.scope || MEMBER_SHARE_SCOPE).split(/[\s,]+/);
+
+  return {
+    expiresAt: token.expiresAt,
+    refreshExpiresAt: token.refreshExpiresAt || null,
+    scope: token.scope,
+    canShare: usable && scopes.includes(MEMBER_SHARE_SCOPE),
+    updatedAt: token.updatedAt,
+  };
+}
+
+// Forget a member's consent. Returns the access token that was stored (so it can
+// be revoked with LinkedIn), or null if there was none.
+async function deleteMemberToken(userSub) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("userSub", sql.VarChar(100), userSub)
+    .query(`
+      DELETE FROM dbo.MemberTokens
+      OUTPUT DELETED.accessToken
+      WHERE userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+    `);
+  const row = result.recordset[0];
+  return row ? decryptToken(row.accessToken) : null;
+}
+
+// Re-encrypt every stored member token not already under the active key.
+// Returns the number of rows rewritten.
+async function reencryptMemberTokens() {
+  const pool = await getPool();
+  const result = await pool.request().query(`
+    SELECT id, accessToken, refreshToken FROM dbo.MemberTokens
+  `);
+
+  let rewritten = 0;
+  for (const row of result.recordset) {
+    if (!needsReencryption(row.accessToken) && !needsReencryption(row.refreshToken)) continue;
+
+    await pool.request()
+      .input("id", sql.BigInt, row.id)
+      .input("accessToken", sql.VarChar(4000), encryptToken(decryptToken(row.accessToken)))
+      .input("refreshToken", sql.VarChar(4000), encryptToken(decryptToken(row.refreshToken)))
+      .input("keyId", sql.VarChar(50), getActiveKeyId())
+      .query(`
+        UPDATE dbo.MemberTokens
+        SET accessToken = @accessToken, refreshToken = @refreshToken, keyId = @keyId
+        WHERE id = @id
+      `);
+    rewritten++;
+  }
+  return rewritten;
+}
+
+module.exports = {
+  MEMBER_SHARE_SCOPE,
+  memberUrn,
+  saveMemberToken,
+  getMemberToken,
+  getMemberTokenStatus,
+  deleteMemberToken,
+  reencryptMemberTokens,
+};
@@ -0,0 +1,89 @@
+// services/notificationTransport.js
+// Delivery of notifications: SMTP email and incoming webhooks, or a local outbox stand-in
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+const nodemailer = require("nodemailer");
+const { MOCK_MODE } = require("./linkedinSync");
+
+// "live" sends for real; "local" writes each message to NOTIFY_OUTBOX_DIR instead.
+// Defaults to local in mock mode.
+const NOTIFY_TRANSPORT = process.env.NOTIFY_TRANSPORT || (MOCK_MODE ? "local" : "live");
+const NOTIFY_OUTBOX_DIR = process.env.NOTIFY_OUTBOX_DIR || path.join(__dirname, "..", "outbox");
+
+const SMTP_HOST = process.env.SMTP_HOST || null;
+const SMTP_PORT = Number(process.env.SMTP_PORT || 587);
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_USER = process.env.SMTP_USER || null;
+const SMTP_PASS = process.env.SMTP_PASS || null;
+const NOTIFY_EMAIL_FROM = process.env.NOTIFY_EMAIL_FROM || SMTP_USER;
+
+// A transport has { name, canEmail, sendEmail({ to, subject, text, html }),
+// postWebhook(url, payload) }; both send functions throw when delivery fails.
+
+function createLiveTransport() {
+  const mailer = SMTP_HOST
+    ? nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: SMTP_PORT,
+        secure: SMTP_SECURE,
+        auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+      })
+    : null;
+
+  return {
+    name: "live",
+    canEmail: !!mailer && !!NOTIFY_EMAIL_FROM,
+    async sendEmail({ to, subject, text, html }) {
+      if (!mailer) throw new Error("SMTP_HOST not configured");
+      await mailer.sendMail({ from: NOTIFY_EMAIL_FROM, to, subject, text, html });
+    },
+    async postWebhook(url, payload) {
+      await axios.post(url, payload, { timeout: 10000 });
+    },
+  };
+}
+
+// Writes every message as a JSON file (and logs it) so digests can be checked
+// without an SMTP server or real webhooks
+function createLocalTransport(dir = NOTIFY_OUTBOX_DIR) {
+  async function write(type, message) {
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${Date.now()}-${type}-${crypto.randomBytes(4).toString("hex")}.json`;
+    await fs.writeFile(path.join(dir, name), JSON.stringify({ type, ...message }, null, 2));
+    console.log(`[Notify] (local) ${type} -> ${message.to || message.url}: ${path.join(dir, name)}`);
+  }
+
+  return {
+    name: "local",
+    canEmail: true,
+    sendEmail: (email) => write("email", email),
+    postWebhook: (url, payload) => write("webhook", { url, payload }),
+  };
+}
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    transport = NOTIFY_TRANSPORT === "local" ? createLocalTransport() : createLiveTransport();
+    if (transport.name === "live" && !transport.canEmail) {
+      console.warn("[Notify] SMTP_HOST or NOTIFY_EMAIL_FROM not set; email notifications are disabled");
+    }
+  }
+  return transport;
+}
+
+// Swap in another transport (e.g. one that records messages in memory)
+function setTransport(replacement) {
+  transport = replacement;
+}
+
+module.exports = {
+  createLiveTransport,
+  createLocalTransport,
+  getTransport,
+  setTransport,
+};
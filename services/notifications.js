@@ -0,0 +1,576 @@
+// services/notifications.js
+// New-post digests after syncs and weekly leaderboard summaries, by email and incoming webhooks
+
+const os = require("os");
+const crypto = require("crypto");
+const cron = require("node-cron");
+const { sql, getPool } = require("../db");
+const { acquireLock, renewLock, releaseLock } = require("./jobLock");
+const { computeLeaderboard } = require("./scoring");
+const { bucketStart, addBuckets } = require("./analytics");
+const { postUrl } = require("./shareLinks");
+const { getTransport } = require("./notificationTransport");
+
+const FRONTEND_ORIGIN = process.env.FRONTEND_ORIGIN || "http://localhost:5173";
+
+// Channel defaults for users who haven't set a preference: email is opt-out
+// unless NOTIFY_EMAIL_DEFAULT=false; a personal webhook is on once its URL is set
+const NOTIFY_EMAIL_DEFAULT = process.env.NOTIFY_EMAIL_DEFAULT !== "false";
+// Slack/Teams-style incoming webhook for a shared channel (unpersonalized digests and summaries)
+const NOTIFY_CHANNEL_WEBHOOK_URL = process.env.NOTIFY_CHANNEL_WEBHOOK_URL || null;
+// Hosts personal webhook URLs may point at ("*." matches subdomains)
+const NOTIFY_WEBHOOK_HOSTS = (
+  process.env.NOTIFY_WEBHOOK_HOSTS || "hooks.slack.com,*.webhook.office.com,*.logic.azure.com"
+)
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Digests: "false" turns them off; posts published longer ago than this aren't news
+// (e.g. a first sync backfilling months of posts); at most this many posts are listed
+const NOTIFY_DIGEST_ENABLED = process.env.NOTIFY_DIGEST_ENABLED !== "false";
+const NOTIFY_DIGEST_MAX_AGE_DAYS = Number(process.env.NOTIFY_DIGEST_MAX_AGE_DAYS || 7);
+const NOTIFY_DIGEST_MAX_POSTS = Number(process.env.NOTIFY_DIGEST_MAX_POSTS || 10);
+
+// Weekly leaderboard summary of the week just completed, Mondays at 9 AM by default
+const NOTIFY_LEADERBOARD_SCHEDULE = process.env.NOTIFY_LEADERBOARD_SCHEDULE || "0 9 * * 1";
+const NOTIFY_LEADERBOARD_TOP = Number(process.env.NOTIFY_LEADERBOARD_TOP || 5);
+
+const CHANNELS = ["email", "webhook"];
+const LOCK_NAME = "notify_weekly_leaderboard";
+const LOCK_TTL_MS = 15 * 60 * 1000;
+// A digest's claim on new posts; one left longer by a run that died is taken over
+const DIGEST_CLAIM_TTL_MS = 15 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// -----------------------------------------------------------------------------
+// Preferences
+// -----------------------------------------------------------------------------
+
+function hostAllowed(hostname) {
+  const host = hostname.toLowerCase();
+  return NOTIFY_WEBHOOK_HOSTS.some((allowed) =>
+    allowed.startsWith("*.") ? host.endsWith(allowed.slice(1)) : host === allowed
+  );
+}
+
+// Returns a problem with a personal webhook URL, or null when it can be used
+function validateWebhookUrl(value) {
+  if (typeof value !== "string" || value.length > 500) return "webhookUrl must be a URL of at most 500 characters";
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return "webhookUrl must be a URL";
+  }
+  if (url.protocol !== "https:") return "webhookUrl must use https";
+  if (!hostAllowed(url.hostname)) {
+    return `webhookUrl must point at an incoming webhook host: ${NOTIFY_WEBHOOK_HOSTS.join(", ")}`;
+  }
+  return null;
+}
+
+// A user row's preferences with defaults applied: { email, webhook, webhookUrl }
+// where email/webhook say whether the channel is on
+function resolvePreferences(user) {
+  const webhookUrl = user.notifyWebhookUrl || null;
+  return {
+    email: (user.notifyEmail ?? NOTIFY_EMAIL_DEFAULT) && !!user.email,
+    webhook: (user.notifyWebhook ?? true) && !!webhookUrl,
+    webhookUrl,
+  };
+}
+
+const PREFERENCE_COLUMNS = "sub, email, notifyEmail, notifyWebhook, notifyWebhookUrl";
+
+function toPreferences(user) {
+  return {
+    ...resolvePreferences(user),
+    emailAddress: user.email || null,
+    emailSetting: user.notifyEmail === null ? "default" : (user.notifyEmail ? "on" : "off"),
+    webhookSetting: user.notifyWebhook === null ? "default" : (user.notifyWebhook ? "on" : "off"),
+  };
+}
+
+async function getPreferences(userSub) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("sub", sql.VarChar(100), userSub)
+    .query(`SELECT ${PREFERENCE_COLUMNS} FROM dbo.users WHERE sub = @sub`);
+  return result.recordset[0] ? toPreferences(result.recordset[0]) : null;
+}
+
+// Update a user's preferences; undefined fields are left alone and null resets a
+// channel to its default (or clears the webhook URL). Returns null if the user doesn't exist.
+async function updatePreferences(userSub, { email, webhook, webhookUrl }) {
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("sub", sql.VarChar(100), userSub);
+
+  const sets = [];
+  const fields = {
+    notifyEmail: [sql.Bit, email === undefined ? undefined : (email === null ? null : (email ? 1 : 0))],
+    notifyWebhook: [sql.Bit, webhook === undefined ? undefined : (webhook === null ? null : (webhook ? 1 : 0))],
+    notifyWebhookUrl: [sql.NVarChar(500), webhookUrl],
+  };
+  for (const [column, [type, value]] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    r.input(column, type, value);
+    sets.push(`${column} = @${column}`);
+  }
+  if (sets.length === 0) return getPreferences(userSub);
+
+  const result = await r.query(`
+    UPDATE dbo.users
+    SET ${sets.join(", ")}
+    OUTPUT ${PREFERENCE_COLUMNS.split(", ").map((c) => `INSERTED.${c}`).join(", ")}
+    WHERE sub = @sub;
+  `);
+  return result.recordset[0] ? toPreferences(result.recordset[0]) : null;
+}
+
+// -----------------------------------------------------------------------------
+// Delivery
+// -----------------------------------------------------------------------------
+
+async function logDelivery(pool, { kind, channel, recipient, periodKey = null, status, detail = null }) {
+  try {
+    await pool.request()
+      .input("kind", sql.VarChar(20), kind)
+      .input("channel", sql.VarChar(20), channel)
+      .input("recipient", sql.VarChar(100), recipient)
+      .input("periodKey", sql.VarChar(20), periodKey)
+      .input("status", sql.VarChar(20), status)
+      .input("detail", sql.NVarChar(1000), detail ? String(detail).slice(0, 1000) : null)
+      .query(`
+        INSERT INTO dbo.NotificationLog (kind, channel, recipient, periodKey, status, detail)
+        VALUES (@kind, @channel, @recipient, @periodKey, @status, @detail);
+      `);
+  } catch (err) {
+    console.error("[Notify] Failed to log delivery:", err.message);
+  }
+}
+
+// Send one message ({ subject, text, html }) on one channel. Never throws: one
+// broken address or webhook must not stop the rest. Returns true if it was sent.
+async function deliver(pool, { kind, channel, recipient, periodKey, address, message, detail }) {
+  const transport = getTransport();
+  try {
+    if (channel === "email") {
+      await transport.sendEmail({ to: address, subject: message.subject, text: message.text, html: message.html });
+    } else {
+      // Slack and Teams incoming webhooks both render `text`
+      await transport.postWebhook(address, { text: `*${message.subject}*\n${message.text}`, title: message.subject });
+    }
+    await logDelivery(pool, { kind, channel, recipient, periodKey, status: "sent", detail });
+    return true;
+  } catch (err) {
+    console.error(`[Notify] ${kind} ${channel} delivery to ${recipient} failed:`, err.message);
+    await logDelivery(pool, { kind, channel, recipient, periodKey, status: "failed", detail: err.message });
+    return false;
+  }
+}
+
+// Send a message to a user on every channel they have on. Returns
+// { attempted, sent }, counted in channels.
+async function deliverToUser(pool, user, { kind, periodKey = null, message, detail = null }) {
+  const prefs = resolvePreferences(user);
+  const canEmail = getTransport().canEmail;
+  let attempted = 0;
+  let sent = 0;
+
+  for (const channel of CHANNELS) {
+    if (!prefs[channel] || (channel === "email" && !canEmail)) continue;
+    const address = channel === "email" ? user.email : prefs.webhookUrl;
+    attempted++;
+    if (await deliver(pool, { kind, channel, recipient: user.sub, periodKey, address, message, detail })) sent++;
+  }
+  return { attempted, sent };
+}
+
+async function deliverToChannel(pool, { kind, periodKey = null, message, detail = null }) {
+  if (!NOTIFY_CHANNEL_WEBHOOK_URL) return false;
+  return deliver(pool, {
+    kind,
+    channel: "channel",
+    recipient: "channel",
+    periodKey,
+    address: NOTIFY_CHANNEL_WEBHOOK_URL,
+    message,
+    detail,
+  });
+}
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const excerpt = (text, length = 140) => {
+  const flat = (text || "").replace(/\s+/g, " ").trim();
+  return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat || "(no text)";
+};
+
+// Users with the profile fields delivery needs
+async function loadRecipients(pool) {
+  const result = await pool.request().query(`
+    SELECT
+      sub,
+      COALESCE(NULLIF(name,''), CONCAT(COALESCE(firstName,''), ' ', COALESCE(lastName,''))) AS name,
+      email,
+      notifyEmail,
+      notifyWebhook,
+      notifyWebhookUrl
+    FROM dbo.users;
+  `);
+  return result.recordset;
+}
+
+// -----------------------------------------------------------------------------
+// New-post digests
+// -----------------------------------------------------------------------------
+
+function buildDigest(posts, { personal }) {
+  const subject = posts.length === 1 ? "A new company post to share" : `${posts.length} new company posts to share`;
+  const intro = personal
+    ? "New posts you haven't reacted to, commented on or shared yet:"
+    : "New company posts are up:";
+  const advocacyUrl = new URL("/advocacy", FRONTEND_ORIGIN).toString();
+
+  const text = [
+    intro,
+    "",
+    ...posts.map((post) => `• ${excerpt(post.text)}\n  ${postUrl(post.postId)}`),
+    "",
+    `Share them from ${advocacyUrl}`,
+  ].join("\n");
+
+  const html = [
+    `<p>${escapeHtml(intro)}</p>`,
+    "<ul>",
+    ...posts.map(
+      (post) => `<li><a href="${escapeHtml(postUrl(post.postId))}">${escapeHtml(excerpt(post.text))}</a></li>`
+    ),
+    "</ul>",
+    `<p><a href="${escapeHtml(advocacyUrl)}">Share them from the dashboard</a></p>`,
+  ].join("\n");
+
+  return { subject, text, html };
+}
+
+// Claim an organization's posts that haven't been announced yet, so concurrent
+// runs never announce a post twice; they are announced once a delivery succeeds
+// (see finishPostClaim). Posts older than NOTIFY_DIGEST_MAX_AGE_DAYS (and
+// deleted or non-public ones) are marked announced without being listed.
+async function claimNewPosts(pool, orgId) {
+  const result = await pool.request()
+    .input("organizationId", sql.Int, orgId)
+    .input("maxAgeDays", sql.Int, NOTIFY_DIGEST_MAX_AGE_DAYS)
+    .input("claimSeconds", sql.Int, Math.floor(DIGEST_CLAIM_TTL_MS / 1000))
+    .query(`
+      UPDATE dbo.LinkedInPosts
+      SET announcedAt = SYSDATETIMEOFFSET()
+      WHERE organizationId = @organizationId
+        AND announcedAt IS NULL
+        AND (deletedAt IS NOT NULL
+          OR ISNULL(visibility, '') <> 'PUBLIC'
+          OR publishedAt < DATEADD(day, -@maxAgeDays, SYSDATETIMEOFFSET()));
+
+      UPDATE dbo.LinkedInPosts
+      SET announcingAt = SYSDATETIMEOFFSET()
+      OUTPUT INSERTED.postId, INSERTED.text, INSERTED.publishedAt
+      WHERE organizationId = @organizationId
+        AND announcedAt IS NULL
+        AND (announcingAt IS NULL OR announcingAt < DATEADD(second, -@claimSeconds, SYSDATETIMEOFFSET()));
+    `);
+  return result.recordset.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+}
+
+// Mark claimed posts announced, or give them back for the next digest when none
+// of its deliveries went through
+async function finishPostClaim(pool, postIds, announced) {
+  await pool.request()
+    .input("postIds", sql.NVarChar(sql.MAX), JSON.stringify(postIds))
+    .query(`
+      UPDATE dbo.LinkedInPosts
+      SET ${announced ? "announcedAt = SYSDATETIMEOFFSET()," : ""} announcingAt = NULL
+      WHERE postId IN (SELECT value FROM OPENJSON(@postIds)) AND announcedAt IS NULL;
+    `);
+}
+
+// After a sync: send each user a digest of the organization's new posts they
+// haven't engaged with or shared, and post the new posts to the shared channel.
+// Returns { posts, recipients }.
+async function sendNewPostDigest(orgId) {
+  if (!NOTIFY_DIGEST_ENABLED) return { posts: 0, recipients: 0 };
+
+  const pool = await getPool();
+  const posts = await claimNewPosts(pool, orgId);
+  if (posts.length === 0) return { posts: 0, recipients: 0 };
+
+  const postIds = posts.map((post) => post.postId);
+  let delivery;
+  try {
+    delivery = await deliverDigest(pool, posts);
+  } catch (err) {
+    await finishPostClaim(pool, postIds, false).catch(() => {});
+    throw err;
+  }
+
+  // Nobody to tell counts as announced too; an outage leaves the posts for the next sync
+  const announced = delivery.sent > 0 || delivery.attempted === 0;
+  await finishPostClaim(pool, postIds, announced);
+  if (!announced) {
+    console.warn(`[Notify] No digest delivery for organization ${orgId} succeeded; retrying after the next sync`);
+    return { posts: posts.length, recipients: 0 };
+  }
+
+  console.log(
+    `[Notify] Digest of ${posts.length} new post(s) for organization ${orgId} sent to ${delivery.recipients} user(s)`
+  );
+  return { posts: posts.length, recipients: delivery.recipients };
+}
+
+// Send the digest of claimed posts to each user who hasn't seen them, and to the
+// shared channel. Returns { attempted, sent, recipients } (deliveries and users).
+async function deliverDigest(pool, posts) {
+  const postIds = posts.map((post) => post.postId);
+  const seen = await pool.request()
+    .input("postIds", sql.NVarChar(sql.MAX), JSON.stringify(postIds))
+    .query(`
+      SELECT userSub, postId FROM dbo.PostEngagements
+      WHERE postId IN (SELECT value FROM OPENJSON(@postIds)) AND removedAt IS NULL
+      UNION
+      SELECT userSub, postId FROM dbo.AdvocacyShares
+      WHERE postId IN (SELECT value FROM OPENJSON(@postIds));
+    `);
+  const seenKeys = new Set(seen.recordset.map((row) => `${row.userSub.toLowerCase()}|${row.postId}`));
+
+  let attempted = 0;
+  let sent = 0;
+  let recipients = 0;
+  for (const user of await loadRecipients(pool)) {
+    const unseen = posts
+      .filter((post) => !seenKeys.has(`${user.sub.toLowerCase()}|${post.postId}`))
+      .slice(0, NOTIFY_DIGEST_MAX_POSTS);
+    if (unseen.length === 0) continue;
+
+    const delivery = await deliverToUser(pool, user, {
+      kind: "digest",
+      message: buildDigest(unseen, { personal: true }),
+      detail: unseen.map((post) => post.postId).join(","),
+    });
+    attempted += delivery.attempted;
+    sent += delivery.sent;
+    if (delivery.sent > 0) recipients++;
+  }
+
+  if (NOTIFY_CHANNEL_WEBHOOK_URL) {
+    attempted++;
+    const channelSent = await deliverToChannel(pool, {
+      kind: "digest",
+      message: buildDigest(posts.slice(0, NOTIFY_DIGEST_MAX_POSTS), { personal: false }),
+      detail: postIds.join(","),
+    });
+    if (channelSent) sent++;
+  }
+
+  return { attempted, sent, recipients };
+}
+
+// -----------------------------------------------------------------------------
+// Weekly leaderboard summaries
+// -----------------------------------------------------------------------------
+
+function buildLeaderboardSummary(weekStart, top, own) {
+  const subject = `Leaderboard for the week of ${toDateString(weekStart)}`;
+  const lines = top.map((row) => `${row.rank}. ${row.name} — ${Math.round(row.score)} pts`);
+
+  let ownLine = null;
+  if (own) {
+    ownLine = own.score > 0
+      ? `You finished #${own.rank} with ${Math.round(own.score)} pts.`
+      : "You weren't on the board last week — react to, comment on or share a post this week to get on it.";
+  }
+  const leaderboardUrl = new URL("/leaderboard", FRONTEND_ORIGIN).toString();
+
+  const text = [
+    lines.length > 0 ? `Top ${lines.length} last week:` : "Nobody scored last week.",
+    ...lines,
+    ...(ownLine ? ["", ownLine] : []),
+    "",
+    `Full leaderboard: ${leaderboardUrl}`,
+  ].join("\n");
+
+  const html = [
+    lines.length > 0 ? `<p>Top ${lines.length} last week:</p>` : "<p>Nobody scored last week.</p>",
+    lines.length > 0 ? `<ol>${top.map((row) =>
+      `<li>${escapeHtml(row.name)} — ${Math.round(row.score)} pts</li>`).join("")}</ol>` : "",
+    ownLine ? `<p>${escapeHtml(ownLine)}</p>` : "",
+    `<p><a href="${escapeHtml(leaderboardUrl)}">Full leaderboard</a></p>`,
+  ].join("\n");
+
+  return { subject, text, html };
+}
+
+// Claim a summary period before its first message goes out. Returns the period's
+// status: "sending" (new, or left unfinished by an earlier run) or "sent"; null if
+// a concurrent run claimed it first.
+async function claimPeriod(pool, kind, periodKey) {
+  try {
+    const result = await pool.request()
+      .input("kind", sql.VarChar(20), kind)
+      .input("periodKey", sql.VarChar(20), periodKey)
+      .query(`
+        IF NOT EXISTS (SELECT 1 FROM dbo.NotificationPeriods WHERE kind = @kind AND periodKey = @periodKey)
+        BEGIN
+          INSERT INTO dbo.NotificationPeriods (kind, periodKey) VALUES (@kind, @periodKey);
+        END
+
+        SELECT status FROM dbo.NotificationPeriods WHERE kind = @kind AND periodKey = @periodKey;
+      `);
+    return result.recordset[0].status;
+  } catch (err) {
+    if (err.number === 2627 || err.number === 2601) return null;
+    throw err;
+  }
+}
+
+// Send the completed week's leaderboard to every user (with their own rank) and
+// the shared channel. The week is claimed first (see claimPeriod) and only
+// counts as sent once a delivery went through: until then, running again resumes
+// it, skipping users and the channel it already reached. Returns { periodKey,
+// alreadySent: true } if that week's summary was sent, otherwise { periodKey,
+// recipients, status } (status "sending" when no delivery succeeded).
+// Call through runLockedWeeklyLeaderboard.
+async function sendWeeklyLeaderboard(now = new Date()) {
+  const weekEnd = bucketStart(now, "week");
+  const weekStart = addBuckets(weekEnd, "week", -1);
+  const periodKey = toDateString(weekStart);
+
+  const pool = await getPool();
+  if ((await claimPeriod(pool, "leaderboard", periodKey)) !== "sending") {
+    return { periodKey, alreadySent: true };
+  }
+
+  const reached = await pool.request()
+    .input("periodKey", sql.VarChar(20), periodKey)
+    .query(`
+      SELECT DISTINCT recipient FROM dbo.NotificationLog
+      WHERE kind = 'leaderboard' AND periodKey = @periodKey AND status = 'sent';
+    `);
+  const done = new Set(reached.recordset.map((row) => row.recipient.toLowerCase()));
+
+  const { rows } = await computeLeaderboard({ since: weekStart, until: weekEnd });
+  const top = rows.filter((row) => row.score > 0).slice(0, NOTIFY_LEADERBOARD_TOP);
+  const bySub = new Map(rows.map((row) => [row.sub.toLowerCase(), row]));
+
+  let attempted = 0;
+  let sent = 0;
+  let recipients = 0;
+  for (const user of await loadRecipients(pool)) {
+    if (done.has(user.sub.toLowerCase())) continue;
+    const own = bySub.get(user.sub.toLowerCase()) || { score: 0 };
+    const delivery = await deliverToUser(pool, user, {
+      kind: "leaderboard",
+      periodKey,
+      message: buildLeaderboardSummary(weekStart, top, own),
+    });
+    attempted += delivery.attempted;
+    sent += delivery.sent;
+    if (delivery.sent > 0) recipients++;
+  }
+
+  if (NOTIFY_CHANNEL_WEBHOOK_URL && !done.has("channel")) {
+    attempted++;
+    const channelSent = await deliverToChannel(pool, {
+      kind: "leaderboard",
+      periodKey,
+      message: buildLeaderboardSummary(weekStart, top, null),
+    });
+    if (channelSent) sent++;
+  }
+
+  const complete = done.size > 0 || sent > 0 || attempted === 0;
+  if (complete) {
+    await pool.request()
+      .input("periodKey", sql.VarChar(20), periodKey)
+      .query(`
+        UPDATE dbo.NotificationPeriods
+        SET status = 'sent', sentAt = SYSDATETIMEOFFSET()
+        WHERE kind = 'leaderboard' AND periodKey = @periodKey;
+      `);
+    console.log(`[Notify] Leaderboard summary for the week of ${periodKey} sent to ${recipients} user(s)`);
+  } else {
+    console.warn(`[Notify] No leaderboard summary for the week of ${periodKey} was delivered; sending again retries it`);
+  }
+  return { periodKey, recipients, status: complete ? "sent" : "sending" };
+}
+
+// Send the weekly summary under LOCK_NAME, so the schedule and an admin's manual
+// send never overlap. Returns null (without sending) if another run holds the lock.
+async function runLockedWeeklyLeaderboard(now = new Date()) {
+  const ownerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+  if (!(await acquireLock(LOCK_NAME, ownerId, LOCK_TTL_MS))) return null;
+
+  // Sending to every user can outlast the lease
+  const heartbeat = setInterval(() => {
+    renewLock(LOCK_NAME, ownerId, LOCK_TTL_MS).then(
+      (held) => {
+        if (!held) console.error("[Notify] Lost the leaderboard summary lock during a run");
+      },
+      (err) => console.error("[Notify] Failed to renew the leaderboard summary lock:", err.message)
+    );
+  }, Math.floor(LOCK_TTL_MS / 3));
+  heartbeat.unref();
+
+  try {
+    return await sendWeeklyLeaderboard(now);
+  } finally {
+    clearInterval(heartbeat);
+    await releaseLock(LOCK_NAME, ownerId).catch(() => {});
+  }
+}
+
+// Send weekly summaries on NOTIFY_LEADERBOARD_SCHEDULE; only one instance runs it per tick
+function scheduleNotifications() {
+  if (!cron.validate(NOTIFY_LEADERBOARD_SCHEDULE)) {
+    console.error(`[Notify] Invalid NOTIFY_LEADERBOARD_SCHEDULE "${NOTIFY_LEADERBOARD_SCHEDULE}"; summaries disabled`);
+    return;
+  }
+
+  cron.schedule(NOTIFY_LEADERBOARD_SCHEDULE, async () => {
+    try {
+      const result = await runLockedWeeklyLeaderboard();
+      if (result?.alreadySent) console.log("[Notify] Leaderboard summary already sent this week");
+    } catch (err) {
+      console.error("[Notify] Leaderboard summary failed:", err.message);
+    }
+  });
+
+  console.log(`[Notify] Scheduled weekly leaderboard summaries (${NOTIFY_LEADERBOARD_SCHEDULE})`);
+}
+
+// Recent deliveries, newest first
+async function getNotificationLog({ kind = null, limit = 50 } = {}) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("kind", sql.VarChar(20), kind)
+    .input("limit", sql.Int, limit)
+    .query(`
+      SELECT TOP (@limit) id, kind, channel, recipient, periodKey, status, detail, createdAt
+      FROM dbo.NotificationLog
+      WHERE @kind IS NULL OR kind = @kind
+      ORDER BY createdAt DESC, id DESC;
+    `);
+  return result.recordset;
+}
+
+module.exports = {
+  validateWebhookUrl,
+  getPreferences,
+  updatePreferences,
+  sendNewPostDigest,
+  runLockedWeeklyLeaderboard,
+  scheduleNotifications,
+  getNotificationLog,
+};
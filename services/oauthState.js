@@ -0,0 +1,92 @@
+// services/oauthState.js
+// One-time OAuth state nonces with optional PKCE, stored in the database so
+// any instance can validate a callback
+
+const crypto = require("crypto");
+const { sql, getPool } = require("../db");
+
+const OAUTH_STATE_TTL_MS = Number(process.env.OAUTH_STATE_TTL_MS || 10 * 60 * 1000);
+// LinkedIn only accepts PKCE for apps enabled for it, so it is opt-in
+const PKCE_ENABLED = process.env.LINKEDIN_OAUTH_PKCE === "true";
+
+const base64url = (buf) => buf.toString("base64url");
+
+// Only same-origin paths like "/posts/123?tab=1"; anything else is dropped
+function sanitizeReturnTo(value) {
+  if (typeof value !== "string" || value.length > 500) return null;
+  if (!value.startsWith("/") || value.startsWith("//") || value.includes("\\")) return null;
+  return value;
+}
+
+// Create and store a state nonce. Returns { state, codeChallenge } where
+// codeChallenge is null unless PKCE is enabled.
+async function createOAuthState(purpose, { returnTo = null, userSub = null, organizationId = null } = {}) {
+  const state = base64url(crypto.randomBytes(32));
+  const codeVerifier = PKCE_ENABLED ? base64url(crypto.randomBytes(48)) : null;
+  const codeChallenge = codeVerifier
+    ? base64url(crypto.createHash("sha256").update(codeVerifier).digest())
+    : null;
+
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("state", sql.VarChar(64), state);
+  r.input("purpose", sql.VarChar(30), purpose);
+  r.input("codeVerifier", sql.VarChar(128), codeVerifier);
+  r.input("returnTo", sql.NVarChar(500), sanitizeReturnTo(returnTo));
+  r.input("userSub", sql.VarChar(100), userSub);
+  r.input("organizationId", sql.Int, organizationId);
+  r.input("expiresAt", sql.DateTimeOffset, new Date(Date.now() + OAUTH_STATE_TTL_MS));
+
+  await r.query(`
+    DELETE FROM dbo.OAuthStates WHERE expiresAt < DATEADD(day, -1, SYSDATETIMEOFFSET());
+
+    INSERT INTO dbo.OAuthStates (state, purpose, codeVerifier, returnTo, userSub, organizationId, expiresAt)
+    VALUES (@state, @purpose, @codeVerifier, @returnTo, @userSub, @organizationId, @expiresAt);
+  `);
+
+  return { state, codeChallenge };
+}
+
+// Mark a state as used and return { codeVerifier, returnTo, userSub, organizationId }, or null
+// if it is unknown, expired, already used or was issued for another flow
+async function consumeOAuthState(state, purpose) {
+  if (typeof state !== "string" || !state || state.length > 64) return null;
+
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("state", sql.VarChar(64), state)
+    .input("purpose", sql.VarChar(30), purpose)
+    .query(`
+      UPDATE dbo.OAuthStates
+      SET consumedAt = SYSDATETIMEOFFSET()
+      OUTPUT INSERTED.codeVerifier, INSERTED.returnTo, INSERTED.userSub, INSERTED.organizationId
+      WHERE state = @state
+        AND purpose = @purpose
+        AND consumedAt IS NULL
+        AND expiresAt > SYSDATETIMEOFFSET();
+    `);
+
+  return result.recordset[0] || null;
+}
+
+// LinkedIn authorization URL for a stored state
+function buildAuthorizationUrl({ clientId, redirectUri, scope, state, codeChallenge }) {
+  let url =
+    `https://www.linkedin.com/oauth/v2/authorization?response_type=code&` +
+    `client_id=${encodeURIComponent(clientId)}&` +
+    `redirect_uri=${encodeURIComponent(redirectUri)}&` +
+    `state=${encodeURIComponent(state)}&` +
+    `scope=${encodeURIComponent(scope)}`;
+
+  if (codeChallenge) {
+    url += `&code_challenge=${encodeURIComponent(codeChallenge)}&code_challenge_method=S256`;
+  }
+  return url;
+}
+
+module.exports = {
+  createOAuthState,
+  consumeOAuthState,
+  buildAuthorizationUrl,
+  sanitizeReturnTo,
+};
@@ -0,0 +1,105 @@
+// services/organizations.js
+// Company pages tracked by this deployment
+
+const { sql, getPool } = require("../db");
+
+// Preferred default organization; falls back to the oldest active one
+const LINKEDIN_ORG_URN = process.env.LINKEDIN_ORG_URN || null;
+
+const ORG_COLUMNS = "id, orgUrn, name, syncSchedule, isActive, createdAt";
+
+async function listOrganizations({ activeOnly = false } = {}) {
+  const pool = await getPool();
+  const result = await pool.request().query(`
+    SELECT ${ORG_COLUMNS}
+    FROM dbo.Organizations
+    ${activeOnly ? "WHERE isActive = 1" : ""}
+    ORDER BY id ASC;
+  `);
+  return result.recordset;
+}
+
+async function getOrganization(id) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("id", sql.Int, id)
+    .query(`SELECT ${ORG_COLUMNS} FROM dbo.Organizations WHERE id = @id`);
+  return result.recordset[0] || null;
+}
+
+async function getDefaultOrganization() {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("orgUrn", sql.VarChar(100), LINKEDIN_ORG_URN)
+    .query(`
+      SELECT TOP 1 ${ORG_COLUMNS}
+      FROM dbo.Organizations
+      WHERE isActive = 1
+      ORDER BY CASE WHEN orgUrn = @orgUrn THEN 0 ELSE 1 END, id ASC;
+    `);
+  return result.recordset[0] || null;
+}
+
+// Organization named by an orgId value from a request, or the default one.
+// Returns null for an unknown id, or a deactivated one unless includeInactive
+// (token management still has to reach those); throws if no organization exists at all.
+async function resolveOrganization(orgId, { includeInactive = false } = {}) {
+  if (orgId !== undefined && orgId !== null && orgId !== "") {
+    const id = Number(orgId);
+    const org = Number.isInteger(id) ? await getOrganization(id) : null;
+    return org && (org.isActive || includeInactive) ? org : null;
+  }
+
+  const org = await getDefaultOrganization();
+  if (!org) {
+    throw new Error("No organization configured. Create one at POST /admin/organizations");
+  }
+  return org;
+}
+
+async function createOrganization({ orgUrn, name = null, syncSchedule = null }) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("orgUrn", sql.VarChar(100), orgUrn)
+    .input("name", sql.NVarChar(200), name)
+    .input("syncSchedule", sql.VarChar(100), syncSchedule)
+    .query(`
+      INSERT INTO dbo.Organizations (orgUrn, name, syncSchedule)
+      OUTPUT INSERTED.id, INSERTED.orgUrn, INSERTED.name, INSERTED.syncSchedule,
+             INSERTED.isActive, INSERTED.createdAt
+      VALUES (@orgUrn, @name, @syncSchedule);
+    `);
+  return result.recordset[0];
+}
+
+// Update name, syncSchedule and/or isActive; undefined fields are left alone
+async function updateOrganization(id, { name, syncSchedule, isActive }) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("id", sql.Int, id)
+    .input("setName", sql.Bit, name !== undefined ? 1 : 0)
+    .input("name", sql.NVarChar(200), name ?? null)
+    .input("setSchedule", sql.Bit, syncSchedule !== undefined ? 1 : 0)
+    .input("syncSchedule", sql.VarChar(100), syncSchedule ?? null)
+    .input("setActive", sql.Bit, isActive !== undefined ? 1 : 0)
+    .input("isActive", sql.Bit, isActive ? 1 : 0)
+    .query(`
+      UPDATE dbo.Organizations
+      SET name = CASE WHEN @setName = 1 THEN @name ELSE name END,
+          syncSchedule = CASE WHEN @setSchedule = 1 THEN @syncSchedule ELSE syncSchedule END,
+          isActive = CASE WHEN @setActive = 1 THEN @isActive ELSE isActive END
+      OUTPUT INSERTED.id, INSERTED.orgUrn, INSERTED.name, INSERTED.syncSchedule,
+             INSERTED.isActive, INSERTED.createdAt
+      WHERE id = @id;
+    `);
+  return result.recordset[0] || null;
+}
+
+module.exports = {
+  listOrganizations,
+  getOrganization,
+  getDefaultOrganization,
+  resolveOrganization,
+  createOrganization,
+  updateOrganization,
+};
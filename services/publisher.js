@@ -0,0 +1,190 @@
+// services/publisher.js
+// Publish, edit and delete posts on an organization's LinkedIn page, and reshare
+// them on employees' behalf (or locally in mock mode)
+
+const crypto = require("crypto");
+const { sql, getPool } = require("../db");
+const linkedin = require("./linkedinClient");
+const { getAdminToken } = require("./adminTokens");
+const { getMemberToken, memberUrn } = require("./memberTokens");
+const { MOCK_MODE } = require("./linkedinSync");
+const { uploadToLinkedIn, buildPostContent, attachMediaToPost } = require("./media");
+
+// Record a published post so it shows up in the feed before the next sync
+async function insertPublishedPost(pool, org, postId, text) {
+  const r = pool.request();
+  r.input("postId", sql.VarChar(255), postId);
+  r.input("text", sql.NVarChar, text);
+  r.input("organizationId", sql.Int, org.id);
+  r.input("author", sql.VarChar, org.orgUrn);
+  r.input("visibility", sql.VarChar, "PUBLIC");
+  r.input("publishedAt", sql.DateTimeOffset, new Date());
+  r.input("source", sql.VarChar(20), "published");
+
+  await r.query(`
+    INSERT INTO dbo.LinkedInPosts (postId, organizationId, text, author, visibility, publishedAt, source)
+    VALUES (@postId, @organizationId, @text, @author, @visibility, @publishedAt, @source);
+  `);
+}
+
+// Flag an error raised once LinkedIn may have created the post, or did (postId
+// known): publishing again could post it twice, so callers must not retry
+function markOutcomeUnknown(err, postId = null) {
+  err.publishOutcomeUnknown = true;
+  err.postId = postId;
+  return err;
+}
+
+// Publish text as the organization, with a draft's stored attachments (see
+// getDraftMedia withStorage). Returns { postId, media, mockMode }. Throws
+// (LinkedInApiError for API failures) if the post could not be published, with
+// publishOutcomeUnknown set (see markOutcomeUnknown) when it may have been.
+async function publishPost(org, text, attachments = []) {
+  const commentary = text.trim();
+  const pool = await getPool();
+
+  if (MOCK_MODE) {
+    // Mock mode: store locally only; attachments are already on disk
+    const postId = `urn:li:share:local_${Date.now()}`;
+    await insertPublishedPost(pool, org, postId, commentary);
+    const media = await attachMediaToPost(pool, postId, attachments);
+    return { postId, media, mockMode: true };
+  }
+
+  // Real mode: upload attachments, then publish via LinkedIn API
+  const token = await getAdminToken(org.id);
+  const uploaded = await uploadToLinkedIn(token, org.orgUrn, attachments);
+
+  let response;
+  try {
+    response = await linkedin.post(token, "/rest/posts", {
+      author: org.orgUrn,
+      commentary,
+      visibility: "PUBLIC",
+      distribution: {
+        feedDistribution: "MAIN_FEED",
+        targetEntities: [],
+        thirdPartyDistributionChannels: [],
+      },
+      content: buildPostContent(uploaded),
+      lifecycleState: "PUBLISHED",
+    });
+  } catch (err) {
+    // Only a rejection (4xx) means nothing was posted; after a 5xx or a timeout
+    // the post may well be live
+    if (!(err.status >= 400 && err.status < 500)) throw markOutcomeUnknown(err);
+    throw err;
+  }
+
+  // The new post URN comes back in the x-restli-id header
+  const postId =
+    response.data?.id || response.headers["x-restli-id"] || `urn:li:share:api_${Date.now()}`;
+  try {
+    await insertPublishedPost(pool, org, postId, commentary);
+    const media = await attachMediaToPost(pool, postId, uploaded);
+    return { postId, media, mockMode: false };
+  } catch (err) {
+    throw markOutcomeUnknown(err, postId);
+  }
+}
+
+const postPath = (postId) => `/rest/posts/${encodeURIComponent(postId)}`;
+
+// Replace a published post's text on LinkedIn (partial update of its commentary)
+// and locally. Mock mode only updates the local copy.
+async function updatePost(org, postId, text, editedBy) {
+  const commentary = text.trim();
+
+  if (!MOCK_MODE) {
+    const token = await getAdminToken(org.id);
+    await linkedin.post(
+      token,
+      postPath(postId),
+      { patch: { $set: { commentary } } },
+      { "X-RestLi-Method": "PARTIAL_UPDATE" }
+    );
+  }
+
+  const pool = await getPool();
+  await pool.request()
+    .input("postId", sql.VarChar(255), postId)
+    .input("text", sql.NVarChar, commentary)
+    .input("editedBy", sql.VarChar(100), editedBy)
+    .query(`
+      UPDATE dbo.LinkedInPosts
+      SET text = @text, editedAt = SYSDATETIMEOFFSET(), editedBy = @editedBy
+      WHERE postId = @postId;
+    `);
+}
+
+// Delete a post on LinkedIn and soft-delete it locally, keeping its engagements
+// and stats. A post LinkedIn no longer has (404) is treated as already deleted.
+async function deletePost(org, postId, deletedBy) {
+  if (!MOCK_MODE) {
+    const token = await getAdminToken(org.id);
+    try {
+      await linkedin.request(token, {
+        method: "DELETE",
+        path: postPath(postId),
+        headers: { "X-RestLi-Method": "DELETE" },
+        idempotent: true,
+      });
+    } catch (err) {
+      if (err.status !== 404) throw err;
+      console.warn(`[Publisher] ${postId} was already deleted on LinkedIn`);
+    }
+  }
+
+  const pool = await getPool();
+  await pool.request()
+    .input("postId", sql.VarChar(255), postId)
+    .input("deletedBy", sql.VarChar(100), deletedBy)
+    .query(`
+      UPDATE dbo.LinkedInPosts
+      SET deletedAt = SYSDATETIMEOFFSET(), deletedBy = @deletedBy
+      WHERE postId = @postId AND deletedAt IS NULL;
+    `);
+}
+
+// Reshare an organization's post to a member's own feed with their commentary,
+// using the member's consented token. Returns { shareUrn, mockMode }, or null if
+// the member hasn't consented (or their consent expired). Throws (LinkedInApiError
+// for API failures, reconnectRequired set when the token can't be refreshed) if
+// the reshare could not be published, with publishOutcomeUnknown set when it may
+// have been.
+async function resharePost(userSub, postId, commentary) {
+  if (MOCK_MODE) {
+    // Mock mode: nothing is posted; the share URN only has to be unique
+    const shareUrn = `urn:li:share:local_reshare_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+    return { shareUrn, mockMode: true };
+  }
+
+  const token = await getMemberToken(userSub);
+  if (!token) return null;
+
+  let response;
+  try {
+    response = await linkedin.post(token, "/rest/posts", {
+      author: memberUrn(userSub),
+      commentary: commentary || "",
+      visibility: "PUBLIC",
+      distribution: {
+        feedDistribution: "MAIN_FEED",
+        targetEntities: [],
+        thirdPartyDistributionChannels: [],
+      },
+      lifecycleState: "PUBLISHED",
+      isReshareDisabledByAuthor: false,
+      reshareContext: { parent: postId },
+    });
+  } catch (err) {
+    if (!(err.status >= 400 && err.status < 500)) throw markOutcomeUnknown(err);
+    throw err;
+  }
+
+  const shareUrn =
+    response.data?.id || response.headers["x-restli-id"] || `urn:li:share:api_${Date.now()}`;
+  return { shareUrn, mockMode: false };
+}
+
+module.exports = { publishPost, markOutcomeUnknown, updatePost, deletePost, resharePost };
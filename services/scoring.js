@@ -0,0 +1,321 @@
+// services/scoring.js
+// Versioned engagement scoring models and the weighted leaderboard
+
+const { sql, getPool } = require("../db");
+const { countedShares } = require("./advocacy");
+
+// Config shape stored in ScoringModels.config:
+// {
+//   weights:         { REACTION, COMMENT, SHARE }   points per engagement type
+//   reactionWeights: { LIKE: 1, INSIGHTFUL: 2, ... } overrides weights.REACTION per reaction type
+//   earlyBonus:      { withinHours, points } | null  extra points for engaging soon after publication
+//   capPerPost:      number | null                   max points one user can earn on one post
+// }
+const ENGAGEMENT_TYPES = ["REACTION", "COMMENT", "SHARE"];
+const CONFIG_KEYS = ["weights", "reactionWeights", "earlyBonus", "capPerPost"];
+
+const isPoints = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+// Returns a list of problems with a scoring config (empty when valid)
+function validateScoringConfig(config) {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return ["config must be an object"];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(config)) {
+    if (!CONFIG_KEYS.includes(key)) errors.push(`Unknown config key: ${key}`);
+  }
+
+  const weights = config.weights || {};
+  for (const type of ENGAGEMENT_TYPES) {
+    if (!isPoints(weights[type])) errors.push(`weights.${type} must be a number >= 0`);
+  }
+  for (const type of Object.keys(weights)) {
+    if (!ENGAGEMENT_TYPES.includes(type)) errors.push(`Unknown engagement type in weights: ${type}`);
+  }
+
+  for (const [reaction, points] of Object.entries(config.reactionWeights || {})) {
+    if (!isPoints(points)) errors.push(`reactionWeights.${reaction} must be a number >= 0`);
+  }
+
+  if (config.earlyBonus != null) {
+    const { withinHours, points } = config.earlyBonus;
+    if (!(typeof withinHours === "number" && withinHours > 0)) {
+      errors.push("earlyBonus.withinHours must be a number > 0");
+    }
+    if (!isPoints(points)) errors.push("earlyBonus.points must be a number >= 0");
+  }
+
+  if (config.capPerPost != null && !(typeof config.capPerPost === "number" && config.capPerPost > 0)) {
+    errors.push("capPerPost must be a number > 0 or null");
+  }
+
+  return errors;
+}
+
+// -----------------------------------------------------------------------------
+// Model storage
+// -----------------------------------------------------------------------------
+
+function toModel(row) {
+  return row && { ...row, config: JSON.parse(row.config) };
+}
+
+const MODEL_COLUMNS = "version, config, notes, isActive, createdBy, createdAt";
+
+async function listScoringModels() {
+  const pool = await getPool();
+  const result = await pool.request().query(`
+    SELECT ${MODEL_COLUMNS} FROM dbo.ScoringModels ORDER BY version DESC;
+  `);
+  return result.recordset.map(toModel);
+}
+
+async function getActiveScoringModel() {
+  const pool = await getPool();
+  const result = await pool.request().query(`
+    SELECT ${MODEL_COLUMNS} FROM dbo.ScoringModels WHERE isActive = 1;
+  `);
+  if (!result.recordset[0]) {
+    throw new Error("No active scoring model. Run migration 014 or create one at POST /admin/scoring-models");
+  }
+  return toModel(result.recordset[0]);
+}
+
+async function getScoringModel(version) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("version", sql.Int, version)
+    .query(`SELECT ${MODEL_COLUMNS} FROM dbo.ScoringModels WHERE version = @version`);
+  return toModel(result.recordset[0] || null);
+}
+
+// Save a config as the next version and make it the active model
+async function createScoringModel(config, { notes = null, createdBy = null } = {}) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("config", sql.NVarChar(sql.MAX), JSON.stringify(config))
+    .input("notes", sql.NVarChar(500), notes)
+    .input("createdBy", sql.VarChar(100), createdBy)
+    .query(`
+      SET XACT_ABORT ON;
+      BEGIN TRANSACTION;
+
+      DECLARE @version INT = (
+        SELECT ISNULL(MAX(version), 0) + 1 FROM dbo.ScoringModels WITH (UPDLOCK, HOLDLOCK)
+      );
+      UPDATE dbo.ScoringModels SET isActive = 0 WHERE isActive = 1;
+      INSERT INTO dbo.ScoringModels (version, config, notes, isActive, createdBy)
+      VALUES (@version, @config, @notes, 1, @createdBy);
+
+      COMMIT;
+      SELECT ${MODEL_COLUMNS} FROM dbo.ScoringModels WHERE version = @version;
+    `);
+  return toModel(result.recordset[0]);
+}
+
+// Make an existing version the active model again. Returns false if it doesn't exist.
+async function activateScoringModel(version) {
+  const pool = await getPool();
+  const result = await pool.request()
+    .input("version", sql.Int, version)
+    .query(`
+      IF EXISTS (SELECT 1 FROM dbo.ScoringModels WHERE version = @version)
+        UPDATE dbo.ScoringModels
+        SET isActive = CASE WHEN version = @version THEN 1 ELSE 0 END
+        WHERE isActive = 1 OR version = @version;
+    `);
+  return result.rowsAffected.some((n) => n > 0);
+}
+
+// -----------------------------------------------------------------------------
+// Scoring
+// -----------------------------------------------------------------------------
+
+const round = (n) => Math.round(n * 100) / 100;
+
+function emptyBreakdown() {
+  return {
+    reactions: { count: 0, points: 0 },
+    comments: { count: 0, points: 0 },
+    shares: { count: 0, points: 0 },
+    earlyBonus: { count: 0, points: 0 },
+    cappedPoints: 0,
+  };
+}
+
+// Score reactions, comments and shares in [since, until) (open-ended when null),
+// optionally limited to one organization's posts, with a config. Points are
+// summed in SQL so only one row per user leaves the database.
+// Returns Map<lowercased userSub, { score, breakdown }>.
+async function loadUserScores(config, { orgId = null, since = null, until = null } = {}) {
+  const reactionWeights = Object.entries(config.reactionWeights || {})
+    .map(([reactionType, points]) => ({ reactionType, points }));
+
+  const pool = await getPool();
+  const r = pool.request();
+  r.input("orgId", sql.Int, orgId);
+  r.input("since", sql.DateTimeOffset, since);
+  r.input("until", sql.DateTimeOffset, until);
+  r.input("reactionPoints", sql.Float, config.weights.REACTION ?? 0);
+  r.input("commentPoints", sql.Float, config.weights.COMMENT ?? 0);
+  r.input("sharePoints", sql.Float, config.weights.SHARE ?? 0);
+  r.input("reactionWeights", sql.NVarChar(sql.MAX), JSON.stringify(reactionWeights));
+  r.input("bonusHours", sql.Float, config.earlyBonus?.withinHours ?? null);
+  r.input("bonusPoints", sql.Float, config.earlyBonus?.points ?? 0);
+  r.input("capPerPost", sql.Float, config.capPerPost ?? null);
+
+  // base: the reaction type's weight, else the engagement type's. bonus: earlyBonus
+  // points when engaged within withinHours of publication. Points a user earns on
+  // one post above capPerPost are reported as cappedPoints.
+  const result = await r.query(`
+    WITH events AS (
+      SELECT pe.userSub, pe.postId, pe.engagementType AS type, pe.reactionType,
+             pe.engagedAt AS at, lp.publishedAt
+      FROM dbo.PostEngagements pe
+      JOIN dbo.LinkedInPosts lp ON lp.postId = pe.postId
+      WHERE pe.removedAt IS NULL
+        AND (@since IS NULL OR pe.engagedAt >= @since)
+        AND (@until IS NULL OR pe.engagedAt < @until)
+        AND (@orgId IS NULL OR lp.organizationId = @orgId)
+
+      UNION ALL
+
+      SELECT ash.userSub, ash.postId, 'SHARE' AS type, NULL AS reactionType,
+             ash.sharedAt AS at, lp.publishedAt
+      FROM dbo.AdvocacyShares ash
+      JOIN dbo.LinkedInPosts lp ON lp.postId = ash.postId
+      WHERE (@since IS NULL OR ash.sharedAt >= @since)
+        AND (@until IS NULL OR ash.sharedAt < @until)
+        AND (@orgId IS NULL OR lp.organizationId = @orgId)
+        AND ${countedShares("ash")}
+    ),
+    scored AS (
+      SELECT LOWER(e.userSub) AS userKey, e.postId, e.type,
+             CASE e.type
+               WHEN 'REACTION' THEN COALESCE(rw.points, @reactionPoints)
+               WHEN 'COMMENT' THEN @commentPoints
+               WHEN 'SHARE' THEN @sharePoints
+               ELSE 0
+             END AS base,
+             CASE
+               WHEN @bonusHours IS NOT NULL
+                AND DATEDIFF_BIG(millisecond, e.publishedAt, e.at) BETWEEN 0 AND @bonusHours * 3600000
+               THEN @bonusPoints ELSE 0
+             END AS bonus
+      FROM events e
+      LEFT JOIN OPENJSON(@reactionWeights) WITH (reactionType VARCHAR(50), points FLOAT) AS rw
+        ON e.type = 'REACTION' AND rw.reactionType = e.reactionType
+    ),
+    capped AS (
+      SELECT userKey, SUM(CASE WHEN points > @capPerPost THEN points - @capPerPost ELSE 0 END) AS cappedPoints
+      FROM (SELECT userKey, postId, SUM(base + bonus) AS points FROM scored GROUP BY userKey, postId) AS perPost
+      GROUP BY userKey
+    )
+    SELECT s.userKey,
+           SUM(CASE WHEN s.type = 'REACTION' THEN 1 ELSE 0 END) AS reactionCount,
+           SUM(CASE WHEN s.type = 'REACTION' THEN s.base ELSE 0 END) AS reactionPoints,
+           SUM(CASE WHEN s.type = 'COMMENT' THEN 1 ELSE 0 END) AS commentCount,
+           SUM(CASE WHEN s.type = 'COMMENT' THEN s.base ELSE 0 END) AS commentPoints,
+           SUM(CASE WHEN s.type = 'SHARE' THEN 1 ELSE 0 END) AS shareCount,
+           SUM(CASE WHEN s.type = 'SHARE' THEN s.base ELSE 0 END) AS sharePoints,
+           SUM(CASE WHEN s.bonus > 0 THEN 1 ELSE 0 END) AS bonusCount,
+           SUM(s.bonus) AS bonusPoints,
+           MAX(c.cappedPoints) AS cappedPoints
+    FROM scored s
+    JOIN capped c ON c.userKey = s.userKey
+    GROUP BY s.userKey;
+  `);
+
+  const scores = new Map();
+  for (const row of result.recordset) {
+    const breakdown = {
+      reactions: { count: row.reactionCount, points: round(row.reactionPoints) },
+      comments: { count: row.commentCount, points: round(row.commentPoints) },
+      shares: { count: row.shareCount, points: round(row.sharePoints) },
+      earlyBonus: { count: row.bonusCount, points: round(row.bonusPoints) },
+      cappedPoints: round(row.cappedPoints || 0),
+    };
+    const score = round(
+      breakdown.reactions.points + breakdown.comments.points + breakdown.shares.points +
+      breakdown.earlyBonus.points - breakdown.cappedPoints
+    );
+    scores.set(row.userKey, { score, breakdown });
+  }
+  return scores;
+}
+
+// User attributes the leaderboard can be filtered by
+const USER_ATTRIBUTES = ["department", "team", "location"];
+
+// Users ranked by weighted score under a model (the active one by default),
+// optionally only those matching `filters` ({ department, team, location }).
+// Rows keep the raw reactions/comments/total counts alongside score and breakdown,
+// and carry a competition rank: tied scores share a rank and the next rank skips
+// (1, 2, 2, 4).
+async function computeLeaderboard({ orgId = null, since = null, until = null, filters = {}, model = null } = {}) {
+  const scoringModel = model || await getActiveScoringModel();
+  const pool = await getPool();
+
+  const usersRequest = pool.request();
+  for (const attr of USER_ATTRIBUTES) {
+    usersRequest.input(attr, sql.NVarChar(100), filters[attr] ?? null);
+  }
+
+  const [usersResult, scores] = await Promise.all([
+    usersRequest.query(`
+      SELECT
+        sub,
+        COALESCE(NULLIF(name,''), CONCAT(COALESCE(firstName,''), ' ', COALESCE(lastName,''))) AS name,
+        picture,
+        email,
+        department,
+        team,
+        location
+      FROM dbo.users
+      WHERE (@department IS NULL OR department = @department)
+        AND (@team IS NULL OR team = @team)
+        AND (@location IS NULL OR location = @location);
+    `),
+    loadUserScores(scoringModel.config, { orgId, since, until }),
+  ]);
+
+  const rows = usersResult.recordset.map((user) => {
+    const { score, breakdown } = scores.get(user.sub.toLowerCase()) || { score: 0, breakdown: emptyBreakdown() };
+    return {
+      ...user,
+      reactions: breakdown.reactions.count,
+      comments: breakdown.comments.count,
+      shares: breakdown.shares.count,
+      total: breakdown.reactions.count + breakdown.comments.count,
+      score,
+      breakdown,
+    };
+  });
+
+  rows.sort((a, b) =>
+    b.score - a.score ||
+    b.total - a.total ||
+    b.reactions - a.reactions ||
+    b.comments - a.comments ||
+    a.name.localeCompare(b.name)
+  );
+
+  rows.forEach((row, i) => {
+    row.rank = i > 0 && row.score === rows[i - 1].score ? rows[i - 1].rank : i + 1;
+  });
+
+  return { modelVersion: scoringModel.version, rows };
+}
+
+module.exports = {
+  validateScoringConfig,
+  listScoringModels,
+  getActiveScoringModel,
+  getScoringModel,
+  createScoringModel,
+  activateScoringModel,
+  computeLeaderboard,
+  USER_ATTRIBUTES,
+};
@@ -0,0 +1,145 @@
+// services/shareLinks.js
+// Personal short links per advocate and post, and click logging for attribution
+
+const crypto = require("crypto");
+const { sql } = require("../db");
+
+const BASE_URL = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3003}`;
+// Host the short links are served from, if not this server's BASE_URL
+const SHARE_LINK_BASE_URL = process.env.SHARE_LINK_BASE_URL || BASE_URL;
+// Repeat clicks from the same IP within this many hours count once
+const SHARE_LINK_DEDUPE_HOURS = Number(process.env.SHARE_LINK_DEDUPE_HOURS || 24);
+// Key for hashing client IPs, so stored hashes can't be reversed by trying every address
+const IP_HASH_SECRET = process.env.SHARE_LINK_IP_SECRET || process.env.JWT_SECRET || "super-secret-key";
+
+const CODE_ATTEMPTS = 3;
+
+const shareLinkUrl = (code) => `${SHARE_LINK_BASE_URL}/s/${code}`;
+
+// Where a share link sends people: the post on LinkedIn
+const postUrl = (postId) => `https://www.linkedin.com/feed/update/${encodeURIComponent(postId)}/`;
+
+// 8 URL-safe characters
+const newCode = () => crypto.randomBytes(6).toString("base64url");
+
+// A user's personal share links for posts, where they have one (see
+// getOrCreateShareLink). Returns a Map of postId -> short link URL.
+async function getShareLinks(pool, userSub, postIds) {
+  if (postIds.length === 0) return new Map();
+
+  const result = await pool.request()
+    .input("userSub", sql.VarChar(100), userSub)
+    .input("postIds", sql.NVarChar(sql.MAX), JSON.stringify(postIds))
+    .query(`
+      SELECT postId, code FROM dbo.ShareLinks
+      WHERE userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+        AND postId IN (SELECT value FROM OPENJSON(@postIds));
+    `);
+  return new Map(result.recordset.map((row) => [row.postId, shareLinkUrl(row.code)]));
+}
+
+// A user's personal share link for a post, created when they first share or copy
+// it. Returns the short link URL.
+async function getOrCreateShareLink(pool, userSub, postId) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await pool.request()
+        .input("userSub", sql.VarChar(100), userSub)
+        .input("postId", sql.VarChar(255), postId)
+        .input("code", sql.VarChar(16), newCode())
+        .query(`
+          IF NOT EXISTS (
+            SELECT 1 FROM dbo.ShareLinks
+            WHERE postId = @postId AND userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS
+          )
+          BEGIN
+            INSERT INTO dbo.ShareLinks (code, postId, userSub) VALUES (@code, @postId, @userSub);
+          END
+
+          SELECT code FROM dbo.ShareLinks
+          WHERE postId = @postId AND userSub = @userSub COLLATE SQL_Latin1_General_CP1_CI_AS;
+        `);
+      return shareLinkUrl(result.recordset[0].code);
+    } catch (err) {
+      // A code already taken, or a concurrent request created the same link: try again
+      if ((err.number === 2627 || err.number === 2601) && attempt < CODE_ATTEMPTS) continue;
+      throw err;
+    }
+  }
+}
+
+// The link behind a short code with its post, or null
+async function resolveShareLink(pool, code) {
+  if (typeof code !== "string" || !/^[A-Za-z0-9_-]{1,16}$/.test(code)) return null;
+
+  const result = await pool.request()
+    .input("code", sql.VarChar(16), code)
+    .query(`
+      SELECT sl.id, sl.code, sl.postId, sl.userSub, lp.deletedAt
+      FROM dbo.ShareLinks sl
+      JOIN dbo.LinkedInPosts lp ON lp.postId = sl.postId
+      WHERE sl.code = @code;
+    `);
+  return result.recordset[0] || null;
+}
+
+// Coarse device class from a User-Agent header
+function classifyUserAgent(userAgent) {
+  if (!userAgent) return "other";
+  if (/bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|curl|wget|python-requests/i.test(userAgent)) {
+    return "bot";
+  }
+  if (/ipad|tablet|kindle|silk|playbook|(android(?!.*mobile))/i.test(userAgent)) return "tablet";
+  if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/i.test(userAgent)) return "mobile";
+  if (/windows|macintosh|x11|linux|cros/i.test(userAgent)) return "desktop";
+  return "other";
+}
+
+// Only the host of the referring page is kept
+function referrerHost(referrer) {
+  if (!referrer) return null;
+  try {
+    return new URL(referrer).hostname.slice(0, 255) || null;
+  } catch {
+    return null;
+  }
+}
+
+const hashIp = (ip) => crypto.createHmac("sha256", IP_HASH_SECRET).update(ip || "unknown").digest("hex");
+
+// Log a click on a link unless the same IP clicked it within SHARE_LINK_DEDUPE_HOURS.
+// Returns true if the click was logged.
+async function recordClick(pool, linkId, { ip, referrer, userAgent }) {
+  const result = await pool.request()
+    .input("linkId", sql.BigInt, linkId)
+    .input("ipHash", sql.VarChar(64), hashIp(ip))
+    .input("referrer", sql.NVarChar(255), referrerHost(referrer))
+    .input("userAgent", sql.VarChar(20), classifyUserAgent(userAgent))
+    .input("dedupeHours", sql.Int, SHARE_LINK_DEDUPE_HOURS)
+    .query(`
+      INSERT INTO dbo.ShareLinkClicks (linkId, referrer, userAgent, ipHash)
+      SELECT @linkId, @referrer, @userAgent, @ipHash
+      WHERE NOT EXISTS (
+        SELECT 1 FROM dbo.ShareLinkClicks
+        WHERE linkId = @linkId
+          AND ipHash = @ipHash
+          AND clickedAt > DATEADD(hour, -@dedupeHours, SYSDATETIMEOFFSET())
+      );
+    `);
+  return result.rowsAffected[0] > 0;
+}
+
+// SQL condition on a ShareLinkClicks alias selecting clicks that count (not crawlers,
+// e.g. LinkedIn fetching the link preview)
+function countedClicks(alias) {
+  return `${alias}.userAgent <> 'bot'`;
+}
+
+module.exports = {
+  postUrl,
+  getShareLinks,
+  getOrCreateShareLink,
+  resolveShareLink,
+  recordClick,
+  countedClicks,
+};
@@ -0,0 +1,164 @@
+// services/syncJobs.js
+// Runs LinkedIn syncs as background jobs guarded by a database lock
+
+const os = require("os");
+const crypto = require("crypto");
+const cron = require("node-cron");
+const { getPool } = require("../db");
+const { acquireLock, renewLock, releaseLock, getLock } = require("./jobLock");
+const { runSync, createSyncLog, failAbandonedSyncs, SYNC_MODES } = require("./linkedinSync");
+const { listOrganizations } = require("./organizations");
+const { evaluateBadges } = require("./badges");
+const { sendNewPostDigest } = require("./notifications");
+
+// Organizations without their own syncSchedule sync daily at 6 AM
+const DEFAULT_SYNC_SCHEDULE = process.env.SYNC_SCHEDULE || "0 6 * * *";
+// Lease length; a live job renews it every third of this
+const SYNC_LOCK_TTL_MS = Number(process.env.SYNC_LOCK_TTL_MS || 5 * 60 * 1000);
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+// How often every instance re-reads organization schedules, so a change made
+// through another instance's admin API (or in the database) is picked up
+const ORG_SCHEDULE_REFRESH = process.env.ORG_SCHEDULE_REFRESH || "*/5 * * * *";
+
+// Each organization syncs independently, so each has its own lock
+const getSyncLockName = (orgId) => `linkedin_sync:${orgId}`;
+
+// Start an organization's sync in the background. Resolves as soon as the job is
+// registered: { started: true, jobId } or, when another sync for the organization
+// holds the lock, { started: false, jobId } with the running job's id (if known).
+async function startSyncJob({ orgId, mode = "incremental", triggeredBy = null } = {}) {
+  if (!SYNC_MODES.includes(mode)) {
+    throw new Error(`Unknown sync mode: ${mode}`);
+  }
+
+  const lockName = getSyncLockName(orgId);
+  const ownerId = `${INSTANCE_ID}:${crypto.randomUUID()}`;
+  const acquired = await acquireLock(lockName, ownerId, SYNC_LOCK_TTL_MS);
+  if (!acquired) {
+    const lock = await getLock(lockName);
+    return { started: false, jobId: lock?.jobId || null };
+  }
+
+  let jobId;
+  try {
+    const pool = await getPool();
+    const abandoned = await failAbandonedSyncs(pool, orgId);
+    if (abandoned > 0) {
+      console.warn(`[SyncJob] Marked ${abandoned} abandoned sync(s) as failed`);
+    }
+
+    jobId = await createSyncLog(pool, orgId, "RUNNING", mode, triggeredBy);
+    await renewLock(lockName, ownerId, SYNC_LOCK_TTL_MS, jobId);
+  } catch (err) {
+    await releaseLock(lockName, ownerId).catch(() => {});
+    throw err;
+  }
+
+  const heartbeat = setInterval(() => {
+    renewLock(lockName, ownerId, SYNC_LOCK_TTL_MS).then(
+      (held) => {
+        if (!held) console.error(`[SyncJob] Lost sync lock while job ${jobId} was running`);
+      },
+      (err) => console.error(`[SyncJob] Failed to renew sync lock:`, err.message)
+    );
+  }, Math.floor(SYNC_LOCK_TTL_MS / 3));
+  heartbeat.unref();
+
+  console.log(
+    `[SyncJob] Job ${jobId} started for organization ${orgId} ` +
+    `(${mode}, triggered by ${triggeredBy || "unknown"})`
+  );
+
+  runSync({ orgId, mode, logId: jobId, triggeredBy })
+    .then(async (result) => {
+      if (!result.success) return;
+      // New engagement may have earned badges; a failure here doesn't fail the sync
+      try {
+        const awards = await evaluateBadges({ triggeredBy: "sync" });
+        if (awards.length > 0) console.log(`[SyncJob] Job ${jobId} awarded ${awards.length} badge(s)`);
+      } catch (err) {
+        console.error(`[SyncJob] Badge evaluation after job ${jobId} failed:`, err.message);
+      }
+      // Tell employees about posts this sync found; likewise never fails the sync
+      try {
+        await sendNewPostDigest(orgId);
+      } catch (err) {
+        console.error(`[SyncJob] New-post digest after job ${jobId} failed:`, err.message);
+      }
+    })
+    .catch((err) => console.error(`[SyncJob] Job ${jobId} crashed:`, err.message))
+    .finally(() => {
+      clearInterval(heartbeat);
+      releaseLock(lockName, ownerId).catch((err) =>
+        console.error(`[SyncJob] Failed to release sync lock:`, err.message)
+      );
+    });
+
+  return { started: true, jobId };
+}
+
+// -----------------------------------------------------------------------------
+// Scheduled syncs: one cron task per active organization
+// -----------------------------------------------------------------------------
+const scheduledTasks = new Map();
+// Active organizations and schedules the current tasks were built from
+let scheduledSignature = null;
+let refreshTask = null;
+
+const scheduleSignature = (orgs) =>
+  orgs.map((org) => `${org.id}=${org.syncSchedule || ""}`).join(",");
+
+async function scheduleOrganizationSyncs() {
+  const orgs = await listOrganizations({ activeOnly: true });
+  installOrganizationSyncs(orgs);
+
+  if (!refreshTask) {
+    refreshTask = cron.schedule(ORG_SCHEDULE_REFRESH, () => {
+      refreshOrganizationSyncs().catch((err) =>
+        console.error("[Cron] Failed to refresh organization schedules:", err.message)
+      );
+    });
+  }
+}
+
+// Rebuild the cron tasks only if organizations or their schedules changed
+async function refreshOrganizationSyncs() {
+  const orgs = await listOrganizations({ activeOnly: true });
+  if (scheduleSignature(orgs) !== scheduledSignature) {
+    installOrganizationSyncs(orgs);
+  }
+}
+
+function installOrganizationSyncs(orgs) {
+  for (const task of scheduledTasks.values()) task.stop();
+  scheduledTasks.clear();
+
+  for (const org of orgs) {
+    let schedule = org.syncSchedule || DEFAULT_SYNC_SCHEDULE;
+    if (!cron.validate(schedule)) {
+      console.error(`[Cron] Invalid syncSchedule "${schedule}" for ${org.orgUrn}; using default`);
+      schedule = DEFAULT_SYNC_SCHEDULE;
+    }
+
+    const task = cron.schedule(schedule, async () => {
+      console.log(`[Cron] Starting scheduled LinkedIn sync for ${org.orgUrn}...`);
+      try {
+        // Skips the run if a manual sync (or another instance's cron) holds the lock
+        const job = await startSyncJob({ orgId: org.id, mode: "incremental", triggeredBy: "cron" });
+        if (job.started) {
+          console.log(`[Cron] Sync job ${job.jobId} started`);
+        } else {
+          console.log(`[Cron] Sync skipped: job ${job.jobId} is already running`);
+        }
+      } catch (err) {
+        console.error(`[Cron] Sync failed for ${org.orgUrn}:`, err.message);
+      }
+    });
+    scheduledTasks.set(org.id, task);
+  }
+
+  scheduledSignature = scheduleSignature(orgs);
+  console.log(`[Cron] Scheduled LinkedIn sync for ${orgs.length} organization(s)`);
+}
+
+module.exports = { startSyncJob, scheduleOrganizationSyncs, getSyncLockName };
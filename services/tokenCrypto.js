@@ -0,0 +1,89 @@
+// services/tokenCrypto.js
+// AES-256-GCM encryption for OAuth tokens stored in the database
+
+const crypto = require("crypto");
+
+// TOKEN_ENCRYPTION_KEYS="k2:<base64 32 bytes>,k1:<base64 32 bytes>"
+// The first key encrypts; every listed key can still decrypt, so rotating is:
+// prepend a new key, restart, call POST /admin/tokens/rotate-key, then drop the old key.
+const PREFIX = "enc:v1:";
+
+function loadKeys() {
+  const keys = new Map();
+  let activeKeyId = null;
+
+  for (const entry of (process.env.TOKEN_ENCRYPTION_KEYS || "").split(",")) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+
+    const [keyId, encoded] = trimmed.split(":");
+    const key = Buffer.from(encoded || "", "base64");
+    if (!keyId || key.length !== 32) {
+      throw new Error(`TOKEN_ENCRYPTION_KEYS entry "${keyId}" must be <id>:<base64 32-byte key>`);
+    }
+
+    keys.set(keyId, key);
+    if (!activeKeyId) activeKeyId = keyId;
+  }
+
+  return { keys, activeKeyId };
+}
+
+const { keys, activeKeyId } = loadKeys();
+
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+// Key id a stored value was encrypted with, or null for legacy plaintext
+function getKeyId(value) {
+  return isEncrypted(value) ? value.slice(PREFIX.length).split(":")[0] : null;
+}
+
+function encryptToken(plaintext) {
+  if (plaintext === null || plaintext === undefined) return null;
+  if (!activeKeyId) {
+    throw new Error("TOKEN_ENCRYPTION_KEYS not configured; refusing to store tokens in plaintext");
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", keys.get(activeKeyId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `${PREFIX}${activeKeyId}:${iv.toString("base64url")}:${tag.toString("base64url")}:${ciphertext.toString("base64url")}`;
+}
+
+// Decrypt a stored value. Rows written before encryption was introduced are
+// returned unchanged so they keep working until re-encrypted.
+function decryptToken(stored) {
+  if (stored === null || stored === undefined) return null;
+  if (!isEncrypted(stored)) return stored;
+
+  const [keyId, iv, tag, ciphertext] = stored.slice(PREFIX.length).split(":");
+  const key = keys.get(keyId);
+  if (!key) {
+    throw new Error(`Token was encrypted with unknown key "${keyId}"; add it to TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64url")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+// True when a stored value should be rewritten with the active key
+function needsReencryption(stored) {
+  if (stored === null || stored === undefined) return false;
+  return getKeyId(stored) !== activeKeyId;
+}
+
+module.exports = {
+  isEncrypted,
+  encryptToken,
+  decryptToken,
+  needsReencryption,
+  getActiveKeyId: () => activeKeyId,
+};
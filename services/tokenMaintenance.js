@@ -0,0 +1,152 @@
+// services/tokenMaintenance.js
+// Scheduled admin-token refresh ahead of expiry, and re-authorization alerts
+
+const os = require("os");
+const crypto = require("crypto");
+const cron = require("node-cron");
+const { acquireLock, releaseLock } = require("./jobLock");
+const {
+  hasAdminTokenConfigured,
+  forceRefreshAdminToken,
+  listAdminTokenStatuses,
+  markReauthAlerted,
+  encryptLegacyAdminTokens,
+} = require("./adminTokens");
+const { sendAlert } = require("./alerts");
+
+// Checked every 6 hours so a failed refresh is retried well before expiry
+const TOKEN_REFRESH_SCHEDULE = process.env.TOKEN_REFRESH_SCHEDULE || "15 */6 * * *";
+// Refresh access tokens that expire within this many days
+const TOKEN_REFRESH_AHEAD_DAYS = Number(process.env.TOKEN_REFRESH_AHEAD_DAYS || 7);
+// Alert when re-authorization will be needed within this many days
+const REAUTH_ALERT_DAYS = Number(process.env.REAUTH_ALERT_DAYS || 14);
+// Repeat an unresolved alert at most this often
+const REAUTH_ALERT_INTERVAL_HOURS = Number(process.env.REAUTH_ALERT_INTERVAL_HOURS || 24);
+
+const LOCK_NAME = "admin_token_refresh";
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysUntil(date) {
+  if (!date) return null;
+  return Math.floor((new Date(date).getTime() - Date.now()) / DAY_MS);
+}
+
+// The date after which an admin has to go through the OAuth flow again: the
+// refresh token's expiry, or the access token's if there is no refresh token
+function getReauthDeadline(token) {
+  if (token.hasRefreshToken) return token.refreshExpiresAt || null;
+  return token.expiresAt;
+}
+
+// Expiry summary reported by /admin/linkedin/status and used for alerting
+function describeTokenExpiry(token) {
+  const reauthRequiredBy = getReauthDeadline(token);
+  const reauthDaysRemaining = daysUntil(reauthRequiredBy);
+  return {
+    expiresAt: token.expiresAt,
+    daysRemaining: daysUntil(token.expiresAt),
+    refreshExpiresAt: token.refreshExpiresAt || null,
+    refreshDaysRemaining: daysUntil(token.refreshExpiresAt),
+    reauthRequiredBy,
+    reauthDaysRemaining,
+    needsReauth: reauthDaysRemaining !== null && reauthDaysRemaining <= REAUTH_ALERT_DAYS,
+  };
+}
+
+function alertRecentlySent(token) {
+  if (!token.reauthAlertedAt) return false;
+  const sinceMs = Date.now() - new Date(token.reauthAlertedAt).getTime();
+  return sinceMs < REAUTH_ALERT_INTERVAL_HOURS * 60 * 60 * 1000;
+}
+
+async function alertReauthNeeded(token, reason) {
+  if (alertRecentlySent(token)) return false;
+
+  const label = token.name ? `${token.name} (${token.orgUrn})` : token.orgUrn;
+  await sendAlert({
+    title: "LinkedIn re-authorization needed",
+    message: `${label}: ${reason}. An admin must re-authorize at /admin/linkedin/authorize?orgId=${token.organizationId}.`,
+    details: { organizationId: token.organizationId, orgUrn: token.orgUrn, ...describeTokenExpiry(token) },
+  });
+  await markReauthAlerted(token.organizationId);
+  return true;
+}
+
+// Refresh tokens close to expiry and alert on anything needing an admin.
+// Returns { refreshed, failed, alerted } counts.
+async function runTokenMaintenance() {
+  const summary = { refreshed: 0, failed: 0, alerted: 0 };
+  const tokens = await listAdminTokenStatuses();
+
+  for (const token of tokens) {
+    const expiry = describeTokenExpiry(token);
+    let refreshError = null;
+
+    if (token.hasRefreshToken && hasAdminTokenConfigured() && expiry.daysRemaining <= TOKEN_REFRESH_AHEAD_DAYS) {
+      try {
+        const { expiresAt } = await forceRefreshAdminToken(token.organizationId, "scheduled");
+        token.expiresAt = expiresAt;
+        summary.refreshed++;
+      } catch (err) {
+        console.error(`[TokenRefresh] ${token.orgUrn}:`, err.message);
+        refreshError = err.message;
+        summary.failed++;
+      }
+    }
+
+    try {
+      const { needsReauth, reauthDaysRemaining: days } = describeTokenExpiry(token);
+      let reason = null;
+      if (refreshError) {
+        reason = `scheduled token refresh failed (${refreshError})`;
+      } else if (needsReauth) {
+        reason = days < 0
+          ? "the LinkedIn authorization has expired"
+          : `the LinkedIn authorization expires in ${days} day(s)`;
+      }
+      if (reason && await alertReauthNeeded(token, reason)) summary.alerted++;
+    } catch (err) {
+      console.error(`[TokenRefresh] Alerting failed for ${token.orgUrn}:`, err.message);
+    }
+  }
+
+  return summary;
+}
+
+// Run token maintenance on TOKEN_REFRESH_SCHEDULE; only one instance runs it per tick
+function scheduleTokenMaintenance() {
+  cron.schedule(TOKEN_REFRESH_SCHEDULE, async () => {
+    const ownerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    try {
+      if (!(await acquireLock(LOCK_NAME, ownerId, LOCK_TTL_MS))) return;
+    } catch (err) {
+      console.error("[TokenRefresh] Failed to acquire lock:", err.message);
+      return;
+    }
+
+    try {
+      const summary = await runTokenMaintenance();
+      console.log(
+        `[TokenRefresh] Done: ${summary.refreshed} refreshed, ` +
+        `${summary.failed} failed, ${summary.alerted} alert(s) sent`
+      );
+    } catch (err) {
+      console.error("[TokenRefresh] Run failed:", err.message);
+    } finally {
+      await releaseLock(LOCK_NAME, ownerId).catch(() => {});
+    }
+  });
+
+  console.log(`[TokenRefresh] Scheduled admin token refresh (${TOKEN_REFRESH_SCHEDULE})`);
+
+  // Tokens stored before encryption was introduced shouldn't wait for a key rotation
+  encryptLegacyAdminTokens().then(
+    (encrypted) => {
+      if (encrypted > 0) console.log(`[TokenRefresh] Encrypted ${encrypted} legacy plaintext admin token(s)`);
+    },
+    (err) => console.error("[TokenRefresh] Failed to encrypt legacy admin tokens:", err.message)
+  );
+}
+
+module.exports = { runTokenMaintenance, scheduleTokenMaintenance, describeTokenExpiry };